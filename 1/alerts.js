@@ -0,0 +1,355 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ALERTS
+// Rule-based alerting for the bots and the host. Every check the engine
+// looks at the latest service statuses and metrics sample, works out which
+// rules are firing, and calls notify() for new and resolved alerts.
+//
+// Rule types:
+//   state     — a bot is not active                  (bots: [] = all)
+//   restarts  — a bot restarted `count` times within `windowMs`
+//   threshold — host `metric` (cpu | mem | disk, in %) above `above`
+//   log       — a bot's log line matches `pattern`   (resolves after `quietMs`
+//               with no further matches)
+//
+// Common rule fields: id, type, enabled, forChecks (consecutive checks the
+// condition must hold before firing), cooldownMs (minimum gap between two
+// notifications for the same alert — stops a flapping bot spamming).
+//
+// An alert is keyed `<ruleId>:<subject>` (subject = bot name or "host"), so
+// a condition that keeps holding is one alert, not one per check.
+// Silences match an alert key, a rule id, a bot name or "all".
+//
+// Rules live in alert_rules.json (seeded from DEFAULT_RULES); active alerts,
+// silences and cooldowns in alert_state.json.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+
+const RULE_TYPES = ['state', 'restarts', 'threshold', 'log'];
+const METRICS    = ['cpu', 'mem', 'disk'];
+const RULE_ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+const DEFAULT_RULES = [
+  { id: 'bot-down',     type: 'state',     enabled: true,  forChecks: 2 },
+  { id: 'restart-loop', type: 'restarts',  enabled: true,  count: 3, windowMs: 5 * 60 * 1000 },
+  { id: 'cpu-high',     type: 'threshold', enabled: true,  metric: 'cpu',  above: 90, forChecks: 3 },
+  { id: 'ram-high',     type: 'threshold', enabled: true,  metric: 'mem',  above: 90, forChecks: 2 },
+  { id: 'disk-high',    type: 'threshold', enabled: true,  metric: 'disk', above: 90 },
+  { id: 'tracebacks',   type: 'log',       enabled: false, pattern: 'Traceback \\(most recent call last\\)|Unhandled(Promise)?Rejection' },
+];
+
+const DEFAULT_COOLDOWN = 15 * 60 * 1000;
+const DEFAULT_QUIET    = 10 * 60 * 1000;
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// ── VALIDATION ────────────────────────────────────────────────────────
+
+const posInt = (v, name, min = 1, max = Infinity) => {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) throw badRequest(`${name} must be an integer between ${min} and ${max}`);
+  return n;
+};
+
+function validateRule(raw) {
+  const r = raw || {};
+  if (!RULE_ID_RE.test(String(r.id || ''))) throw badRequest(`Invalid rule id: ${r.id}`);
+  if (!RULE_TYPES.includes(r.type)) throw badRequest(`Rule ${r.id}: type must be one of ${RULE_TYPES.join(', ')}`);
+
+  const rule = {
+    id:         r.id,
+    type:       r.type,
+    enabled:    r.enabled !== false,
+    forChecks:  posInt(r.forChecks ?? 1, 'forChecks', 1, 60),
+    cooldownMs: posInt(r.cooldownMs ?? DEFAULT_COOLDOWN, 'cooldownMs', 0, 7 * 24 * 3600 * 1000),
+  };
+
+  if (r.type !== 'threshold') {
+    rule.bots = Array.isArray(r.bots) ? r.bots.map(String) : [];
+  }
+  if (r.type === 'restarts') {
+    rule.count    = posInt(r.count ?? 3, 'count', 1, 1000);
+    rule.windowMs = posInt(r.windowMs ?? 5 * 60 * 1000, 'windowMs', 60 * 1000, 24 * 3600 * 1000);
+  }
+  if (r.type === 'threshold') {
+    if (!METRICS.includes(r.metric)) throw badRequest(`Rule ${r.id}: metric must be one of ${METRICS.join(', ')}`);
+    rule.metric = r.metric;
+    rule.above  = posInt(r.above, 'above', 1, 100);
+  }
+  if (r.type === 'log') {
+    const pattern = String(r.pattern || '');
+    if (!pattern || pattern.length > 200) throw badRequest(`Rule ${r.id}: pattern must be 1–200 characters`);
+    try { new RegExp(pattern, 'i'); } catch (e) { throw badRequest(`Rule ${r.id}: ${e.message}`); }
+    rule.pattern = pattern;
+    rule.quietMs = posInt(r.quietMs ?? DEFAULT_QUIET, 'quietMs', 60 * 1000, 24 * 3600 * 1000);
+  }
+  return rule;
+}
+
+function validateRules(list) {
+  if (!Array.isArray(list)) throw badRequest('Rules must be an array');
+  const rules = list.map(validateRule);
+  const ids   = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) throw badRequest(`Duplicate rule id: ${r.id}`);
+    ids.add(r.id);
+  }
+  return rules;
+}
+
+// "30m", "2h", "1d" → ms
+function parseDuration(text) {
+  const m = String(text || '').trim().match(/^(\d+)\s*(m|h|d)$/i);
+  if (!m) return null;
+  return parseInt(m[1], 10) * { m: 60e3, h: 3600e3, d: 86400e3 }[m[2].toLowerCase()];
+}
+
+function fmtDuration(ms) {
+  if (ms >= 86400e3) return `${Math.round(ms / 86400e3)}d`;
+  if (ms >= 3600e3)  return `${Math.round(ms / 3600e3)}h`;
+  return `${Math.max(1, Math.round(ms / 60e3))}m`;
+}
+
+// ── ENGINE ────────────────────────────────────────────────────────────
+// notify(event, alert) — event is 'firing' | 'resolved'; may be async
+// followLogs(bot, onLine) → stop() — only called for bots with log rules
+
+function createAlertEngine({
+  rulesFile  = './alert_rules.json',
+  stateFile  = './alert_state.json',
+  notify     = async () => {},
+  followLogs = null,
+  now        = Date.now,
+} = {}) {
+  let rules;
+  try {
+    rules = validateRules(JSON.parse(fs.readFileSync(rulesFile, 'utf8')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Alert rules ${rulesFile} invalid, using defaults:`, e.message);
+    rules = validateRules(DEFAULT_RULES);
+  }
+
+  // active:    key → { key, ruleId, subject, message, since, notified }
+  // silences:  target → { until, by, reason }
+  // lastSent:  key → ms of the last notification (for cooldowns)
+  let state = { active: {}, silences: {}, lastSent: {} };
+  try {
+    state = { ...state, ...JSON.parse(fs.readFileSync(stateFile, 'utf8')) };
+  } catch {}
+
+  const streaks   = new Map(); // key → consecutive checks the condition held
+  const restarts  = new Map(); // bot → [{ t, n }]
+  const logHits   = new Map(); // key → { t, line }
+  const followers = new Map(); // bot → stop()
+
+  // Log alerts carried over a restart resolve on the usual quiet period
+  for (const a of Object.values(state.active)) {
+    const rule = rules.find(r => r.id === a.ruleId);
+    if (rule && rule.type === 'log') logHits.set(a.key, { t: Date.parse(a.since) });
+  }
+
+  const writeJson = (file, data) => {
+    const tmp = `${file}.tmp`;
+    return fs.promises.writeFile(tmp, JSON.stringify(data, null, 2))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch(e => console.error(`Alert write ${file} failed:`, e.message));
+  };
+  let saving = Promise.resolve();
+  const persistState = () => { saving = saving.then(() => writeJson(stateFile, state)); return saving; };
+  const persistRules = () => { saving = saving.then(() => writeJson(rulesFile, rules)); return saving; };
+
+  // ── silences ──
+  function silencedBy(alert) {
+    const t = now();
+    for (const target of [alert.key, alert.ruleId, alert.subject, 'all']) {
+      const s = state.silences[target];
+      if (s && s.until > t) return { target, ...s };
+    }
+    return null;
+  }
+
+  function silence(target, durationMs, by, reason = '') {
+    const t = String(target || '').trim();
+    if (!t) throw badRequest('Nothing to silence');
+    state.silences[t] = { until: now() + durationMs, by: by || null, reason: String(reason).slice(0, 200) };
+    persistState();
+    return { target: t, ...state.silences[t] };
+  }
+
+  function unsilence(target) {
+    if (!state.silences[target]) return false;
+    delete state.silences[target];
+    persistState();
+    return true;
+  }
+
+  // ── transitions ──
+  async function fire(rule, subject, message) {
+    const key = `${rule.id}:${subject}`;
+    if (state.active[key]) {
+      state.active[key].message = message;
+      return;
+    }
+    const alert = { key, ruleId: rule.id, subject, message, since: new Date(now()).toISOString(), notified: false };
+    state.active[key] = alert;
+
+    const lastSent = state.lastSent[key] || 0;
+    if (!silencedBy(alert) && now() - lastSent >= rule.cooldownMs) {
+      alert.notified      = true;
+      state.lastSent[key] = now();
+      await Promise.resolve(notify('firing', alert)).catch(e => console.error('Alert notify failed:', e.message));
+    }
+  }
+
+  async function resolve(key, message) {
+    const alert = state.active[key];
+    if (!alert) return;
+    delete state.active[key];
+    // Only follow up on alerts that were actually posted
+    if (alert.notified) {
+      const resolved = { ...alert, message, resolvedAt: new Date(now()).toISOString() };
+      await Promise.resolve(notify('resolved', resolved)).catch(e => console.error('Alert notify failed:', e.message));
+    }
+  }
+
+  // holds → fire after rule.forChecks consecutive hits; !holds → resolve
+  async function observe(rule, subject, holds, message, resolvedMessage) {
+    const key = `${rule.id}:${subject}`;
+    if (holds) {
+      const n = (streaks.get(key) || 0) + 1;
+      streaks.set(key, n);
+      if (n >= rule.forChecks) await fire(rule, subject, message);
+    } else {
+      streaks.delete(key);
+      await resolve(key, resolvedMessage);
+    }
+  }
+
+  const appliesTo = (rule, bot) => !rule.bots.length || rule.bots.includes(bot);
+
+  // ── checks ──
+  // statuses: { bot: { state, restarts } } from service_control
+  // sample:   latest metrics sample (metrics.js) or null
+  async function check({ statuses = {}, sample = null } = {}) {
+    const t     = now();
+    const seen  = new Set();
+
+    for (const rule of rules.filter(r => r.enabled)) {
+      if (rule.type === 'state') {
+        for (const [bot, s] of Object.entries(statuses)) {
+          if (!appliesTo(rule, bot) || s.state === 'unknown') continue;
+          seen.add(`${rule.id}:${bot}`);
+          await observe(rule, bot, s.state !== 'active', `**${bot}** is ${s.state}`, `**${bot}** is active again`);
+        }
+      }
+
+      if (rule.type === 'restarts') {
+        for (const [bot, s] of Object.entries(statuses)) {
+          if (!appliesTo(rule, bot) || s.state === 'unknown') continue;
+          seen.add(`${rule.id}:${bot}`);
+          const hist = (restarts.get(bot) || []).filter(h => h.t >= t - rule.windowMs);
+          hist.push({ t, n: s.restarts || 0 });
+          restarts.set(bot, hist);
+          const delta = hist[hist.length - 1].n - Math.min(...hist.map(h => h.n));
+          await observe(rule, bot, delta >= rule.count,
+            `**${bot}** restarted ${delta} times in the last ${fmtDuration(rule.windowMs)}`,
+            `**${bot}** has stopped restarting`);
+        }
+      }
+
+      if (rule.type === 'threshold' && sample) {
+        const value = {
+          cpu:  sample.cpu,
+          mem:  sample.memTotal ? sample.memUsed / sample.memTotal * 100 : 0,
+          disk: sample.diskTotal ? sample.diskUsed / sample.diskTotal * 100 : 0,
+        }[rule.metric];
+        const label = { cpu: 'CPU', mem: 'RAM', disk: 'Disk' }[rule.metric];
+        seen.add(`${rule.id}:host`);
+        await observe(rule, 'host', value > rule.above,
+          `Host ${label} at **${Math.round(value)}%** (threshold ${rule.above}%)`,
+          `Host ${label} back to ${Math.round(value)}%`);
+      }
+
+      if (rule.type === 'log') {
+        for (const [key, hit] of logHits) {
+          if (!key.startsWith(`${rule.id}:`)) continue;
+          seen.add(key);
+          if (t - hit.t >= rule.quietMs) {
+            logHits.delete(key);
+            await resolve(key, `No matching log lines for ${fmtDuration(rule.quietMs)}`);
+          }
+        }
+      }
+    }
+
+    // Alerts whose rule was disabled/removed, or whose bot is gone
+    for (const key of Object.keys(state.active)) {
+      if (!seen.has(key)) await resolve(key, 'Rule or bot no longer monitored');
+    }
+
+    for (const [target, s] of Object.entries(state.silences)) {
+      if (s.until <= t) delete state.silences[target];
+    }
+    syncFollowers(Object.keys(statuses));
+    persistState();
+  }
+
+  // Log lines from followLogs; fires immediately, log rules ignore forChecks
+  async function logLine(bot, line) {
+    for (const rule of rules.filter(r => r.enabled && r.type === 'log' && appliesTo(r, bot))) {
+      if (!new RegExp(rule.pattern, 'i').test(line)) continue;
+      const key = `${rule.id}:${bot}`;
+      logHits.set(key, { t: now(), line });
+      await fire(rule, bot, `**${bot}** log matched \`${rule.pattern}\`:\n\`\`\`${line.slice(0, 500)}\`\`\``);
+      persistState();
+    }
+  }
+
+  function syncFollowers(bots) {
+    if (!followLogs) return;
+    const wanted = new Set(bots.filter(b =>
+      rules.some(r => r.enabled && r.type === 'log' && appliesTo(r, b))));
+    for (const [bot, stop] of followers) {
+      if (!wanted.has(bot)) { stop(); followers.delete(bot); }
+    }
+    for (const bot of wanted) {
+      if (!followers.has(bot)) followers.set(bot, followLogs(bot, (line) => logLine(bot, line)));
+    }
+  }
+
+  function setRules(list) {
+    rules = validateRules(list);
+    streaks.clear();
+    persistRules();
+    return rules;
+  }
+
+  function stop() {
+    for (const stopFollower of followers.values()) stopFollower();
+    followers.clear();
+    return persistState();
+  }
+
+  return {
+    check,
+    logLine,
+    silence,
+    unsilence,
+    setRules,
+    stop,
+    rules:    () => rules,
+    active:   () => Object.values(state.active).map(a => ({ ...a, silenced: silencedBy(a) })),
+    silences: () => Object.entries(state.silences)
+      .filter(([, s]) => s.until > now())
+      .map(([target, s]) => ({ target, ...s })),
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_RULES,
+  validateRules,
+  parseDuration,
+  fmtDuration,
+  createAlertEngine,
+};
@@ -0,0 +1,149 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ANALYTICS
+// Order pipeline and revenue figures worked out from the store: orders per
+// day/week, Pending → Accepted conversion, revenue by category and payment
+// method, time to accept / deliver, and delivered orders still unpaid.
+//
+//   computeAnalytics(store, { period: 'month', categories: formSchema.categories() })
+//
+// Revenue is the payments recorded in the window (invoicing.js), in minor
+// units per currency — { USD: 12500, ROBUX: 1000 } — since amounts in
+// different currencies can't be added up. Orders flagged paid before
+// payments were recorded have no amount; they're counted in
+// `paidWithoutAmount` instead of being guessed from the budget label.
+// ═══════════════════════════════════════════════════════════════════════
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// window length and bucket size of the orders-per-period series
+const PERIODS = {
+  week:  { days: 7,   bucket: 'day'  },
+  month: { days: 30,  bucket: 'day'  },
+  year:  { days: 365, bucket: 'week' },
+};
+
+const BUCKET_MS = { day: DAY, week: 7 * DAY };
+
+const PAID = '✅ Paid';
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+const addMoney = (totals, currency, amount) => {
+  totals[currency] = (totals[currency] || 0) + amount;
+  return totals;
+};
+
+const average = (values) => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+const rate = (n, d) => (d ? Math.round(n / d * 1000) / 10 : null); // % with one decimal
+
+// First time the order reached `status`, from its timeline
+const reachedAt = (events, status) => {
+  const e = events.find(ev => ev.to === status);
+  return e ? Date.parse(e.at) : null;
+};
+
+// period: week | month | year, or from/to (ISO / epoch ms) for a custom window.
+// categories: formSchema.categories() — service types outside it count as "Other".
+function computeAnalytics(store, { period = 'month', from, to, categories = {}, now = Date.now() } = {}) {
+  let start, end, bucket;
+  if (from || to) {
+    start  = from ? Date.parse(from) || Number(from) : now - PERIODS.month.days * DAY;
+    end    = to ? Date.parse(to) || Number(to) : now;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) throw badRequest('Invalid from/to');
+    if (end - start > 2 * 365 * DAY) throw badRequest('Window is limited to two years');
+    bucket = end - start > 90 * DAY ? 'week' : 'day';
+  } else {
+    const p = PERIODS[period];
+    if (!p) throw badRequest(`Unknown period: ${period}. Use ${Object.keys(PERIODS).join(', ')}`);
+    end    = now;
+    start  = now - p.days * DAY;
+    bucket = p.bucket;
+  }
+
+  const categoryOf = (serviceType) => (categories[serviceType] ? serviceType : 'Other');
+  const byCategory = {};
+  const slot = (name) => (byCategory[name] ||= { orders: 0, accepted: 0, revenue: {} });
+  for (const name of [...Object.keys(categories), 'Other']) slot(name);
+
+  // ── Orders created in the window ──
+  const allOrders = store.orders.list();
+  const orderByUuid = new Map(allOrders.map(o => [o.uuid, o]));
+  const created = allOrders.filter(o => {
+    const t = Date.parse(o.createdAt);
+    return t >= start && t < end;
+  });
+
+  const bucketMs = BUCKET_MS[bucket];
+  const series   = [];
+  for (let t = start; t < end; t += bucketMs) series.push({ start: new Date(t).toISOString(), orders: 0, accepted: 0 });
+
+  const funnel = { created: created.length, accepted: 0, declined: 0, cancelled: 0, pending: 0, waitlisted: 0 };
+  const acceptMs  = [];
+  const deliverMs = [];
+
+  for (const o of created) {
+    const events   = store.orders.events(o.uuid);
+    const createdT = Date.parse(o.createdAt);
+    const accepted = reachedAt(events, 'Accepted');
+    const cat      = slot(categoryOf(o.serviceType));
+    const point    = series[Math.min(series.length - 1, Math.floor((createdT - start) / bucketMs))];
+
+    cat.orders++;
+    point.orders++;
+    if (accepted) {
+      funnel.accepted++;
+      cat.accepted++;
+      point.accepted++;
+      acceptMs.push(accepted - createdT);
+      const delivered = reachedAt(events, 'Delivered');
+      if (delivered) deliverMs.push(delivered - accepted);
+    } else if (o.status === 'Declined') funnel.declined++;
+    else if (o.status === 'Cancelled') funnel.cancelled++;
+    else if (o.status === 'Pending') funnel.pending++;
+    else if (o.status === 'Waitlisted') funnel.waitlisted++;
+  }
+
+  // ── Revenue: payments recorded in the window ──
+  const revenue = { total: {}, byPaymentMethod: {} };
+  for (const p of store.payments.between(new Date(start).toISOString(), new Date(end).toISOString())) {
+    const order  = orderByUuid.get(p.orderUuid);
+    const method = p.method || order?.paymentMethod || 'Unknown';
+    addMoney(revenue.total, p.currency, p.amount);
+    addMoney(revenue.byPaymentMethod[method] ||= {}, p.currency, p.amount);
+    addMoney(slot(categoryOf(order?.serviceType)).revenue, p.currency, p.amount);
+  }
+  const paidWithoutAmount = allOrders.filter(o => {
+    const t = Date.parse(o.paidAt || '');
+    return o.payment === PAID && o.quoteAmount == null && t >= start && t < end;
+  }).length;
+
+  // ── Right now, regardless of the window ──
+  const unpaidDelivered = allOrders
+    .filter(o => (o.status === 'Delivered' || o.status === 'Completed') && o.payment !== PAID)
+    .map(o => ({ uuid: o.uuid, client: o.discordUsername, status: o.status, payment: o.payment }));
+
+  return {
+    period:  from || to ? 'custom' : period,
+    from:    new Date(start).toISOString(),
+    to:      new Date(end).toISOString(),
+    bucket,
+    series,
+    funnel: {
+      ...funnel,
+      conversionRate: rate(funnel.accepted, funnel.created),
+      // Only orders that were decided one way or the other
+      decidedRate:    rate(funnel.accepted, funnel.accepted + funnel.declined + funnel.cancelled),
+    },
+    timing: {
+      avgToAcceptMs:  average(acceptMs),
+      avgToDeliverMs: average(deliverMs), // from acceptance
+      samples:        { accept: acceptMs.length, deliver: deliverMs.length },
+    },
+    revenue: { ...revenue, paidWithoutAmount },
+    byCategory,
+    unpaidDelivered: { count: unpaidDelivered.length, orders: unpaidDelivered.slice(0, 25) },
+  };
+}
+
+module.exports = { PERIODS, computeAnalytics };
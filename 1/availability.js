@@ -0,0 +1,214 @@
+// ═══════════════════════════════════════════════════════════════════════
+// AVAILABILITY
+// Whether Echo Services is taking orders right now, worked out from:
+//
+//   manual     — /open, /slow, /close (saved, so a restart keeps it)
+//   vacation   — an away range with an "away until" message for the site
+//   closed days and business hours, in the owner's timezone
+//   capacity   — slow / closed once enough orders are Accepted or In Progress
+//
+// The most restrictive one wins (closed > slow > open). Nothing runs on a
+// timer: resolve() works it out whenever it's asked (GET /status, /inquiry),
+// so the schedule and the capacity rule apply the moment they should.
+//
+//   const availability = createAvailability(store);
+//   availability.resolve()  → { status, reason, message, awayUntil, accepting, … }
+//   availability.update({ hours: parseHours('09:00', '18:00') });
+//
+// Saved in the store's settings under "availability".
+// ═══════════════════════════════════════════════════════════════════════
+
+const SETTING_KEY = 'availability';
+
+const STATES = ['open', 'slow', 'closed'];
+const RANK   = { open: 0, slow: 1, closed: 2 };
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// What /inquiry does while closed
+const WHEN_CLOSED = ['reject', 'waitlist'];
+
+const DEFAULTS = {
+  manual:     'open',
+  timezone:   'UTC',
+  hours:      null,     // { start: 'HH:MM', end: 'HH:MM', outside: 'slow' | 'closed' }
+  closedDays: [],       // ['sat', 'sun']
+  vacation:   null,     // { from: ISO | null, until: ISO, message }
+  capacity:   null,     // { slowAt: n | null, closedAt: n | null }
+  whenClosed: 'reject',
+};
+
+// Orders that take up capacity
+const ACTIVE_STATUSES = ['Accepted', 'In Progress'];
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// ── PARSING ───────────────────────────────────────────────────────────
+// For the commands; each throws 400 with something the owner can act on.
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "9", "9:30", "09:30" → "09:30"
+function parseClock(text) {
+  const m = String(text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2] || 0) > 59) throw badRequest(`Invalid time "${text}" — use HH:MM, e.g. 09:00`);
+  return `${m[1].padStart(2, '0')}:${m[2] || '00'}`;
+}
+
+// End before start means the hours run past midnight (18:00–02:00)
+function parseHours(start, end, outside = 'closed') {
+  if (!['slow', 'closed'].includes(outside)) throw badRequest('Outside hours must be slow or closed');
+  const hours = { start: parseClock(start), end: parseClock(end), outside };
+  if (hours.start === hours.end) throw badRequest('Start and end are the same — use "off" for no business hours');
+  return hours;
+}
+
+// "sat, sun", "Saturday Sunday", "none" → ['sat', 'sun']
+function parseDays(text) {
+  const words = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (words.length === 1 && ['none', 'off'].includes(words[0])) return [];
+  const days = words.map(w => {
+    const day = DAYS.find(d => w.startsWith(d));
+    if (!day) throw badRequest(`Unknown day "${w}" — use mon, tue, … sun`);
+    return day;
+  });
+  return DAYS.filter(d => days.includes(d));
+}
+
+// Offset of `tz` from UTC at `ms`, in ms (positive east of Greenwich)
+function tzOffset(ms, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(ms / 1000) * 1000;
+}
+
+// "2026-11-02" (midnight in `tz`) or a full ISO timestamp → ISO
+function parseDate(text, tz) {
+  const t = String(text || '').trim();
+  const m = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) {
+    const guess = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return new Date(guess - tzOffset(guess, tz)).toISOString();
+  }
+  const ms = Date.parse(t);
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(t) || !Number.isFinite(ms)) throw badRequest(`Invalid date "${text}" — use YYYY-MM-DD`);
+  return new Date(ms).toISOString();
+}
+
+// "2026-11-02" (back on that day) or "2026-10-25..2026-11-02"
+function parseVacation(dates, message, tz, now = Date.now()) {
+  const [a, b] = String(dates || '').split('..');
+  const from  = b === undefined ? null : parseDate(a, tz);
+  const until = parseDate(b === undefined ? a : b, tz);
+  if (Date.parse(until) <= now) throw badRequest('The away range has already ended');
+  if (from && Date.parse(from) >= Date.parse(until)) throw badRequest('The range ends before it starts');
+  return { from, until, message: message ? String(message).slice(0, 200) : null };
+}
+
+// ── RESOLVING ─────────────────────────────────────────────────────────
+
+// Day of the week and minutes since midnight, in `tz`
+function localTime(ms, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  return { day: parts.weekday.toLowerCase().slice(0, 3), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+const toMinutes = (clock) => Number(clock.slice(0, 2)) * 60 + Number(clock.slice(3));
+
+function withinHours({ start, end }, minutes) {
+  const s = toMinutes(start);
+  const e = toMinutes(end);
+  return s < e ? minutes >= s && minutes < e : minutes >= s || minutes < e;
+}
+
+const formatDay = (iso, tz) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: tz, weekday: 'short', day: 'numeric', month: 'short',
+}).format(new Date(iso));
+
+// The effective status from a schedule. activeOrders: Accepted + In Progress.
+function resolveSchedule(schedule, { activeOrders = 0, now = Date.now() } = {}) {
+  const s     = { ...DEFAULTS, ...schedule };
+  const tz    = s.timezone;
+  const local = localTime(now, tz);
+  const rules = [{ status: s.manual, reason: 'manual', message: null }];
+
+  const v = s.vacation;
+  const away = v && now < Date.parse(v.until) && (!v.from || now >= Date.parse(v.from));
+  if (away) {
+    rules.push({ status: 'closed', reason: 'vacation', message: v.message || `Away until ${formatDay(v.until, tz)}` });
+  }
+  if (s.closedDays.includes(local.day)) {
+    rules.push({ status: 'closed', reason: 'closed-day', message: 'Closed today' });
+  }
+  if (s.hours && !withinHours(s.hours, local.minutes)) {
+    rules.push({ status: s.hours.outside, reason: 'hours', message: `Business hours ${s.hours.start}–${s.hours.end} (${tz})` });
+  }
+  if (s.capacity) {
+    const { slowAt, closedAt } = s.capacity;
+    if (closedAt && activeOrders >= closedAt)  rules.push({ status: 'closed', reason: 'capacity', message: 'Fully booked right now' });
+    else if (slowAt && activeOrders >= slowAt) rules.push({ status: 'slow',   reason: 'capacity', message: 'Busy — new orders may take longer' });
+  }
+
+  // Most restrictive wins; on a tie the earlier rule (manual first)
+  const top = rules.reduce((a, b) => (RANK[b.status] > RANK[a.status] ? b : a));
+  return {
+    status:    top.status,
+    reason:    top.reason,
+    message:   top.message,
+    awayUntil: away ? v.until : null,
+    // What /inquiry does: yes, waitlist or no
+    accepting: top.status !== 'closed' ? 'yes' : s.whenClosed === 'waitlist' ? 'waitlist' : 'no',
+    activeOrders,
+    schedule:  s,
+  };
+}
+
+// ── STORE-BACKED ──────────────────────────────────────────────────────
+
+function createAvailability(store, { now = Date.now } = {}) {
+  const get = () => ({ ...DEFAULTS, ...store.settings.get(SETTING_KEY) });
+
+  // patch: any schedule fields; null clears hours, vacation or capacity
+  function update(patch) {
+    const next = { ...get(), ...patch };
+    if (!STATES.includes(next.manual)) throw badRequest(`Status must be one of: ${STATES.join(', ')}`);
+    if (!validTimezone(next.timezone)) throw badRequest(`Unknown timezone "${next.timezone}" — use a name like Europe/London`);
+    if (!WHEN_CLOSED.includes(next.whenClosed)) throw badRequest(`When closed must be one of: ${WHEN_CLOSED.join(', ')}`);
+    store.settings.set(SETTING_KEY, next);
+    return next;
+  }
+
+  const activeOrders = () => ACTIVE_STATUSES.reduce((n, status) => n + store.orders.count({ status }), 0);
+
+  return {
+    get,
+    update,
+    setManual: (state) => update({ manual: state }),
+    resolve:   () => resolveSchedule(get(), { activeOrders: activeOrders(), now: now() }),
+  };
+}
+
+module.exports = {
+  STATES,
+  DAYS,
+  WHEN_CLOSED,
+  ACTIVE_STATUSES,
+  validTimezone,
+  parseHours,
+  parseDays,
+  parseVacation,
+  resolveSchedule,
+  createAvailability,
+};
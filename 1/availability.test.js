@@ -0,0 +1,74 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHours, parseVacation, resolveSchedule } = require('./availability');
+
+const at = (iso) => Date.parse(iso);
+
+test('hours past midnight are open on both sides of it', () => {
+  // 18:00–02:00 London time; BST (UTC+1) in July
+  const schedule = { timezone: 'Europe/London', hours: parseHours('18', '2') };
+  const status   = (iso) => resolveSchedule(schedule, { now: at(iso) }).status;
+  assert.equal(status('2026-07-15T17:00:00Z'), 'open');   // 18:00 local
+  assert.equal(status('2026-07-15T22:30:00Z'), 'open');   // 23:30
+  assert.equal(status('2026-07-16T00:30:00Z'), 'open');   // 01:30 the next day
+  assert.equal(status('2026-07-16T01:00:00Z'), 'closed'); // 02:00, the end is exclusive
+  assert.equal(status('2026-07-15T10:00:00Z'), 'closed'); // 11:00
+  assert.equal(status('2026-07-15T16:59:00Z'), 'closed'); // 17:59
+});
+
+test('outside hours can be slow instead of closed', () => {
+  const r = resolveSchedule({ hours: parseHours('09:00', '17:00', 'slow') }, { now: at('2026-07-15T20:00:00Z') });
+  assert.equal(r.status, 'slow');
+  assert.equal(r.reason, 'hours');
+  assert.equal(r.accepting, 'yes');
+});
+
+test('closed days are the local day, not the UTC one', () => {
+  // Friday 22:00 in New York is already Saturday in UTC
+  const schedule = { timezone: 'America/New_York', closedDays: ['sat'] };
+  assert.equal(resolveSchedule(schedule, { now: at('2026-07-18T02:00:00Z') }).status, 'open');
+  assert.equal(resolveSchedule(schedule, { now: at('2026-07-18T14:00:00Z') }).reason, 'closed-day');
+});
+
+test('a vacation closes from its start until the day it ends', () => {
+  const now      = at('2026-07-01T12:00:00Z');
+  const vacation = parseVacation('2026-07-20..2026-07-27', 'Back on the 27th', 'Europe/London', now);
+  // Dates are midnight local time
+  assert.deepEqual(vacation, { from: '2026-07-19T23:00:00.000Z', until: '2026-07-26T23:00:00.000Z', message: 'Back on the 27th' });
+
+  const resolve = (iso) => resolveSchedule({ timezone: 'Europe/London', vacation }, { now: at(iso) });
+  assert.equal(resolve('2026-07-19T22:59:00Z').status, 'open');
+  const away = resolve('2026-07-19T23:00:00Z');
+  assert.equal(away.status, 'closed');
+  assert.equal(away.reason, 'vacation');
+  assert.equal(away.message, 'Back on the 27th');
+  assert.equal(away.awayUntil, vacation.until);
+  assert.equal(resolve('2026-07-26T23:00:00Z').status, 'open');
+  assert.equal(resolve('2026-07-26T23:00:00Z').awayUntil, null);
+});
+
+test('a vacation without a start is away from now on', () => {
+  const now      = at('2026-07-01T12:00:00Z');
+  const vacation = parseVacation('2026-07-05', null, 'UTC', now);
+  const r        = resolveSchedule({ vacation, whenClosed: 'waitlist' }, { now });
+  assert.equal(r.reason, 'vacation');
+  assert.match(r.message, /^Away until /);
+  assert.equal(r.accepting, 'waitlist');
+});
+
+test('bad away ranges are 400s', () => {
+  const now = at('2026-07-01T12:00:00Z');
+  assert.throws(() => parseVacation('2026-06-30', null, 'UTC', now), { status: 400 });
+  assert.throws(() => parseVacation('2026-07-10..2026-07-05', null, 'UTC', now), { status: 400 });
+  assert.throws(() => parseVacation('next week', null, 'UTC', now), { status: 400 });
+});
+
+test('the most restrictive rule wins, manual first on a tie', () => {
+  const now = at('2026-07-15T12:00:00Z');
+  assert.equal(resolveSchedule({ manual: 'slow', capacity: { slowAt: 2, closedAt: 4 } }, { now, activeOrders: 4 }).reason, 'capacity');
+  assert.equal(resolveSchedule({ manual: 'slow', capacity: { slowAt: 2, closedAt: 4 } }, { now, activeOrders: 2 }).reason, 'manual');
+  assert.equal(resolveSchedule({ manual: 'closed', closedDays: ['wed'] }, { now }).reason, 'manual');
+  assert.equal(resolveSchedule({ manual: 'closed' }, { now }).accepting, 'no');
+});
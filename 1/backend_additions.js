@@ -6,241 +6,875 @@
 // STEP 1 — Install multer (one time):
 //   cd ~/discord-bot-backend && npm install multer
 //
+// STEP 1b — Copy the helper modules next to index.js:
+//   run_process.js, service_control.js, dashboard_auth.js, tasks.js, jobs.js,
+//   deploy.js, deploy_sources.js, runtimes.js, bot_registry.js, metrics.js,
+//   alerts.js, logs.js, analytics.js, visits.js
+//
+// STEP 1c — Set DASHBOARD_SECRET in .env (any long random string) and
+//   create the first dashboard user:
+//   node dashboard_auth.js adduser <username> admin <password>
+//   (The bot owner can also sign in with Discord — see section 0.)
+//   The bot list lives in bots.json, created from DEFAULT_BOTS on first run.
+//   Alerts post to the channel set with /setalerts (or ALERTS_CHANNEL_ID).
+//
 // STEP 2 — At the TOP of index.js, with the other requires:
 //
-//   const { exec, spawn } = require('child_process');
+//   const { spawn }       = require('child_process');
 //   const fs              = require('fs');
 //   const multer          = require('multer');
 //   const upload          = multer({ dest: '/tmp/bot-uploads/' });
+//   const { SERVICE_ACTIONS, systemdAdapter, pm2Adapter, createServiceControl } = require('./service_control');
+//   const { ROLES, authenticate, resolveDiscordUser, issueToken, verifyToken, requireAuth, requireRole } = require('./dashboard_auth');
+//   const { tasksFor, startTask } = require('./tasks');
+//   const { createJobManager } = require('./jobs');
+//   const { validateDeploySpec, deploy } = require('./deploy');
+//   const { createBotRegistry } = require('./bot_registry');
+//   const { createMetricsSampler } = require('./metrics');
+//   const { createAlertEngine, parseDuration, fmtDuration } = require('./alerts');
+//   const { queryLogs, exportLogs, validateLogQuery, createLogHub } = require('./logs');
+//   const { computeAnalytics } = require('./analytics');
+//   const { computeVisitStats } = require('./visits');
 //
 // STEP 3 — Paste the routes below into index.js (anywhere before app.listen)
 // ═══════════════════════════════════════════════════════════════════════
 
-// ── CORS (allow dashboard HTML to call from port 80) ──────────────────
-// If you don't have cors middleware already, add this near the top:
+// ── CORS ──────────────────────────────────────────────────────────────
+// The cors() middleware already in index.js covers the dashboard. Access is
+// controlled by the bearer token below, not by origin — but still don't add
+// a blanket `Access-Control-Allow-Origin: *` for /dashboard.
+
+
+// ── 0. AUTH ───────────────────────────────────────────────────────────
+// POST /dashboard/auth/login             { username, password } → { token, role }
+// GET  /dashboard/auth/me                → { user, role }
+// GET  /dashboard/auth/discord           → redirects to Discord OAuth
+// GET  /dashboard/auth/discord/callback  → redirects to DASHBOARD_URL#token=…
 //
-//   app.use((req, res, next) => {
-//     res.setHeader('Access-Control-Allow-Origin', '*');
-//     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-//     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-//     if (req.method === 'OPTIONS') return res.sendStatus(204);
-//     next();
-//   });
+// Every other /dashboard route requires a session; each route below names
+// the minimum role it needs.
+//
+// The Discord login is tied to the browser that started it: a random nonce
+// goes in a short-lived cookie and in the signed OAuth state, and the
+// callback only accepts a state whose nonce matches the cookie (no login
+// CSRF with someone else's state).
+
+const DISCORD_OAUTH = {
+  clientId:     process.env.DISCORD_CLIENT_ID,
+  clientSecret: process.env.DISCORD_CLIENT_SECRET,
+  redirectUri:  process.env.DASHBOARD_OAUTH_REDIRECT, // http://<host>:3000/dashboard/auth/discord/callback
+  dashboardUrl: process.env.DASHBOARD_URL,            // http://<host>/
+};
+
+const OAUTH_NONCE_COOKIE = 'dashboard_oauth_nonce';
+const OAUTH_NONCE_TTL    = 600; // seconds
 
+const oauthCookie = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax', // sent on the top-level redirect back from Discord
+  secure:   req.secure,
+  path:     '/dashboard/auth/discord',
+});
 
-// ── 1. LIVE LOG STREAM (SSE) ──────────────────────────────────────────
-// GET /dashboard/logs/:bot/stream
-// Streams journalctl (systemd bots) or pm2 logs (node backend) live.
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many login attempts. Try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-app.get('/dashboard/logs/:bot/stream', (req, res) => {
-  const bot = req.params.bot;
+app.post('/dashboard/auth/login', loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
 
-  res.setHeader('Content-Type',                 'text/event-stream');
-  res.setHeader('Cache-Control',                'no-cache');
-  res.setHeader('Connection',                   'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin',  '*');
-  res.flushHeaders();
+  const session = authenticate(String(username), String(password));
+  if (!session) return res.status(401).json({ error: 'Invalid username or password' });
 
-  let proc;
-  if (bot === 'discord-bot-backend') {
-    // PM2-managed node process
-    proc = spawn('pm2', ['logs', 'discord-bot', '--raw', '--lines', '80', '--nocolor']);
-  } else {
-    // systemd Python bots
-    proc = spawn('journalctl', ['-u', bot, '-f', '--no-pager', '-n', '80', '-o', 'short']);
+  res.json({ token: issueToken(session), role: session.role });
+});
+
+app.get('/dashboard/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.session.sub, role: req.session.role });
+});
+
+app.get('/dashboard/auth/discord', (req, res) => {
+  if (!DISCORD_OAUTH.clientId || !DISCORD_OAUTH.redirectUri) {
+    return res.status(501).json({ error: 'Discord login is not configured' });
   }
+  const nonce = randomBytes(16).toString('base64url');
+  res.cookie(OAUTH_NONCE_COOKIE, nonce, { ...oauthCookie(req), maxAge: OAUTH_NONCE_TTL * 1000 });
+  const params = new URLSearchParams({
+    client_id:     DISCORD_OAUTH.clientId,
+    response_type: 'code',
+    redirect_uri:  DISCORD_OAUTH.redirectUri,
+    scope:         'identify',
+    state:         issueToken({ purpose: 'oauth', nonce }, OAUTH_NONCE_TTL),
+  });
+  res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+});
 
-  const send = (data) => {
-    const lines = data.toString().split('\n');
-    for (const line of lines) {
-      if (line.trim()) res.write(`data: ${line}\n\n`);
-    }
+app.get('/dashboard/auth/discord/callback', async (req, res) => {
+  const state = verifyToken(req.query.state);
+  const nonce = readCookie(req, OAUTH_NONCE_COOKIE);
+  res.clearCookie(OAUTH_NONCE_COOKIE, oauthCookie(req)); // one attempt per cookie
+  if (!state || state.purpose !== 'oauth' || !nonce || state.nonce !== nonce || !req.query.code) {
+    return res.status(400).send('Invalid or expired login attempt.');
+  }
+
+  try {
+    const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id:     DISCORD_OAUTH.clientId,
+        client_secret: DISCORD_OAUTH.clientSecret,
+        grant_type:    'authorization_code',
+        code:          String(req.query.code),
+        redirect_uri:  DISCORD_OAUTH.redirectUri,
+      }),
+    });
+    if (!tokenRes.ok) throw new Error(`token exchange failed (${tokenRes.status})`);
+    const { access_token } = await tokenRes.json();
+
+    const meRes = await fetch('https://discord.com/api/users/@me', {
+      headers: { Authorization: `Bearer ${access_token}` },
+    });
+    if (!meRes.ok) throw new Error(`user lookup failed (${meRes.status})`);
+    const me = await meRes.json();
+
+    const session = resolveDiscordUser(me.id, CONFIG.OWNER_ID);
+    if (!session) return res.status(403).send('This Discord account has no dashboard access.');
+
+    res.redirect(`${DISCORD_OAUTH.dashboardUrl || '/'}#token=${issueToken(session)}`);
+  } catch (e) {
+    console.error('Dashboard OAuth error:', e.message);
+    res.status(502).send('Discord login failed. Try again.');
+  }
+});
+
+
+// ── 0b. BOT REGISTRY ──────────────────────────────────────────────────
+// GET    /dashboard/bots?tag=&owner=   → registered bots
+// GET    /dashboard/bots/:bot
+// POST   /dashboard/bots               { name, dir, runtime, manager, unit, owner, tags } → 201
+// PUT    /dashboard/bots/:bot          any of the above except name
+// DELETE /dashboard/bots/:bot          forgets the bot (files and service stay)
+//
+// Every route with a :bot parameter goes through resolveBot — names that
+// aren't registered get a 404. /dashboard/setup registers new bots itself.
+
+const DEFAULT_BOTS = [
+  { name: 'londonbot',           dir: '/home/admin1/londonbot',           runtime: 'python', manager: 'systemd', unit: 'londonbot',   tags: ['moderation', 'cln', 'sqlite'] },
+  { name: 'bot2',                dir: '/home/admin1/bot2',                runtime: 'python', manager: 'systemd', unit: 'bot2',        tags: [] },
+  { name: 'texasrp',             dir: '/home/admin1/texasbot',            runtime: 'python', manager: 'systemd', unit: 'texasrp',     tags: ['roleplay'] },
+  { name: 'discord-bot-backend', dir: '/home/admin1/discord-bot-backend', runtime: 'node',   manager: 'pm2',     unit: 'discord-bot', tags: ['express', 'port 3000'] },
+];
+
+const registry = createBotRegistry({ file: './bots.json', seed: DEFAULT_BOTS });
+
+function resolveBot(req, res, next) {
+  try {
+    req.bot = registry.resolve(req.params.bot);
+    next();
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+}
+
+app.get('/dashboard/bots', requireRole('viewer'), (req, res) => {
+  const { tag, owner } = req.query;
+  res.json(registry.list({ tag, owner }));
+});
+
+app.get('/dashboard/bots/:bot', requireRole('viewer'), resolveBot, (req, res) => {
+  res.json(req.bot);
+});
+
+app.post('/dashboard/bots', requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(registry.add(req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.put('/dashboard/bots/:bot', requireRole('admin'), resolveBot, (req, res) => {
+  try {
+    res.json(registry.update(req.bot.name, req.body || {}));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.delete('/dashboard/bots/:bot', requireRole('admin'), resolveBot, (req, res) => {
+  if (jobs.list({ bot: req.bot.name, status: 'running' }).length) {
+    return res.status(409).json({ error: `${req.bot.name} has a running job` });
+  }
+  registry.remove(req.bot.name);
+  res.json({ message: `${req.bot.name} removed from the registry` });
+});
+
+
+// ── 1. LOGS ───────────────────────────────────────────────────────────
+// GET /dashboard/logs/:bot?since=&until=&q=&regex=1&level=&limit=&cursor=
+//     → { events, nextCursor }            events oldest first
+// GET /dashboard/logs/:bot/export?…same filters…&format=txt|ndjson
+//     → file download (up to 100k events)
+// GET /dashboard/logs/:bot/stream         → SSE, one JSON event per message
+//
+// Events are { t, level, message, source }; level is debug | info | warn |
+// error and `level=` returns that level and above. since/until take an ISO
+// date, epoch ms or "30m" / "6h" / "2d" (ago). regex=1 treats q as a regex
+// (operator role and up). Pass nextCursor back as cursor for the next page.
+//
+// History comes from journalctl -o json (systemd) or the pm2 log files.
+// The live stream shares one follower per bot between every viewer; stream
+// ids are sequence numbers, so a reconnect with Last-Event-ID only gets what
+// it missed.
+
+const logHub = createLogHub({ resolveBot: (name) => registry.get(name) });
+
+function logQuery(req) {
+  const { since, until, q, level, limit, cursor } = req.query;
+  const regex = req.query.regex === '1' || req.query.regex === 'true';
+  if (regex && ROLES.indexOf(req.session.role) < ROLES.indexOf('operator')) {
+    throw Object.assign(new Error('Regex search requires operator role'), { status: 403 });
+  }
+  return { since, until, q, regex, level, limit, cursor };
+}
+
+app.get('/dashboard/logs/:bot', requireRole('viewer'), resolveBot, async (req, res) => {
+  try {
+    res.json(await queryLogs(req.bot, logQuery(req)));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.get('/dashboard/logs/:bot/export', requireRole('viewer'), resolveBot, async (req, res) => {
+  let opts;
+  try {
+    opts = logQuery(req);
+    validateLogQuery(opts);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+
+  const ndjson = req.query.format === 'ndjson';
+  const stamp  = new Date().toISOString().replace(/[:.]/g, '-');
+  res.setHeader('Content-Type', ndjson ? 'application/x-ndjson' : 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.bot.name}-${stamp}.${ndjson ? 'ndjson' : 'log'}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  const write = (e) => {
+    const line = ndjson
+      ? JSON.stringify(e)
+      : `${e.t ? new Date(e.t).toISOString() : '-'} ${e.level.toUpperCase().padEnd(5)} ${e.message}`;
+    // Respect backpressure on big exports
+    if (!res.write(line + '\n')) return new Promise(r => res.once('drain', r));
   };
 
-  proc.stdout.on('data', send);
-  proc.stderr.on('data', send);
+  try {
+    await exportLogs(req.bot, opts, write);
+  } catch (e) {
+    res.write(`\n# export stopped: ${e.message}\n`);
+  }
+  res.end();
+});
+
+app.get('/dashboard/logs/:bot/stream', requireRole('viewer'), resolveBot, (req, res) => {
+  res.setHeader('Content-Type',  'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection',    'keep-alive');
+  res.flushHeaders();
+
+  const lastId      = parseInt(req.headers['last-event-id'], 10);
+  const unsubscribe = logHub.subscribe(req.bot.name, (e) => {
+    const { id, ...event } = e;
+    res.write(`id: ${id}\ndata: ${JSON.stringify(event)}\n\n`);
+  }, { lastEventId: Number.isNaN(lastId) ? null : lastId });
 
   // Keepalive ping every 20s so the connection doesn't drop
   const ping = setInterval(() => res.write(': ping\n\n'), 20000);
 
   req.on('close', () => {
     clearInterval(ping);
-    try { proc.kill(); } catch {}
+    unsubscribe();
   });
 });
 
 
 // ── 2. SYSTEM STATS ───────────────────────────────────────────────────
-// GET /dashboard/stats
-// Returns CPU %, RAM (MB used/total), Disk usage.
-
-app.get('/dashboard/stats', (req, res) => {
-  exec("top -bn1 | grep 'Cpu(s)' | awk '{print $2+$4}'", (e1, cpuRaw) => {
-    exec("free -m | awk 'NR==2{print $3\" \"$2}'", (e2, ramRaw) => {
-      exec("df -h / | awk 'NR==2{print $3\" \"$2\" \"$5}'", (e3, diskRaw) => {
-        const cpu                   = parseFloat(cpuRaw || '0').toFixed(1);
-        const [memUsed, memTotal]   = (ramRaw  || '0 0').trim().split(' ');
-        const [diskUsed, diskTotal, diskPct] = (diskRaw || '0 0 0%').trim().split(' ');
-        res.json({ cpu, memUsed, memTotal, diskUsed, diskTotal, diskPct });
-      });
+// GET /dashboard/stats                          → latest sample: CPU %, RAM (MB
+//                                                 used/total), disk, network KB/s
+// GET /dashboard/stats/history?bot=&range=1h    → downsampled series (1h | 1d | 1w)
+//
+// metrics.js samples /proc every 30s — host CPU/RAM/disk/network plus CPU
+// and RSS of every registered bot with a running PID — and keeps a week of
+// samples in metrics_history.json. Without ?bot= the history is host-wide.
+
+const metrics = createMetricsSampler({
+  file:    './metrics_history.json',
+  getBots: async () => Object.entries(await services.statusAll())
+    .map(([name, s]) => ({ name, pid: s.pid })),
+});
+
+app.get('/dashboard/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const s = metrics.latest() || await metrics.sample() || {};
+    res.json({
+      cpu:       (s.cpu || 0).toFixed(1),
+      memUsed:   s.memUsed || 0,
+      memTotal:  s.memTotal || 0,
+      diskUsed:  `${s.diskUsed || 0}G`,
+      diskTotal: `${s.diskTotal || 0}G`,
+      diskPct:   `${s.diskTotal ? Math.round(s.diskUsed / s.diskTotal * 100) : 0}%`,
+      rx:        s.rx || 0,
+      tx:        s.tx || 0,
+      t:         s.t || null,
     });
-  });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+app.get('/dashboard/stats/history', requireRole('viewer'), (req, res) => {
+  try {
+    const bot = req.query.bot ? registry.resolve(req.query.bot).name : undefined;
+    res.json(metrics.history({ bot, range: req.query.range || '1h' }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
 
-// ── 3. QUICK COMMAND RUNNER ───────────────────────────────────────────
-// POST /dashboard/command/:bot   { "cmd": "pip install requests" }
-// Runs a shell command inside the bot's working directory.
 
-const BOT_DIRS = {
-  londonbot:           '/home/admin1/londonbot',
-  bot2:                '/home/admin1/bot2',
-  texasrp:             '/home/admin1/texasbot',
-  'discord-bot-backend': '/home/admin1/discord-bot-backend',
-};
+// ── 3. QUICK TASKS ────────────────────────────────────────────────────
+// GET  /dashboard/tasks/:bot     → tasks available to this bot + your role
+// POST /dashboard/command/:bot   { "task": "pip-install", "params": { "package": "requests" } }
+//                                { "task": "raw", "params": { "cmd": "…" }, "confirm": "<bot>" }
+//                                → 202 { jobId }
+// Runs a catalogue task (see tasks.js) inside the bot's working directory
+// as a job — follow it with /dashboard/jobs/:id/stream (section 6).
+// Every run is appended to command_audit.log.
+
+app.get('/dashboard/tasks/:bot', requireRole('operator'), resolveBot, (req, res) => {
+  res.json(tasksFor(req.bot, req.session.role));
+});
 
-// Basic blocklist — prevents obviously destructive commands
-const BLOCKED_CMDS = ['rm -rf /', 'mkfs', 'dd if=', ':(){ :|:& };:', 'shutdown', 'reboot', 'poweroff'];
+app.post('/dashboard/command/:bot', requireRole('operator'), resolveBot, (req, res) => {
+  try {
+    const job = startTask(jobs, req.bot, req.session, req.body || {});
+    res.status(202).json({ jobId: job.id });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
 
-app.post('/dashboard/command/:bot', (req, res) => {
-  const bot = req.params.bot;
-  const cmd = (req.body && req.body.cmd) ? req.body.cmd.trim() : '';
 
-  if (!cmd) return res.status(400).json({ error: 'No command provided' });
+// ── 4. ONE-CLICK BOT DEPLOY ───────────────────────────────────────────
+// POST /dashboard/setup  (multipart form)
+// Fields: botname, runtime (python | node | custom), mode (new | redeploy),
+//         source (file | archive | git), gitUrl, gitRef, entrypoint, deps,
+//         envContent
+// File:   botfile (single file, or .zip/.tar/.tar.gz/.tgz for source=archive)
+// → 202 { jobId } — progress streams on /dashboard/jobs/:id/stream
+//
+// Runs the staged deploy in deploy.js:
+//   1. Fetches the code (upload, archive or git clone) into a staging dir
+//   2. Checks the entry point; picks up the runtime's manifest
+//      (requirements.txt / pyproject.toml / package(-lock).json)
+//   3. Creates ~/botname, copies code, writes .env (if provided)
+//   4. Runtime install steps — Python: venv + pip (discord.py, dotenv, extras,
+//      requirements); Node: npm ci / npm install + extras; custom: none
+//   5. Installs /etc/systemd/system/botname.service with the runtime's ExecStart
+//   6. daemon-reload → enable --now → health check (still active after settling)
+// For runtime=custom, entrypoint is the start command, e.g. "./start.sh --prod".
+// mode=redeploy swaps the code of an existing bot instead, keeping its .env
+// and installed deps (unit file is left as-is), then restarts it.
+// A failed or cancelled stage rolls back the earlier ones.
+//
+// A successful new deploy registers the bot (owner = the deploying user).
+// Redeploys only accept registered systemd bots of the same runtime.
+//
+// Requires: admin1 has NOPASSWD sudo for systemctl, install and rm (visudo)
 
-  if (BLOCKED_CMDS.some(b => cmd.includes(b))) {
-    return res.status(403).json({ error: 'Command blocked for safety' });
+app.post('/dashboard/setup', requireRole('admin'), upload.single('botfile'), (req, res) => {
+  let spec;
+  try {
+    spec = validateDeploySpec(req.body || {}, req.file);
+    checkDeployAgainstRegistry(spec);
+  } catch (e) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(e.status || 500).json({ error: e.message });
   }
 
-  const cwd = BOT_DIRS[bot] || `/home/admin1/${bot}`;
+  const job = jobs.create({
+    kind:  'deploy',
+    bot:   spec.botname,
+    label: `deploy ${spec.botname}`,
+    user:  req.session.sub,
+    onFinish: (j) => {
+      if (j.status !== 'succeeded' || spec.mode !== 'new') return;
+      registry.add({
+        name:    spec.botname,
+        dir:     spec.botDir,
+        runtime: spec.runtime,
+        manager: 'systemd',
+        unit:    spec.botname,
+        owner:   req.session.sub,
+      });
+    },
+  }, (ctx) => deploy(ctx, spec));
 
-  exec(cmd, { cwd, timeout: 30000, maxBuffer: 1024 * 512 }, (err, stdout, stderr) => {
-    res.json({
-      stdout: stdout || '',
-      stderr: stderr || '',
-      code:   err ? (err.code || 1) : 0,
-    });
+  res.status(202).json({ jobId: job.id });
+});
+
+function checkDeployAgainstRegistry(spec) {
+  const fail = (status, msg) => { throw Object.assign(new Error(msg), { status }); };
+  if (spec.mode === 'new') {
+    if (registry.has(spec.botname)) fail(409, `${spec.botname} is already registered — use redeploy`);
+    return;
+  }
+  const bot = registry.resolve(spec.botname);
+  if (bot.manager !== 'systemd' || bot.dir !== spec.botDir) {
+    fail(400, `${spec.botname} was not deployed from the dashboard and can't be redeployed here`);
+  }
+  if (bot.runtime !== spec.runtime) {
+    fail(400, `${spec.botname} runs on ${bot.runtime}; redeploy keeps the unit file, so the runtime can't change`);
+  }
+}
+
+
+// ── 6. JOBS ───────────────────────────────────────────────────────────
+// GET  /dashboard/jobs?bot=&kind=&status=&limit=   → job summaries, newest first
+// GET  /dashboard/jobs/:id                         → summary + full output
+// GET  /dashboard/jobs/:id/stream                  → SSE: output lines, then `event: end`
+// POST /dashboard/jobs/:id/cancel
+//
+// Stream messages are JSON { t, stream, line }. Reconnects resume from
+// Last-Event-ID instead of replaying the whole output.
+//
+// Output (it can show a bot's files) is for the job's owner and operators
+// and up; viewers get the summary without it, and no stream.
+
+const jobs = createJobManager({ historyFile: './jobs_history.json' });
+
+const canReadOutput = (job, session) =>
+  job.user === session.sub || ROLES.indexOf(session.role) >= ROLES.indexOf('operator');
+
+app.get('/dashboard/jobs', requireRole('viewer'), (req, res) => {
+  const { bot, kind, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json(jobs.list({ bot, kind, status, limit }));
+});
+
+app.get('/dashboard/jobs/:id', requireRole('viewer'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(canReadOutput(job, req.session) ? { ...jobs.summary(job), output: job.output } : jobs.summary(job));
+});
+
+app.get('/dashboard/jobs/:id/stream', requireRole('viewer'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!canReadOutput(job, req.session)) return res.status(403).json({ error: 'Job output is limited to its owner and operators' });
+
+  res.setHeader('Content-Type',  'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection',    'keep-alive');
+  res.flushHeaders();
+
+  // Event ids are job line numbers, which stay put when old lines are dropped
+  const lastId = parseInt(req.headers['last-event-id'], 10);
+  let   ended  = false;
+
+  const unsubscribe = jobs.subscribe(req.params.id, {
+    onLine: (entry, index) => res.write(`id: ${index}\ndata: ${JSON.stringify(entry)}\n\n`),
+    onEnd:  (summary) => {
+      ended = true;
+      res.write(`event: end\ndata: ${JSON.stringify(summary)}\n\n`);
+      res.end();
+    },
+  }, Number.isNaN(lastId) ? 0 : lastId + 1);
+
+  // A finished job has already been replayed and closed
+  if (ended) return;
+  const ping = setInterval(() => res.write(': ping\n\n'), 20000);
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
   });
 });
 
+app.post('/dashboard/jobs/:id/cancel', requireRole('operator'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.user !== req.session.sub && req.session.role !== 'admin') {
+    return res.status(403).json({ error: 'You can only cancel your own jobs' });
+  }
+  if (!jobs.cancel(job.id)) return res.status(409).json({ error: `Job is already ${job.status}` });
+  res.json({ message: 'Cancel requested' });
+});
 
-// ── 4. ONE-CLICK BOT DEPLOY ───────────────────────────────────────────
-// POST /dashboard/setup  (multipart form)
-// Fields: botname, entrypoint, deps, envContent
-// File:   botfile (.py)
-//
-// What it does automatically:
-//   1. Creates ~/botname directory
-//   2. Copies uploaded .py file
-//   3. Writes .env file (if provided)
-//   4. Creates Python venv
-//   5. pip installs discord.py + python-dotenv + any extras
-//   6. Writes /etc/systemd/system/botname.service
-//   7. daemon-reload → enable → start
-//
-// Requires: admin1 has NOPASSWD sudo for systemctl (already set in visudo)
-
-app.post('/dashboard/setup', upload.single('botfile'), (req, res) => {
-  const { botname, entrypoint, deps, envContent } = req.body;
-
-  // Validate
-  if (!botname || !/^[a-z0-9_-]+$/.test(botname)) {
-    return res.status(400).json({ error: 'Invalid bot name. Use lowercase letters, numbers, hyphens.' });
-  }
-  if (!req.file) {
-    return res.status(400).json({ error: 'No bot file uploaded.' });
-  }
-
-  const botDir  = `/home/admin1/${botname}`;
-  const entry   = entrypoint || req.file.originalname || 'bot.py';
-  const baseDeps = ['discord.py', 'python-dotenv'];
-  const extraDeps = deps ? deps.split(',').map(d => d.trim()).filter(Boolean) : [];
-  const allDeps  = [...new Set([...baseDeps, ...extraDeps])].join(' ');
-
-  // Write the setup script to a temp file (avoids shell escaping hell)
-  const scriptPath = `/tmp/deploy_${botname}_${Date.now()}.sh`;
-
-  const serviceFile = `/etc/systemd/system/${botname}.service`;
-  const serviceContent = `[Unit]
-Description=${botname} Discord Bot
-After=network.target
-
-[Service]
-User=admin1
-WorkingDirectory=${botDir}
-ExecStart=${botDir}/venv/bin/python3 ${entry}
-Restart=always
-RestartSec=10
-EnvironmentFile=-${botDir}/.env
-
-[Install]
-WantedBy=multi-user.target`;
-
-  // Build script lines
-  const lines = [
-    '#!/bin/bash',
-    'set -e',
-    `echo "[1/6] Creating directory: ${botDir}"`,
-    `mkdir -p "${botDir}"`,
-    `echo "[2/6] Copying bot file: ${entry}"`,
-    `cp "${req.file.path}" "${botDir}/${entry}"`,
-    `chmod 644 "${botDir}/${entry}"`,
-  ];
-
-  if (envContent && envContent.trim()) {
-    lines.push(`echo "[2b] Writing .env file"`);
-    // Write env via python to avoid heredoc escaping issues
-    const envEscaped = JSON.stringify(envContent);
-    lines.push(`python3 -c "import sys; open('${botDir}/.env','w').write(sys.argv[1])" ${envEscaped}`);
-    lines.push(`chmod 600 "${botDir}/.env"`);
-  }
-
-  lines.push(
-    `echo "[3/6] Creating virtual environment"`,
-    `python3 -m venv "${botDir}/venv"`,
-    `echo "[4/6] Installing: ${allDeps}"`,
-    `"${botDir}/venv/bin/pip" install --quiet --upgrade pip`,
-    `"${botDir}/venv/bin/pip" install --quiet ${allDeps}`,
-    `echo "[5/6] Writing systemd service"`,
-    // Write service file using python (safe for multiline)
-    `python3 -c "open('${serviceFile}','w').write(open('/tmp/svc_${botname}.txt').read())"`,
-    `echo "[6/6] Enabling and starting service"`,
-    `sudo systemctl daemon-reload`,
-    `sudo systemctl enable ${botname}`,
-    `sudo systemctl start ${botname}`,
-    `echo "STATUS: $(sudo systemctl is-active ${botname})"`,
-    `echo "DEPLOY_OK"`,
-  );
-
-  try {
-    // Write service content to a separate temp file
-    fs.writeFileSync(`/tmp/svc_${botname}.txt`, serviceContent);
-    fs.writeFileSync(scriptPath, lines.join('\n') + '\n', { mode: 0o755 });
-  } catch (e) {
-    return res.status(500).json({ error: `Failed to write setup script: ${e.message}` });
-  }
-
-  exec(`bash "${scriptPath}"`, { timeout: 180000, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
-    // Cleanup temp files
-    try { fs.unlinkSync(scriptPath); }          catch {}
-    try { fs.unlinkSync(`/tmp/svc_${botname}.txt`); } catch {}
-    try { fs.unlinkSync(req.file.path); }       catch {}
-
-    const output = stdout || '';
-    const ok     = output.includes('DEPLOY_OK');
-
-    if (!ok) {
-      return res.status(500).json({
-        error: stderr || (err ? err.message : 'Unknown error'),
-        stdout: output,
-      });
+
+// ── 5. SERVICE STATUS & CONTROL ───────────────────────────────────────
+// GET  /dashboard/status                 → { bot: { state, uptime, pid, restarts, manager } }
+// POST /dashboard/{start|stop|restart}/:bot
+//
+// state is one of: active | inactive | failed (| unknown if the manager
+// itself could not be queried). uptime is in seconds.
+
+const services = createServiceControl({
+  registry,
+  adapters: { systemd: systemdAdapter(), pm2: pm2Adapter() },
+});
+
+// Started here rather than in section 2: the sampler asks `services` for PIDs
+metrics.start();
+
+
+// ── 7. ALERTS ─────────────────────────────────────────────────────────
+// GET  /dashboard/alerts                 → { active, silences, rules }
+// PUT  /dashboard/alerts/rules           [rule, …]  (see alerts.js for the shape)
+// POST /dashboard/alerts/silence         { target, duration: "2h", reason }
+// POST /dashboard/alerts/unsilence       { target }
+//
+// Every 30s the engine checks service state, restart counts and the latest
+// metrics sample against the rules; log rules follow the bots' logs live.
+// Firing and resolved alerts post to the alerts channel. Owner commands:
+//   !setalerts #channel   !alerts   !silence <target> <30m|2h|1d> [reason]
+//   !unsilence <target>
+// A target is an alert key (bot-down:londonbot), a rule id, a bot or "all".
+
+const ALERT_INTERVAL = 30000;
+
+async function getAlertsChannel() {
+  const cfg = await getConfig();
+  const id  = cfg?.alertsChannelId || process.env.ALERTS_CHANNEL_ID;
+  return id ? client.channels.fetch(id) : null;
+}
+
+async function postAlert(event, alert) {
+  const channel = await getAlertsChannel();
+  if (!channel) return console.warn(`Alert ${alert.key} not posted — no alerts channel (!setalerts)`);
+
+  const firing = event === 'firing';
+  const embed  = new EmbedBuilder()
+    .setColor(firing ? 0xff4444 : 0x00e5c4)
+    .setTitle(`${firing ? '🚨 ALERT' : '✅ RESOLVED'} — ${alert.ruleId}`)
+    .setDescription(alert.message.slice(0, 4000))
+    .addFields(
+      { name: 'Subject', value: alert.subject,                                   inline: true },
+      { name: 'Since',   value: `<t:${Math.floor(Date.parse(alert.since) / 1000)}:R>`, inline: true },
+    )
+    .setFooter({ text: `Alert key: ${alert.key}` })
+    .setTimestamp();
+
+  const row = firing ? [{
+    type: 1,
+    components: [
+      { type: 2, style: 2, label: '🔕 Silence 1h',  custom_id: `alert-silence:1h:${alert.key}` },
+      { type: 2, style: 2, label: '🔕 Silence 24h', custom_id: `alert-silence:1d:${alert.key}` },
+    ],
+  }] : [];
+
+  await channel.send({
+    content:    firing ? `<@${CONFIG.OWNER_ID}>` : undefined,
+    embeds:     [embed],
+    components: row,
+  });
+}
+
+const alerts = createAlertEngine({
+  rulesFile:  './alert_rules.json',
+  stateFile:  './alert_state.json',
+  notify:     postAlert,
+  // Rides on the shared log stream (section 1), new lines only
+  followLogs: (name, onLine) => logHub.subscribe(name, (e) => onLine(e.message), { replay: false }),
+});
+
+setInterval(async () => {
+  try {
+    await alerts.check({ statuses: await services.statusAll(), sample: metrics.latest() });
+  } catch (e) {
+    console.error('Alert check failed:', e.message);
+  }
+}, ALERT_INTERVAL).unref();
+
+app.get('/dashboard/alerts', requireRole('viewer'), (req, res) => {
+  res.json({ active: alerts.active(), silences: alerts.silences(), rules: alerts.rules() });
+});
+
+app.put('/dashboard/alerts/rules', requireRole('admin'), (req, res) => {
+  try {
+    res.json(alerts.setRules(req.body));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.post('/dashboard/alerts/silence', requireRole('operator'), (req, res) => {
+  const { target, duration, reason } = req.body || {};
+  const ms = parseDuration(duration);
+  if (!ms) return res.status(400).json({ error: 'duration must look like 30m, 2h or 1d' });
+  try {
+    res.json(alerts.silence(target, ms, req.session.sub, reason));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.post('/dashboard/alerts/unsilence', requireRole('operator'), (req, res) => {
+  const target = String((req.body || {}).target || '');
+  if (!alerts.unsilence(target)) return res.status(404).json({ error: `No silence for ${target}` });
+  res.json({ message: `${target} unsilenced` });
+});
+
+// Owner commands — registered on index.js's command router (commands.js),
+// so they work as /setalerts and as !setalerts
+const alertTargetChoices = (query) => [
+  'all',
+  ...alerts.active().map(a => a.key),
+  ...alerts.rules().map(r => r.id),
+  ...registry.list().map(b => b.name),
+].filter((t, i, all) => all.indexOf(t) === i && t.toLowerCase().includes(query.toLowerCase()))
+  .map(t => ({ name: t, value: t }));
+
+commands.add({
+  name: 'setalerts', group: 'Alerts', description: 'Set the alerts channel',
+  options: [{ name: 'channel', type: 'channel', description: 'Channel for alert posts', required: true }],
+  run: async ({ channel }) => {
+    let ch;
+    try {
+      ch = await client.channels.fetch(channel);
+    } catch {
+      throw Object.assign(new Error('Channel not found or bot lacks access.'), { status: 404 });
     }
+    await setConfig('alertsChannelId', ch.id);
+    return `🚨 Alerts will post to <#${ch.id}>.`;
+  },
+});
 
-    res.json({
-      success: true,
-      stdout:  output.replace('DEPLOY_OK', '').trim(),
-      message: `${botname} deployed and started successfully!`,
-    });
+commands.add({
+  name: 'alerts', group: 'Alerts', description: 'Active alerts and silences',
+  run: () => {
+    const active   = alerts.active();
+    const silences = alerts.silences();
+    const lines = active.length
+      ? active.map(a => `${a.silenced ? '🔕' : '🚨'} \`${a.key}\` — ${a.message.split('\n')[0]}`).join('\n')
+      : '✅ Nothing firing.';
+    const muted = silences.map(s =>
+      `🔕 \`${s.target}\` until <t:${Math.floor(s.until / 1000)}:t>${s.reason ? ` — ${s.reason}` : ''}`).join('\n');
+    return { embeds: [
+      new EmbedBuilder().setColor(active.length ? 0xff4444 : 0x00e5c4)
+        .setTitle(`🚨 Alerts (${active.length} active)`)
+        .setDescription(lines.slice(0, 4000))
+        .addFields({ name: 'Silences', value: muted.slice(0, 1024) || 'None', inline: false })
+        .setTimestamp()
+    ]};
+  },
+});
+
+commands.add({
+  name: 'silence', group: 'Alerts', description: 'Mute an alert, rule, bot or all',
+  options: [
+    { name: 'target',   type: 'string', description: 'Alert key, rule, bot or "all"', required: true, autocomplete: alertTargetChoices },
+    { name: 'duration', type: 'string', description: 'e.g. 30m, 2h, 1d', required: true },
+    { name: 'reason',   type: 'string', description: 'Why', maxLength: 200 },
+  ],
+  run: ({ target, duration, reason }, ctx) => {
+    const ms = parseDuration(duration);
+    if (!ms) throw Object.assign(new Error('duration must look like 30m, 2h or 1d'), { status: 400 });
+    const s = alerts.silence(target, ms, ctx.user.tag, reason);
+    return `🔕 \`${s.target}\` silenced for ${fmtDuration(ms)}.`;
+  },
+});
+
+commands.add({
+  name: 'unsilence', group: 'Alerts', description: 'Lift a silence',
+  options: [{
+    name: 'target', type: 'string', description: 'Silenced target', required: true,
+    autocomplete: (query) => alerts.silences()
+      .filter(s => s.target.toLowerCase().includes(query.toLowerCase()))
+      .map(s => ({ name: s.target, value: s.target })),
+  }],
+  run: ({ target }) => (alerts.unsilence(target)
+    ? `🔔 \`${target}\` unsilenced.`
+    : `❌ No silence for \`${target}\`.`),
+});
+
+// "Silence" buttons on alert posts
+client.on('interactionCreate', async (interaction) => {
+  if (!interaction.isButton() || !interaction.customId.startsWith('alert-silence:')) return;
+  if (interaction.user.id !== CONFIG.OWNER_ID) return; // index.js already replied "Owner only"
+
+  const [, duration, ...rest] = interaction.customId.split(':');
+  const key = rest.join(':');
+  const ms  = parseDuration(duration);
+  alerts.silence(key, ms, interaction.user.tag);
+  await interaction.reply({ content: `🔕 \`${key}\` silenced for ${fmtDuration(ms)}.`, flags: MessageFlags.Ephemeral })
+    .catch(() => {});
+});
+
+app.get('/dashboard/status', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await services.statusAll());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/dashboard/:action/:bot', (req, res, next) => {
+  if (!SERVICE_ACTIONS.includes(req.params.action)) return next('route');
+  next();
+}, requireRole('operator'), resolveBot, async (req, res) => {
+  const { action, bot } = req.params;
+
+  // Stopping/restarting the PM2 process that serves this request would kill
+  // it before the response goes out — answer first, then act.
+  const svc = req.bot;
+  if (svc.manager === 'pm2' && svc.unit === process.env.name) {
+    res.status(202).json({ message: `${bot} → ${action} (this backend will briefly disconnect)` });
+    return setTimeout(() => services.act(bot, action).catch(() => {}), 250);
+  }
+
+  try {
+    const r = await services.act(bot, action);
+    if (!r.ok) return res.status(500).json({ error: r.output || `${action} failed` });
+    res.json({ message: `${bot} → ${action} OK` });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ── 8. ANALYTICS ──────────────────────────────────────────────────────
+// GET /dashboard/analytics?period=week|month|year   (or &from=&to= ISO dates)
+//   → { series, funnel, timing, revenue, byCategory, unpaidDelivered }
+//
+// Worked out from the orders, their status timelines and recorded payments
+// (see analytics.js). Revenue amounts are minor units per currency.
+// Owner command: !report [week|month] — the same figures as an embed.
+//
+// GET /dashboard/analytics/visits?days=30   (or &from=&to= YYYY-MM-DD)
+//   → { series, totals, conversion, topPaths, topReferrers, counter }
+//
+// Daily unique visitors, views and the form funnel from hashed IPs (see
+// visits.js); conversion rates are percentages.
+
+app.get('/dashboard/analytics', requireRole('viewer'), (req, res) => {
+  const { period, from, to } = req.query;
+  try {
+    res.json(computeAnalytics(store, { period: period || 'month', from, to, categories: formSchema.categories() }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.get('/dashboard/analytics/visits', requireRole('viewer'), (req, res) => {
+  const { days, from, to } = req.query;
+  try {
+    res.json(computeVisitStats(store, { days: days || 30, from, to }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+const fmtMoneyTotals = (totals) =>
+  Object.entries(totals).map(([currency, amount]) => formatMoney(amount, currency)).join(' + ') || '—';
+
+commands.add({
+  name: 'report', group: 'Orders', description: 'Orders, conversion and revenue for the last week or month',
+  options: [{ name: 'period', type: 'string', description: 'week or month (default week)', choices: ['week', 'month'] }],
+  run: ({ period = 'week' }) => {
+    const meta = formSchema.categories();
+    const a = computeAnalytics(store, { period, categories: meta });
+    const v = computeVisitStats(store, { days: period === 'week' ? 7 : 30 });
+    const { funnel, timing, revenue } = a;
+
+    const categories = Object.entries(a.byCategory)
+      .filter(([, c]) => c.orders || Object.keys(c.revenue).length)
+      .map(([name, c]) => `${meta[name]?.emoji || '📥'} **${name}** — ` +
+        `${c.orders} order${c.orders === 1 ? '' : 's'} · ${c.accepted} accepted · ${fmtMoneyTotals(c.revenue)}`)
+      .join('\n');
+    const methods = Object.entries(revenue.byPaymentMethod)
+      .map(([method, totals]) => `**${method}** — ${fmtMoneyTotals(totals)}`)
+      .join('\n');
+    const unpaid = a.unpaidDelivered.orders.slice(0, 5)
+      .map(o => `\`${o.uuid.slice(0, 8)}\` ${o.client} (${o.status})`).join('\n');
+
+    return { embeds: [
+      new EmbedBuilder().setColor(0x7b6ff0)
+        .setTitle(`📈 Report — last ${period === 'week' ? '7' : '30'} days`)
+        .addFields(
+          { name: '📥 New orders',   value: String(funnel.created),                                       inline: true },
+          { name: '✅ Accepted',     value: `${funnel.accepted} (${funnel.conversionRate ?? 0}%)`,        inline: true },
+          { name: '⏳ Still pending', value: String(funnel.pending) + (funnel.waitlisted ? ` + ${funnel.waitlisted} waitlisted` : ''), inline: true },
+          { name: '⏱️ Avg to accept',  value: timing.avgToAcceptMs == null ? '—' : fmtDuration(timing.avgToAcceptMs),   inline: true },
+          { name: '📦 Avg to deliver', value: timing.avgToDeliverMs == null ? '—' : fmtDuration(timing.avgToDeliverMs), inline: true },
+          { name: '💵 Revenue',      value: fmtMoneyTotals(revenue.total) +
+              (revenue.paidWithoutAmount ? `\n+ ${revenue.paidWithoutAmount} paid without an amount` : ''),  inline: true },
+          { name: '👀 Visitors',     value: `${v.totals.visitors} · ${v.totals.inquiryOpened} started the form, ` +
+              `${v.conversion.inquiry ?? 0}% of them sent it`,                                           inline: false },
+          { name: '🗂️ By category',   value: categories.slice(0, 1024) || 'No orders in this period',      inline: false },
+          { name: '💳 By payment method', value: methods.slice(0, 1024) || 'No payments recorded',        inline: false },
+          { name: `⚠️ Delivered but unpaid (${a.unpaidDelivered.count})`, value: unpaid || 'None 🎉',      inline: false },
+        )
+        .setFooter({ text: 'Revenue counts payments recorded in the period' }).setTimestamp()
+    ]};
+  },
+});
+
+// ── 9. INQUIRY FORM ───────────────────────────────────────────────────
+// GET /dashboard/form-schema   → { fields, categories, budgetTiers }
+// PUT /dashboard/form-schema   the whole schema → the saved schema, or 400
+//                              naming what's wrong
+//
+// The schema behind GET /form-schema and /inquiry (see form_schema.js).
+// Owner commands: /form show, addcategory, addbudget, addquestion, … for
+// the common changes.
+
+app.get('/dashboard/form-schema', requireRole('viewer'), (req, res) => {
+  res.json(formSchema.get());
+});
+
+app.put('/dashboard/form-schema', requireRole('admin'), (req, res) => {
+  try {
+    res.json(formSchema.update(req.body));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ── 10. ORDER CONVERSATIONS ───────────────────────────────────────────
+// GET /dashboard/orders/:uuid/conversation?limit=100
+//   → { uuid, client, threadId, total, messages: [{ direction, author,
+//       content, attachments, delivered, at }] }
+//
+// What was relayed between the order's thread and the client's DMs (see
+// order_threads.js), oldest first. direction: out = to the client, in =
+// from them. Admin only — it's the clients' private messages.
+// Owner commands: /thread <id> opens the thread; /order <id> shows the
+// latest messages.
+
+app.get('/dashboard/orders/:uuid/conversation', requireRole('admin'), (req, res) => {
+  const order = store.orders.findByPrefix(req.params.uuid);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  const limit = Math.min(500, Math.max(1, Math.floor(Number(req.query.limit)) || 100));
+  res.json({
+    uuid:     order.uuid,
+    client:   { username: order.discordUsername, discordId: order.clientDiscordId },
+    threadId: order.threadId,
+    total:    store.messages.count(order.uuid),
+    messages: store.messages.list(order.uuid, { limit }),
   });
 });
 
@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════════════════
+// BOT REGISTRY
+// The single list of bots the dashboard knows about. Every route that takes
+// a `:bot` parameter resolves it here — an unknown name is a 404, never a
+// guessed directory or unit.
+//
+// Entry shape:
+//   { name, dir, runtime, manager, unit, owner, tags, createdAt, updatedAt }
+//
+//   name     — id used in URLs (lowercase, digits, - and _)
+//   dir      — working directory, must sit under BOT_ROOT
+//   runtime  — python | node | custom (see runtimes.js)
+//   manager  — systemd | pm2
+//   unit     — systemd unit / pm2 process name
+//   owner    — dashboard username or Discord ID, or null
+//   tags     — short labels shown on the dashboard card
+//
+// Persisted to bots.json (tmp file + rename). The first run seeds the file
+// from `seed`.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs           = require('fs');
+const path         = require('path');
+const { RUNTIMES } = require('./runtimes');
+
+const BOT_ROOT = process.env.DEPLOY_ROOT || '/home/admin1';
+const MANAGERS = ['systemd', 'pm2'];
+
+const BOT_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const UNIT_RE     = /^[A-Za-z0-9_][A-Za-z0-9_.@-]{0,63}$/;
+const TAG_RE      = /^[a-z0-9][a-z0-9 .+#-]{0,23}$/;
+const OWNER_RE    = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_TAGS    = 10;
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+const notFound   = (name) => Object.assign(new Error(`Unknown bot: ${name}`), { status: 404 });
+
+// ── VALIDATION ────────────────────────────────────────────────────────
+
+function validateDir(dir) {
+  const raw = String(dir || '');
+  if (!path.isAbsolute(raw) || raw.split('/').includes('..')) {
+    throw badRequest('dir must be an absolute path without ..');
+  }
+  const norm = path.normalize(raw).replace(/\/+$/, '');
+  if (!norm.startsWith(BOT_ROOT + '/')) throw badRequest(`dir must be inside ${BOT_ROOT}`);
+  return norm;
+}
+
+function validateTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const out  = [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  if (out.length > MAX_TAGS) throw badRequest(`At most ${MAX_TAGS} tags`);
+  for (const t of out) {
+    if (!TAG_RE.test(t)) throw badRequest(`Invalid tag: ${t}`);
+  }
+  return out;
+}
+
+// Full validation for a new entry; `base` supplies fields missing from `body`
+// (used by update, so a PUT only needs the fields it changes).
+function validateBot(body, base = {}) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : base[k]);
+
+  const name = String(pick('name') || '');
+  if (!BOT_NAME_RE.test(name)) {
+    throw badRequest('Invalid bot name. Use lowercase letters, numbers, hyphens (max 32).');
+  }
+
+  const runtime = String(pick('runtime') || 'python');
+  if (!RUNTIMES[runtime]) throw badRequest(`Unknown runtime: ${runtime}. Use ${Object.keys(RUNTIMES).join(', ')}`);
+
+  const manager = String(pick('manager') || 'systemd');
+  if (!MANAGERS.includes(manager)) throw badRequest(`Unknown process manager: ${manager}. Use ${MANAGERS.join(', ')}`);
+
+  const unit = String(pick('unit') || name);
+  if (!UNIT_RE.test(unit)) throw badRequest(`Invalid unit name: ${unit}`);
+
+  const owner = pick('owner') ? String(pick('owner')) : null;
+  if (owner && !OWNER_RE.test(owner)) throw badRequest('Invalid owner');
+
+  return {
+    name,
+    dir:  validateDir(pick('dir') || path.join(BOT_ROOT, name)),
+    runtime,
+    manager,
+    unit,
+    owner,
+    tags: validateTags(pick('tags')),
+  };
+}
+
+// ── REGISTRY ──────────────────────────────────────────────────────────
+
+function createBotRegistry({ file = './bots.json', seed = [] } = {}) {
+  const bots = new Map();
+
+  let loaded = null;
+  try {
+    loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Bot registry ${file} unreadable, starting from seed:`, e.message);
+  }
+
+  const now = new Date().toISOString();
+  for (const entry of loaded || seed) {
+    try {
+      const bot = validateBot(entry);
+      bots.set(bot.name, { ...bot, createdAt: entry.createdAt || now, updatedAt: entry.updatedAt || now });
+    } catch (e) {
+      console.error(`Skipping registry entry ${entry && entry.name}:`, e.message);
+    }
+  }
+
+  let saving = Promise.resolve();
+  function persist() {
+    const tmp  = `${file}.tmp`;
+    const data = JSON.stringify(list(), null, 2);
+    saving = saving
+      .then(() => fs.promises.writeFile(tmp, data))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch(e => console.error('Bot registry write failed:', e.message));
+    return saving;
+  }
+  if (!loaded) persist();
+
+  function list({ tag, owner } = {}) {
+    return [...bots.values()]
+      .filter(b => (!tag || b.tags.includes(tag)) && (!owner || b.owner === owner))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Throws 404 for names that aren't registered
+  function resolve(name) {
+    const bot = bots.get(String(name));
+    if (!bot) throw notFound(name);
+    return bot;
+  }
+
+  function add(body) {
+    const bot = validateBot(body);
+    if (bots.has(bot.name)) {
+      throw Object.assign(new Error(`${bot.name} is already registered`), { status: 409 });
+    }
+    const ts = new Date().toISOString();
+    bots.set(bot.name, { ...bot, createdAt: ts, updatedAt: ts });
+    persist();
+    return bots.get(bot.name);
+  }
+
+  // Renaming isn't supported — jobs, history and units key on the name
+  function update(name, patch) {
+    const current = resolve(name);
+    if (patch.name !== undefined && patch.name !== current.name) throw badRequest('A bot cannot be renamed');
+    const bot = validateBot({ ...patch, name: current.name }, current);
+    bots.set(bot.name, { ...bot, createdAt: current.createdAt, updatedAt: new Date().toISOString() });
+    persist();
+    return bots.get(bot.name);
+  }
+
+  // Only forgets the entry; the directory and service are left alone
+  function remove(name) {
+    const bot = resolve(name);
+    bots.delete(bot.name);
+    persist();
+    return bot;
+  }
+
+  return {
+    list,
+    resolve,
+    get: (name) => bots.get(String(name)) || null,
+    has: (name) => bots.has(String(name)),
+    add,
+    update,
+    remove,
+  };
+}
+
+module.exports = { MANAGERS, validateBot, createBotRegistry };
@@ -0,0 +1,358 @@
+// ═══════════════════════════════════════════════════════════════════════
+// COMMANDS
+// One definition per bot command, served both as a Discord slash command
+// and as the old "!" prefix command while people move over.
+//
+//   const commands = createCommandRouter({ client, ownerId, prefix: '!' });
+//   commands.add({
+//     name: 'note', description: 'Add a note to an order', group: 'Orders',
+//     options: [
+//       { name: 'id',   type: 'string', description: 'Order', required: true, autocomplete: (q) => [...] },
+//       { name: 'text', type: 'string', description: 'Note',  required: true },
+//     ],
+//     run: async (opts, ctx) => '🗒️ Saved',   // string or message payload
+//   });
+//   client.once('ready', () => commands.register(guildId));
+//
+// Subcommands: give `subcommands: [{ name, description, options, run }]`
+// instead of options + run — "/payment add" and "!payment add ...".
+//
+// access: 'owner' (default) or 'public'. Owner commands are checked on
+// every call and hidden from non-admins in the slash menu.
+//
+// Prefix parsing (`prefix` on the definition):
+//   'words' (default) — one word per option, the last string option takes
+//                       the rest of the line
+//   'pipes'           — options separated by "|"
+//   (text) => opts    — anything else (give `usage` too, for error hints)
+//
+// Slash replies are ephemeral. Errors with a 4xx .status are shown to the
+// user; anything else is logged and answered with a generic error.
+// ═══════════════════════════════════════════════════════════════════════
+
+const OPTION_TYPES = {
+  string:  3,
+  integer: 4,
+  boolean: 5,
+  user:    6,
+  channel: 7,
+  number:  10,
+  // Prefix form: files attached to the message, in option order
+  attachment: 11,
+};
+
+const SUBCOMMAND  = 1;
+const MAX_CHOICES = 25; // Discord's limit for choices and autocomplete results
+const EPHEMERAL   = 64; // MessageFlags.Ephemeral
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// ── DEFINITIONS ───────────────────────────────────────────────────────
+// A command either has options + run, or `subcommands` — each of those
+// with its own name, description, options, prefix and run. The runnable
+// part (the command or one subcommand) is called a leaf below.
+
+const NAME_RE = /^[a-z0-9_-]{1,32}$/;
+
+function validateLeaf(label, leaf) {
+  if (!leaf.description || leaf.description.length > 100) {
+    throw new Error(`${label}: description must be 1–100 characters`);
+  }
+  if (typeof leaf.run !== 'function') throw new Error(`${label}: run() is required`);
+  let optional = false;
+  for (const o of leaf.options || []) {
+    if (!NAME_RE.test(o.name || '')) throw new Error(`${label}: invalid option name ${o.name}`);
+    if (!OPTION_TYPES[o.type]) throw new Error(`${label}: unknown option type ${o.type}`);
+    // Discord rejects a required option after an optional one
+    if (o.required && optional) throw new Error(`${label}: required option ${o.name} after an optional one`);
+    if (!o.required) optional = true;
+  }
+  return { options: [], prefix: 'words', ...leaf };
+}
+
+function validateCommand(cmd) {
+  if (!NAME_RE.test(cmd.name || '')) throw new Error(`Invalid command name: ${cmd.name}`);
+  if (cmd.access && !['owner', 'public'].includes(cmd.access)) {
+    throw new Error(`/${cmd.name}: access must be owner or public`);
+  }
+  const base = { access: 'owner', group: 'Other', ...cmd };
+  if (!cmd.subcommands) return validateLeaf(`/${cmd.name}`, base);
+
+  if (cmd.run || cmd.options) throw new Error(`/${cmd.name}: use either subcommands or options + run`);
+  if (!cmd.description) throw new Error(`/${cmd.name}: description is required`);
+  const names = new Set();
+  const subcommands = cmd.subcommands.map(sub => {
+    if (!NAME_RE.test(sub.name || '') || names.has(sub.name)) {
+      throw new Error(`/${cmd.name}: invalid or duplicate subcommand ${sub.name}`);
+    }
+    names.add(sub.name);
+    return validateLeaf(`/${cmd.name} ${sub.name}`, sub);
+  });
+  return { ...base, subcommands };
+}
+
+function optionJSON(o) {
+  return {
+    name:         o.name,
+    description:  o.description || o.name,
+    type:         OPTION_TYPES[o.type],
+    required:     !!o.required,
+    ...(o.choices      ? { choices: o.choices.slice(0, MAX_CHOICES).map(c => (typeof c === 'object' ? c : { name: String(c), value: c })) } : {}),
+    ...(o.autocomplete ? { autocomplete: true } : {}),
+    ...(o.min != null  ? { min_value: o.min } : {}),
+    ...(o.max != null  ? { max_value: o.max } : {}),
+    ...(o.maxLength    ? { max_length: o.maxLength } : {}),
+  };
+}
+
+// Payload for PUT /applications/:id/commands
+function toSlashJSON(cmd) {
+  return {
+    name:        cmd.name,
+    description: cmd.description,
+    // '0' = only members with Administrator see it; run() still checks the owner
+    ...(cmd.access === 'owner' ? { default_member_permissions: '0' } : {}),
+    options: cmd.subcommands
+      ? cmd.subcommands.map(sub => ({
+        name:        sub.name,
+        description: sub.description,
+        type:        SUBCOMMAND,
+        options:     sub.options.map(optionJSON),
+      }))
+      : cmd.options.map(optionJSON),
+  };
+}
+
+// path: "note" or "payment add". `usage` on the leaf overrides the
+// generated prefix form.
+function usage(path, leaf, prefix) {
+  if (leaf.usage && prefix !== '/') return `${prefix}${path} ${leaf.usage}`;
+  const sep   = leaf.prefix === 'pipes' ? ' | ' : ' ';
+  const typed = prefix === '/' ? leaf.options : leaf.options.filter(o => o.type !== 'attachment');
+  const args  = typed.map(o => (o.required ? `<${o.name}>` : `[${o.name}]`)).join(sep);
+  const files = typed.length < leaf.options.length ? ' + attached file' : '';
+  return `${prefix}${path}${args ? ` ${args}` : ''}${files}`;
+}
+
+// ── OPTION VALUES ─────────────────────────────────────────────────────
+// Both sources end up as plain values: strings, numbers, booleans,
+// snowflake strings for users and channels, and { url, name, contentType,
+// size } for attachments.
+
+function coerce(option, raw) {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (option.type === 'attachment') {
+    return { url: raw.url, name: raw.name, contentType: raw.contentType || null, size: raw.size };
+  }
+  const text = String(raw).trim();
+  switch (option.type) {
+    case 'integer':
+    case 'number': {
+      const n = Number(text);
+      if (!Number.isFinite(n) || (option.type === 'integer' && !Number.isInteger(n))) {
+        throw badRequest(`${option.name} must be a${option.type === 'integer' ? 'n integer' : ' number'}`);
+      }
+      if ((option.min != null && n < option.min) || (option.max != null && n > option.max)) {
+        throw badRequest(`${option.name} must be between ${option.min ?? '-∞'} and ${option.max ?? '∞'}`);
+      }
+      return n;
+    }
+    case 'boolean':
+      if (/^(true|yes|on|1)$/i.test(text))  return true;
+      if (/^(false|no|off|0)$/i.test(text)) return false;
+      throw badRequest(`${option.name} must be yes or no`);
+    case 'user':
+    case 'channel': {
+      const m = text.match(/^<[@#]!?(\d{17,20})>$/) || text.match(/^(\d{17,20})$/);
+      if (!m) throw badRequest(`${option.name} must be a ${option.type} mention or ID`);
+      return m[1];
+    }
+    default:
+      if (option.choices) {
+        const values = option.choices.map(c => String(typeof c === 'object' ? c.value : c));
+        if (!values.includes(text)) throw badRequest(`${option.name} must be one of: ${values.join(', ')}`);
+      }
+      return text;
+  }
+}
+
+function parsePrefixArgs(cmd, text) {
+  if (typeof cmd.prefix === 'function') return cmd.prefix(text);
+
+  const opts = cmd.options.filter(o => o.type !== 'attachment');
+  let parts;
+  if (cmd.prefix === 'pipes') {
+    parts = text ? text.split('|').map(s => s.trim()) : [];
+  } else {
+    const words = text ? text.split(/\s+/) : [];
+    const last  = opts[opts.length - 1];
+    parts = last && last.type === 'string' && words.length > opts.length
+      ? [...words.slice(0, opts.length - 1), words.slice(opts.length - 1).join(' ')]
+      : words;
+  }
+  return Object.fromEntries(opts.map((o, i) => [o.name, parts[i]]));
+}
+
+function resolveOptions(cmd, raw) {
+  const opts = {};
+  for (const o of cmd.options) {
+    const value = coerce(o, raw[o.name]);
+    if (value === undefined && o.required) throw Object.assign(badRequest(`Missing ${o.name}`), { usage: true });
+    if (value !== undefined) opts[o.name] = value;
+  }
+  return opts;
+}
+
+// ── ROUTER ────────────────────────────────────────────────────────────
+
+function createCommandRouter({ client, ownerId, prefix = '!' }) {
+  const commands = new Map();
+
+  const allowed = (cmd, user) => cmd.access === 'public' || user.id === ownerId;
+  const asPayload = (out) => (typeof out === 'string' ? { content: out } : out);
+
+  function add(def) {
+    const cmd = validateCommand(def);
+    if (commands.has(cmd.name)) throw new Error(`Duplicate command: ${cmd.name}`);
+    commands.set(cmd.name, cmd);
+    return cmd;
+  }
+
+  // Every runnable leaf: { path, cmd, leaf }
+  function entries() {
+    return [...commands.values()].flatMap(cmd => (cmd.subcommands
+      ? cmd.subcommands.map(leaf => ({ path: `${cmd.name} ${leaf.name}`, cmd, leaf }))
+      : [{ path: cmd.name, cmd, leaf: cmd }]));
+  }
+
+  // Errors → a reply. 4xx messages are meant for the user.
+  function errorReply(path, leaf, err, style) {
+    if (!err.status) {
+      console.error(`Command ${path} failed:`, err.message);
+      return '❌ Error.';
+    }
+    const hint = err.usage ? `\nUsage: \`${usage(path, leaf, style === 'slash' ? '/' : prefix)}\`` : '';
+    return `❌ ${err.message}${hint}`;
+  }
+
+  async function onMessage(msg) {
+    if (msg.author.bot || !msg.content.startsWith(prefix)) return;
+    let   rest = msg.content.slice(prefix.length).trim();
+    const name = rest.split(/\s+/)[0].toLowerCase();
+    const cmd  = commands.get(name);
+    if (!cmd) return;
+    if (!allowed(cmd, msg.author)) return msg.reply('❌ Owner only.');
+    rest = rest.slice(name.length).trim();
+
+    let leaf = cmd;
+    let path = name;
+    if (cmd.subcommands) {
+      const subName = rest.split(/\s+/)[0].toLowerCase();
+      leaf = cmd.subcommands.find(sub => sub.name === subName);
+      if (!leaf) {
+        const list = cmd.subcommands.map(sub => `\`${usage(`${name} ${sub.name}`, sub, prefix)}\``).join('\n');
+        return msg.reply(`❌ Usage:\n${list}`);
+      }
+      path = `${name} ${subName}`;
+      rest = rest.slice(subName.length).trim();
+    }
+
+    const ctx = { source: 'prefix', user: msg.author, guild: msg.guild, channel: msg.channel, message: msg };
+    let out;
+    try {
+      const files = [...msg.attachments.values()];
+      const raw   = parsePrefixArgs(leaf, rest);
+      leaf.options.filter(o => o.type === 'attachment').forEach((o, i) => { raw[o.name] ??= files[i]; });
+      out = await leaf.run(resolveOptions(leaf, raw), ctx);
+    } catch (err) {
+      out = errorReply(path, leaf, err, 'prefix');
+    }
+    if (out) await msg.reply(asPayload(out)).catch(e => console.error('Reply failed:', e.message));
+  }
+
+  function leafOf(interaction) {
+    const cmd = commands.get(interaction.commandName);
+    if (!cmd) return {};
+    if (!cmd.subcommands) return { cmd, leaf: cmd, path: cmd.name };
+    const subName = interaction.options.getSubcommand(false);
+    const leaf    = cmd.subcommands.find(sub => sub.name === subName);
+    return leaf ? { cmd, leaf, path: `${cmd.name} ${subName}` } : {};
+  }
+
+  const rawOptions = (leaf, interaction) => Object.fromEntries(leaf.options.map(o => {
+    const option = interaction.options.get(o.name);
+    return [o.name, o.type === 'attachment' ? option?.attachment : option?.value];
+  }));
+
+  async function onInteraction(interaction) {
+    if (interaction.isAutocomplete()) return onAutocomplete(interaction);
+    if (!interaction.isChatInputCommand()) return;
+    const { cmd, leaf, path } = leafOf(interaction);
+    if (!leaf) return;
+
+    const reply = (out) => (interaction.deferred || interaction.replied
+      ? interaction.editReply(asPayload(out))
+      : interaction.reply({ ...asPayload(out), flags: EPHEMERAL }));
+    if (!allowed(cmd, interaction.user)) return reply('❌ Owner only.').catch(() => {});
+
+    const ctx = {
+      source:      'slash',
+      user:        interaction.user,
+      guild:       interaction.guild,
+      channel:     interaction.channel,
+      interaction,
+      // For slow commands: answers within 3 s, the result follows
+      defer:       () => (interaction.deferred ? null : interaction.deferReply({ flags: EPHEMERAL })),
+    };
+    let out;
+    try {
+      out = await leaf.run(resolveOptions(leaf, rawOptions(leaf, interaction)), ctx);
+    } catch (err) {
+      out = errorReply(path, leaf, err, 'slash');
+    }
+    await reply(out || '✅ Done.').catch(e => console.error('Reply failed:', e.message));
+  }
+
+  async function onAutocomplete(interaction) {
+    const { cmd, leaf, path } = leafOf(interaction);
+    const focused = interaction.options.getFocused(true);
+    const option  = leaf?.options.find(o => o.name === focused.name);
+    if (!option?.autocomplete || !allowed(cmd, interaction.user)) return interaction.respond([]).catch(() => {});
+
+    try {
+      const results = await option.autocomplete(String(focused.value || ''), {
+        user:    interaction.user,
+        options: rawOptions(leaf, interaction),
+      });
+      await interaction.respond(results.slice(0, MAX_CHOICES).map(c => ({
+        name:  String(c.name).slice(0, 100),
+        value: typeof c.value === 'string' ? c.value.slice(0, 100) : c.value,
+      })));
+    } catch (err) {
+      console.error(`Autocomplete for ${path}.${option.name} failed:`, err.message);
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+
+  // Guild commands update instantly; global ones can take up to an hour.
+  async function register(guildId) {
+    const body = [...commands.values()].map(toSlashJSON);
+    await client.application.commands.set(body, ...(guildId ? [guildId] : []));
+    console.log(`⌨️  Registered ${body.length} slash commands ${guildId ? `in guild ${guildId}` : 'globally'}`);
+  }
+
+  client.on('messageCreate', (msg) => { onMessage(msg).catch(e => console.error('Command error:', e.message)); });
+  client.on('interactionCreate', (i) => { onInteraction(i).catch(e => console.error('Command error:', e.message)); });
+
+  return {
+    add,
+    register,
+    entries,
+    usage: (path, style = 'slash') => {
+      const entry = entries().find(e => e.path === path);
+      return usage(path, entry.leaf, style === 'slash' ? '/' : prefix);
+    },
+  };
+}
+
+module.exports = { OPTION_TYPES, createCommandRouter };
@@ -0,0 +1,157 @@
+// ═══════════════════════════════════════════════════════════════════════
+// DASHBOARD AUTH
+// Password hashing, signed session tokens and role checks for /dashboard.
+//
+// Roles (each includes the ones before it):
+//   viewer   — status, stats, live logs
+//   operator — start / stop / restart bots
+//   admin    — quick commands, deploys, user management
+//
+// Users live in dashboard_users.json:
+//   [{ "username": "sam", "role": "operator", "passwordHash": "scrypt$…", "discordId": "…" }]
+// Create one with:  node dashboard_auth.js adduser <username> <role> <password>
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+const ROLES       = ['viewer', 'operator', 'admin'];
+const USERS_FILE  = process.env.DASHBOARD_USERS_FILE || './dashboard_users.json';
+const SESSION_TTL = 12 * 60 * 60; // seconds
+
+// Without a fixed secret every restart invalidates all sessions — fine for
+// a quick test, not for production.
+const SECRET = process.env.DASHBOARD_SECRET || (() => {
+  console.warn('⚠️  DASHBOARD_SECRET not set — using a random secret, sessions reset on restart.');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// ── PASSWORDS ─────────────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual   = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ── TOKENS ────────────────────────────────────────────────────────────
+// <base64url(payload)>.<base64url(hmac-sha256)>; payload carries exp (unix s).
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function issueToken(claims, ttl = SESSION_TTL) {
+  const payload = { ...claims, exp: Math.floor(Date.now() / 1000) + ttl };
+  const body    = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+function verifyToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(sign(body));
+  const actual   = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp < Date.now() / 1000) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// ── USERS ─────────────────────────────────────────────────────────────
+
+function loadUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function saveUsers(users) {
+  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), { mode: 0o600 });
+}
+
+function authenticate(username, password) {
+  const user = loadUsers().find(u => u.username === username);
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+  return { sub: user.username, role: user.role };
+}
+
+// The bot owner is always admin; other Discord IDs need a users-file entry.
+function resolveDiscordUser(discordId, ownerId) {
+  if (discordId === ownerId) return { sub: `discord:${discordId}`, role: 'admin' };
+  const user = loadUsers().find(u => u.discordId === discordId);
+  return user ? { sub: user.username, role: user.role } : null;
+}
+
+// ── MIDDLEWARE ────────────────────────────────────────────────────────
+// Token comes from `Authorization: Bearer …`. EventSource can't set headers,
+// so GET …/stream routes may pass it as ?token= instead.
+
+function tokenFrom(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  if (req.method === 'GET' && req.path.endsWith('/stream') && req.query.token) return String(req.query.token);
+  return null;
+}
+
+function requireAuth(req, res, next) {
+  const session = verifyToken(tokenFrom(req));
+  if (!session || !ROLES.includes(session.role)) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  req.session = session;
+  next();
+}
+
+function requireRole(role) {
+  const min = ROLES.indexOf(role);
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (ROLES.indexOf(req.session.role) < min) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  loadUsers,
+  saveUsers,
+  authenticate,
+  resolveDiscordUser,
+  requireAuth,
+  requireRole,
+};
+
+// ── CLI ───────────────────────────────────────────────────────────────
+// node dashboard_auth.js adduser <username> <role> <password> [discordId]
+
+if (require.main === module) {
+  const [cmd, username, role, password, discordId] = process.argv.slice(2);
+  if (cmd !== 'adduser' || !username || !ROLES.includes(role) || !password) {
+    console.log(`Usage: node dashboard_auth.js adduser <username> <${ROLES.join('|')}> <password> [discordId]`);
+    process.exit(1);
+  }
+  const users = loadUsers().filter(u => u.username !== username);
+  users.push({ username, role, passwordHash: hashPassword(password), ...(discordId ? { discordId } : {}) });
+  saveUsers(users);
+  console.log(`✅ Saved ${username} (${role}) to ${USERS_FILE}`);
+}
@@ -0,0 +1,370 @@
+// ═══════════════════════════════════════════════════════════════════════
+// DEPLOY ENGINE
+// A deploy is a list of stages run inside a job (see jobs.js). Each stage
+// has run() and, optionally, rollback(). If any stage fails — or the job is
+// cancelled — the completed stages are rolled back in reverse order, so a
+// failed deploy leaves no directory or unit behind.
+//
+// Inputs are validated up front; every command is spawned with argv, and
+// files are written with fs rather than through a shell.
+//
+// Two modes:
+//   new      — fresh directory, install steps and systemd unit
+//   redeploy — swaps the code of an existing bot, keeping .env and the
+//              runtime's installed deps (venv / node_modules); the previous
+//              code is restored if anything fails
+//
+// Runtime-specific steps (Python, Node, custom command) live in runtimes.js.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs              = require('fs');
+const os              = require('os');
+const path            = require('path');
+const { getRuntime }  = require('./runtimes');
+const { validateSource, fetchSource } = require('./deploy_sources');
+
+const DEPLOY_ROOT = process.env.DEPLOY_ROOT || '/home/admin1';
+const RUN_AS      = process.env.DEPLOY_USER || 'admin1';
+const UNIT_DIR    = '/etc/systemd/system';
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+const conflict   = (msg) => Object.assign(new Error(msg), { status: 409 });
+
+// ── VALIDATION ────────────────────────────────────────────────────────
+
+const BOT_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const ENV_KEY_RE  = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function parseEnv(content) {
+  const lines = String(content || '').replace(/\r\n/g, '\n').split('\n');
+  for (const [i, line] of lines.entries()) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const key = line.slice(0, line.indexOf('='));
+    if (line.indexOf('=') < 1 || !ENV_KEY_RE.test(key.trim())) {
+      throw badRequest(`.env line ${i + 1} is not KEY=value`);
+    }
+  }
+  return lines.join('\n').trim();
+}
+
+// body: { botname, runtime, mode, source, gitUrl, gitRef, entrypoint, deps, envContent }
+// file: multer upload (single file or archive), absent for git sources
+function validateDeploySpec(body, file) {
+  const botname = String(body.botname || '');
+  if (!BOT_NAME_RE.test(botname)) {
+    throw badRequest('Invalid bot name. Use lowercase letters, numbers, hyphens (max 32).');
+  }
+
+  const runtime = String(body.runtime || 'python');
+  const profile = getRuntime(runtime);
+
+  const mode = String(body.mode || 'new');
+  if (!['new', 'redeploy'].includes(mode)) throw badRequest(`Unknown mode: ${mode}`);
+
+  const source = validateSource(body, file);
+
+  const defaultEntry = source.type === 'file' && runtime !== 'custom' ? file.originalname : profile.defaultEntry;
+  const entry        = profile.validateEntry(String(body.entrypoint || defaultEntry || '').trim());
+  if (source.type === 'file' && runtime !== 'custom' && entry.includes('/')) {
+    throw badRequest('Single-file uploads need a plain filename as entry point');
+  }
+
+  const deps = profile.validateDeps(String(body.deps || '').split(',').map(d => d.trim()).filter(Boolean));
+
+  const botDir   = path.join(DEPLOY_ROOT, botname);
+  const unitPath = path.join(UNIT_DIR, `${botname}.service`);
+  if (mode === 'new') {
+    if (fs.existsSync(botDir))   throw conflict(`${botDir} already exists — use redeploy`);
+    if (fs.existsSync(unitPath)) throw conflict(`${unitPath} already exists — use redeploy`);
+  } else if (!fs.existsSync(botDir) || !fs.existsSync(unitPath)) {
+    throw Object.assign(new Error(`${botname} has no existing deployment to replace`), { status: 404 });
+  }
+
+  return {
+    botname,
+    runtime,
+    profile,
+    mode,
+    source,
+    botDir,
+    unitPath,
+    entry,
+    deps,
+    envContent: parseEnv(body.envContent),
+  };
+}
+
+// ── UNIT FILE ─────────────────────────────────────────────────────────
+
+function unitFile(spec) {
+  return `[Unit]
+Description=${spec.botname} Discord Bot
+After=network.target
+
+[Service]
+User=${RUN_AS}
+WorkingDirectory=${spec.botDir}
+ExecStart=${spec.profile.execStart(spec)}
+Restart=always
+RestartSec=10
+EnvironmentFile=-${spec.botDir}/.env
+
+[Install]
+WantedBy=multi-user.target
+`;
+}
+
+// ── STAGE HELPERS ─────────────────────────────────────────────────────
+
+async function mustExec(ctx, cmd, args, opts) {
+  const code = await ctx.exec(cmd, args, opts);
+  if (code !== 0) throw Object.assign(new Error(`${path.basename(cmd)} exited with ${code}`), { exitCode: code });
+}
+
+const sudo = (ctx, args, opts) => mustExec(ctx, 'sudo', ['-n', ...args], opts);
+
+const exists = (p) => fs.promises.access(p).then(() => true, () => false);
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Copies the fetched code into the bot directory, skipping names the
+// runtime preserves (.env, venv, node_modules…)
+async function copyCode(spec, from, to) {
+  for (const name of await fs.promises.readdir(from)) {
+    if (spec.profile.preserved.includes(name)) continue;
+    await fs.promises.cp(path.join(from, name), path.join(to, name), { recursive: true });
+  }
+}
+
+// Service must still be active once the runtime's settle time has passed —
+// catches bots that start and immediately crash on a bad token or import.
+async function healthCheck(ctx, spec) {
+  await sudo(ctx, ['systemctl', 'is-active', '--quiet', spec.botname]);
+  ctx.log(`Waiting ${spec.profile.health.settleMs / 1000}s for ${spec.botname} to settle…`);
+  await delay(spec.profile.health.settleMs);
+  await sudo(ctx, ['systemctl', 'is-active', '--quiet', spec.botname]);
+}
+
+// ── SHARED STAGES ─────────────────────────────────────────────────────
+// `work` carries state between stages: staging dir, code root, requirements.
+
+function fetchStages(spec, work) {
+  return [
+    {
+      id: 'fetch',
+      label: spec.source.type === 'git'
+        ? `Cloning ${spec.source.url}${spec.source.ref ? ` @ ${spec.source.ref}` : ''}`
+        : `Unpacking ${spec.source.originalName}`,
+      run: async (ctx) => {
+        work.staging  = await fs.promises.mkdtemp(path.join(os.tmpdir(), `deploy-${spec.botname}-`));
+        // A single uploaded file is saved under the entry name (custom
+        // runtimes keep the upload's own name — their entry is a command)
+        const fileName = spec.runtime === 'custom' ? spec.source.originalName : spec.entry;
+        work.codeRoot  = await fetchSource(ctx, spec.source, work.staging, fileName);
+      },
+    },
+    {
+      id: 'inspect',
+      label: 'Checking entry point and requirements',
+      run: async (ctx) => {
+        const entryFile = spec.profile.entryFile(spec);
+        if (entryFile && !(await exists(path.join(work.codeRoot, entryFile)))) {
+          throw badRequest(`Entry point ${entryFile} not found in the uploaded code`);
+        }
+        work.requirements = await spec.profile.detectRequirements(work.codeRoot);
+        ctx.log(work.requirements ? `Found ${work.requirements}` : 'No dependency manifest found — using listed deps only');
+      },
+    },
+  ];
+}
+
+// ── NEW DEPLOY ────────────────────────────────────────────────────────
+
+function newStages(spec, work) {
+  return [
+    ...fetchStages(spec, work),
+    {
+      id: 'dir',
+      label: `Creating directory ${spec.botDir}`,
+      run: () => fs.promises.mkdir(spec.botDir),
+      rollback: () => fs.promises.rm(spec.botDir, { recursive: true, force: true }),
+    },
+    {
+      id: 'files',
+      label: `Copying code${spec.envContent ? ' + writing .env' : ''}`,
+      run: async () => {
+        await copyCode(spec, work.codeRoot, spec.botDir);
+        if (spec.envContent) {
+          await fs.promises.writeFile(path.join(spec.botDir, '.env'), spec.envContent + '\n', { mode: 0o600 });
+        }
+      },
+    },
+    ...spec.profile.installStages(spec, work, { mustExec }),
+    {
+      id: 'unit',
+      label: `Writing ${spec.unitPath}`,
+      run: async (ctx) => {
+        const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'unit-'));
+        const tmp    = path.join(tmpDir, `${spec.botname}.service`);
+        try {
+          await fs.promises.writeFile(tmp, unitFile(spec));
+          await sudo(ctx, ['install', '-m', '0644', tmp, spec.unitPath]);
+        } finally {
+          await fs.promises.rm(tmpDir, { recursive: true, force: true });
+        }
+      },
+      // Also undoes a half-finished 'enable' stage; disable may fail if it
+      // never got that far, which is fine.
+      rollback: async (ctx) => {
+        await ctx.exec('sudo', ['-n', 'systemctl', 'disable', '--now', spec.botname]);
+        await sudo(ctx, ['rm', '-f', spec.unitPath]);
+        await sudo(ctx, ['systemctl', 'daemon-reload']);
+      },
+    },
+    {
+      id: 'enable',
+      label: 'Enabling and starting service',
+      run: async (ctx) => {
+        await sudo(ctx, ['systemctl', 'daemon-reload']);
+        await sudo(ctx, ['systemctl', 'enable', '--now', spec.botname]);
+        await healthCheck(ctx, spec);
+      },
+    },
+  ];
+}
+
+// ── REDEPLOY ──────────────────────────────────────────────────────────
+// The current code (everything the runtime doesn't preserve) is moved
+// aside into work.backup, then restored by the swap stage's rollback — or
+// by the swap stage itself if it fails half-way, since a stage that throws
+// isn't rolled back. work.moved lists what's in the backup; a .env that
+// gets replaced is backed up too.
+//
+// If restoring fails, work.keepBackup is set and deploy() leaves the
+// backup where it is (and says so) instead of deleting it.
+
+async function restoreBackup(spec, work) {
+  try {
+    if (work.copying) {
+      for (const name of await fs.promises.readdir(spec.botDir)) {
+        if (!spec.profile.preserved.includes(name)) await fs.promises.rm(path.join(spec.botDir, name), { recursive: true, force: true });
+      }
+    }
+    for (const name of work.moved) {
+      await fs.promises.cp(path.join(work.backup, name), path.join(spec.botDir, name), { recursive: true });
+    }
+  } catch (err) {
+    work.keepBackup = true;
+    throw err;
+  }
+}
+
+function redeployStages(spec, work) {
+  return [
+    ...fetchStages(spec, work),
+    {
+      id: 'swap',
+      label: `Swapping code (keeping ${spec.profile.preserved.join(', ')})`,
+      run: async (ctx) => {
+        work.backup = await fs.promises.mkdtemp(path.join(os.tmpdir(), `backup-${spec.botname}-`));
+        work.moved  = [];
+        try {
+          for (const name of await fs.promises.readdir(spec.botDir)) {
+            if (spec.profile.preserved.includes(name)) continue;
+            await fs.promises.cp(path.join(spec.botDir, name), path.join(work.backup, name), { recursive: true });
+            work.moved.push(name);
+            await fs.promises.rm(path.join(spec.botDir, name), { recursive: true, force: true });
+          }
+          const envFile = path.join(spec.botDir, '.env');
+          if (spec.envContent && await exists(envFile)) {
+            await fs.promises.cp(envFile, path.join(work.backup, '.env'));
+            work.moved.push('.env');
+          }
+          work.copying = true;
+          await copyCode(spec, work.codeRoot, spec.botDir);
+          if (spec.envContent) {
+            await fs.promises.writeFile(envFile, spec.envContent + '\n', { mode: 0o600 });
+          }
+        } catch (err) {
+          ctx.log('Swap failed — putting the previous code back', 'stderr');
+          await restoreBackup(spec, work).catch(e => ctx.log(`⚠ Restore failed: ${e.message}`, 'stderr'));
+          throw err;
+        }
+      },
+      rollback: async (ctx) => {
+        await restoreBackup(spec, work);
+        // Bring the old code back up; ignore failure, it may never have stopped
+        await ctx.exec('sudo', ['-n', 'systemctl', 'restart', spec.botname]);
+      },
+    },
+    ...spec.profile.installStages(spec, work, { mustExec }),
+    {
+      id: 'restart',
+      label: 'Restarting service',
+      run: async (ctx) => {
+        await sudo(ctx, ['systemctl', 'restart', spec.botname]);
+        await healthCheck(ctx, spec);
+      },
+    },
+  ];
+}
+
+// ── ENGINE ────────────────────────────────────────────────────────────
+// Runs stages in order inside a job context. Stage progress is mirrored on
+// ctx.job.stages so GET /dashboard/jobs/:id shows where a deploy got to.
+
+async function runStages(ctx, stages) {
+  ctx.job.stages = stages.map(s => ({ id: s.id, label: s.label, status: 'pending' }));
+  const done = [];
+
+  try {
+    for (const [i, stage] of stages.entries()) {
+      if (ctx.cancelled) throw new Error('Cancelled');
+      const state = ctx.job.stages[i];
+      state.status = 'running';
+      ctx.log(`[${i + 1}/${stages.length}] ${stage.label}`);
+      try {
+        await stage.run(ctx);
+      } catch (e) {
+        state.status = 'failed';
+        throw e;
+      }
+      state.status = 'done';
+      done.push({ stage, state });
+    }
+  } catch (err) {
+    ctx.log(`✖ ${err.message} — rolling back`, 'stderr');
+    // Rollback must run even after a cancel
+    const rbCtx = { ...ctx, exec: (cmd, args, opts = {}) => ctx.exec(cmd, args, { ...opts, force: true }) };
+    for (const { stage, state } of done.reverse()) {
+      if (!stage.rollback) continue;
+      try {
+        await stage.rollback(rbCtx);
+        state.status = 'rolled-back';
+      } catch (e) {
+        state.status = 'rollback-failed';
+        ctx.log(`⚠ rollback of "${stage.id}" failed: ${e.message}`, 'stderr');
+      }
+    }
+    throw err;
+  }
+}
+
+async function deploy(ctx, spec) {
+  const work = {};
+  try {
+    const stages = spec.mode === 'redeploy' ? redeployStages(spec, work) : newStages(spec, work);
+    await runStages(ctx, stages);
+    ctx.log(`${spec.botname} ${spec.mode === 'redeploy' ? 'redeployed' : 'deployed and started'} successfully!`);
+    return 0;
+  } finally {
+    // A backup that couldn't be restored is the only copy of the old code
+    if (work.keepBackup) ctx.log(`⚠ Previous code could not be restored — it is kept in ${work.backup}`, 'stderr');
+    const cleanup = [work.staging, work.keepBackup ? null : work.backup].filter(Boolean)
+      .map(d => fs.promises.rm(d, { recursive: true, force: true }));
+    if (spec.source.uploadPath) cleanup.push(fs.promises.unlink(spec.source.uploadPath));
+    await Promise.allSettled(cleanup);
+  }
+}
+
+module.exports = { validateDeploySpec, unitFile, runStages, deploy };
@@ -0,0 +1,78 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { execFileSync } = require('child_process');
+
+process.env.DEPLOY_ROOT = os.tmpdir();
+const { validateDeploySpec, deploy } = require('./deploy');
+const { RUNTIMES } = require('./runtimes');
+
+const upload = (originalname) => ({ originalname, path: path.join(os.tmpdir(), 'deploy-test-upload') });
+
+test('deploy spec with extra Python deps', () => {
+  const spec = validateDeploySpec({ botname: 'deploy-test-bot', deps: 'aiohttp, requests==2.31.0, aiohttp' }, upload('bot.py'));
+  assert.deepEqual(spec.deps, ['discord.py', 'python-dotenv', 'aiohttp', 'requests==2.31.0']);
+});
+
+test('deploy spec with extra Node deps', () => {
+  const spec = validateDeploySpec({ botname: 'deploy-test-bot', runtime: 'node', deps: 'discord.js@14, @discordjs/voice' }, upload('index.js'));
+  assert.deepEqual(spec.deps, ['discord.js@14', '@discordjs/voice']);
+});
+
+test('deploy spec with an invalid dep is a 400', () => {
+  assert.throws(
+    () => validateDeploySpec({ botname: 'deploy-test-bot', deps: 'requests, --index-url=http://evil' }, upload('bot.py')),
+    { status: 400, message: /Invalid pip package/ },
+  );
+});
+
+// ── Redeploy rollback ── a Python bot with old code, .env and venv; the
+// job context runs no real commands (exec → exitCode)
+function oldBot() {
+  const botDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-test-bot-'));
+  fs.writeFileSync(path.join(botDir, 'bot.py'), 'old');
+  fs.mkdirSync(path.join(botDir, 'cogs'));
+  fs.writeFileSync(path.join(botDir, 'cogs', 'music.py'), 'old cog');
+  fs.writeFileSync(path.join(botDir, '.env'), 'TOKEN=old');
+  fs.mkdirSync(path.join(botDir, 'venv'));
+  const uploadPath = path.join(botDir, '..', `${path.basename(botDir)}-upload`);
+  fs.writeFileSync(uploadPath, 'new');
+  return {
+    botname:    'deploy-test-bot',
+    runtime:    'python',
+    profile:    RUNTIMES.python,
+    mode:       'redeploy',
+    source:     { type: 'file', uploadPath, originalName: 'bot.py' },
+    botDir,
+    entry:      'bot.py',
+    deps:       [],
+    envContent: 'TOKEN=new',
+  };
+}
+
+const fakeCtx = (exitCode) => ({ job: {}, cancelled: false, log: () => {}, exec: async () => exitCode });
+
+const read = (spec, name) => fs.readFileSync(path.join(spec.botDir, name), 'utf8');
+
+test('a redeploy failing after the swap puts the old code and .env back', async () => {
+  const spec = oldBot();
+  await assert.rejects(deploy(fakeCtx(1), spec));
+  assert.equal(read(spec, 'bot.py'), 'old');
+  assert.equal(read(spec, 'cogs/music.py'), 'old cog');
+  assert.equal(read(spec, '.env'), 'TOKEN=old');
+  fs.rmSync(spec.botDir, { recursive: true });
+});
+
+test('a swap failing half-way restores what it had moved', async () => {
+  const spec = oldBot();
+  execFileSync('mkfifo', [path.join(spec.botDir, 'pipe')]); // fs.cp refuses FIFOs
+  await assert.rejects(deploy(fakeCtx(0), spec), /FIFO|pipe/i);
+  assert.equal(read(spec, 'bot.py'), 'old');
+  assert.equal(read(spec, 'cogs/music.py'), 'old cog');
+  assert.equal(read(spec, '.env'), 'TOKEN=old');
+  fs.rmSync(spec.botDir, { recursive: true });
+});
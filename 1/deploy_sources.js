@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════════════
+// DEPLOY SOURCES
+// Fetches bot code into a staging directory from one of:
+//   file    — a single uploaded .py file
+//   archive — an uploaded .zip / .tar / .tar.gz / .tgz
+//   git     — a repository URL (https, ssh, file:// or a local bare repo path)
+//
+// Archives are listed and checked before extraction (no absolute paths, no
+// `..`), and the extracted tree is rejected if it contains symlinks.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs             = require('fs');
+const path           = require('path');
+const { runProcess } = require('./run_process');
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+const SOURCE_TYPES = ['file', 'archive', 'git'];
+const ARCHIVE_RE   = /\.(zip|tar|tar\.gz|tgz)$/i;
+const GIT_URL_RE   = /^(https:\/\/[\w.-]+(:\d+)?\/[\w./~-]+|ssh:\/\/[\w.@-]+(:\d+)?\/[\w./~-]+|git@[\w.-]+:[\w./~-]+|file:\/\/\/[\w./~-]+|\/[\w./~-]+)$/;
+const GIT_REF_RE   = /^[A-Za-z0-9][A-Za-z0-9._/-]{0,99}$/;
+
+// ── VALIDATION ────────────────────────────────────────────────────────
+
+function validateSource(body, file) {
+  const type = String(body.source || (file && ARCHIVE_RE.test(file.originalname) ? 'archive' : 'file'));
+  if (!SOURCE_TYPES.includes(type)) throw badRequest(`Unknown source: ${type}`);
+
+  if (type === 'git') {
+    const url = String(body.gitUrl || '').trim();
+    const ref = String(body.gitRef || '').trim();
+    if (!GIT_URL_RE.test(url) || url.includes('..')) throw badRequest('Invalid git URL');
+    if (ref && (!GIT_REF_RE.test(ref) || ref.includes('..'))) throw badRequest('Invalid git branch/tag');
+    return { type, url, ref: ref || null };
+  }
+
+  if (!file) throw badRequest('No bot file uploaded.');
+  if (!/^[A-Za-z0-9_][A-Za-z0-9_. -]*$/.test(file.originalname)) throw badRequest('Invalid upload filename');
+  if (type === 'archive' && !ARCHIVE_RE.test(file.originalname)) {
+    throw badRequest('Archive must be .zip, .tar, .tar.gz or .tgz');
+  }
+  return { type, uploadPath: file.path, originalName: file.originalname };
+}
+
+// Rejects absolute paths and any `..` segment
+function checkEntryNames(names) {
+  for (const name of names) {
+    if (!name) continue;
+    if (path.isAbsolute(name) || /^[A-Za-z]:/.test(name) || name.split(/[\\/]/).includes('..')) {
+      throw badRequest(`Archive entry escapes the bot directory: ${name}`);
+    }
+  }
+}
+
+async function rejectSymlinks(dir) {
+  for (const ent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, ent.name);
+    if (ent.isSymbolicLink()) throw badRequest(`Archive contains a symlink: ${path.basename(full)}`);
+    if (ent.isDirectory()) await rejectSymlinks(full);
+  }
+}
+
+// ── FETCH ─────────────────────────────────────────────────────────────
+
+// Listing goes through runProcess rather than the job, so every file name
+// isn't echoed into the deploy log.
+async function listArchive(archive, isZip) {
+  const r = isZip
+    ? await runProcess('unzip', ['-Z1', archive], { maxBuffer: 1024 * 1024 * 8 })
+    : await runProcess('tar', ['-tf', archive], { maxBuffer: 1024 * 1024 * 8 });
+  if (r.code !== 0) throw badRequest('Could not read archive');
+  return r.stdout.split('\n');
+}
+
+async function extractArchive(ctx, source, dest) {
+  const isZip = /\.zip$/i.test(source.originalName);
+  checkEntryNames(await listArchive(source.uploadPath, isZip));
+
+  const code = isZip
+    ? await ctx.exec('unzip', ['-q', '-o', source.uploadPath, '-d', dest])
+    : await ctx.exec('tar', ['-xf', source.uploadPath, '-C', dest, '--no-same-owner', '--no-same-permissions']);
+  if (code !== 0) throw new Error('Archive extraction failed');
+  await rejectSymlinks(dest);
+}
+
+async function cloneRepo(ctx, source, dest) {
+  const args = ['clone', '--depth', '1'];
+  if (source.ref) args.push('--branch', source.ref);
+  args.push('--', source.url, dest);
+  const env  = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  const code = await ctx.exec('git', args, { env, timeout: 300000 });
+  if (code !== 0) throw new Error('git clone failed');
+  await fs.promises.rm(path.join(dest, '.git'), { recursive: true, force: true });
+  await rejectSymlinks(dest);
+}
+
+// Fetches code into `staging` and returns the code root — the single
+// top-level directory if the archive/repo wraps everything in one.
+async function fetchSource(ctx, source, staging, entryName) {
+  const dest = path.join(staging, 'src');
+  await fs.promises.mkdir(dest);
+
+  if (source.type === 'file') {
+    await fs.promises.copyFile(source.uploadPath, path.join(dest, entryName));
+  } else if (source.type === 'archive') {
+    await extractArchive(ctx, source, dest);
+  } else {
+    await cloneRepo(ctx, source, dest);
+  }
+
+  const top = await fs.promises.readdir(dest, { withFileTypes: true });
+  if (top.length === 1 && top[0].isDirectory()) return path.join(dest, top[0].name);
+  return dest;
+}
+
+module.exports = { SOURCE_TYPES, validateSource, fetchSource, checkEntryNames };
@@ -0,0 +1,264 @@
+// ═══════════════════════════════════════════════════════════════════════
+// FORM SCHEMA
+// The inquiry form, defined once on the backend: its fields, the server
+// type categories (with the colour and emoji their orders get in Discord)
+// and the budget tiers. GET /form-schema serves it and the site renders the
+// form from it; /inquiry validates against it; the inquiry embed shows the
+// answers under the labels they were given with.
+//
+//   const form = createFormSchema(store);
+//   form.get()          → { fields, categories, budgetTiers }
+//   form.categories()   → { 'Gaming Community': { color: 0x5865f2, emoji: '🎮' }, … }
+//   form.update(schema) // validated, saved in settings "formSchema"
+//   const { answers, columns, customBudget } = validateInquiry(form.get(), req.body);
+//
+// discordUsername and clientDiscordId are always part of it — orders and
+// DMs depend on them. Fields named after an order column (serverName,
+// serverType, budget, …) also fill that column, so the commands, analytics
+// and /myorders keep working; any other question lives in the answers only.
+// ═══════════════════════════════════════════════════════════════════════
+
+const SETTING_KEY = 'formSchema';
+
+const TYPES = ['text', 'textarea', 'select', 'discordId'];
+
+// Where a select's options come from when they aren't listed on the field
+const OPTION_SOURCES = ['categories', 'budgetTiers'];
+
+// Field name → order column
+const ORDER_FIELDS = {
+  discordUsername: 'discordUsername',
+  clientDiscordId: 'clientDiscordId',
+  serverName:      'serverName',
+  serverInvite:    'serverInvite',
+  serverType:      'serviceType',
+  budget:          'budget',
+  paymentMethod:   'paymentMethod',
+  projectDetails:  'projectDetails',
+};
+
+// Shown on their own in the embed, not as answers
+const IDENTITY_FIELDS = ['discordUsername', 'clientDiscordId'];
+
+// Sent alongside the answers by the site (spam_guard.js, verification.js)
+const RESERVED = ['website', 'formToken', 'powSolution', 'identityToken'];
+
+const MAX_LENGTH  = { text: 200, textarea: 4000 };
+const MAX_FIELDS  = 20; // the embed has 25 fields; the rest are status, notes …
+const MAX_CHOICES = 25;
+
+const DEFAULT_SCHEMA = {
+  fields: [
+    { name: 'discordUsername', label: 'Discord Username',   type: 'text',      required: true, emoji: '👤', placeholder: '@username', maxLength: 100 },
+    { name: 'clientDiscordId', label: 'Your Discord ID',    type: 'discordId', required: true, emoji: '🪪', placeholder: 'e.g. 123456789012345678' },
+    { name: 'serverName',      label: 'Server Name',        type: 'text',      required: true, emoji: '🖥️', placeholder: 'Your Discord server name', maxLength: 100 },
+    { name: 'serverInvite',    label: 'Server Invite Link', type: 'text',      required: true, emoji: '🔗', placeholder: 'discord.gg/yourserver', maxLength: 200, full: true },
+    { name: 'serverType',      label: 'Server Type',        type: 'select',    required: true, emoji: '🗂️', optionsFrom: 'categories' },
+    { name: 'budget',          label: 'Budget',             type: 'select',    required: true, emoji: '💰', optionsFrom: 'budgetTiers' },
+    { name: 'paymentMethod',   label: 'Payment Method',     type: 'select',    required: true, emoji: '💳', options: ['Robux via Gamepass', 'PayPal', 'Either works'] },
+    {
+      name: 'projectDetails', label: 'Bot Description & Requirements', type: 'textarea', required: true, emoji: '📝', full: true,
+      placeholder: 'Describe your bot in full — what it should do, every command you want, any integrations, how it should behave, any specific features or automations. The more detail you give, the faster I can get started.',
+      help: "Tip: include every command, trigger, or feature you can think of. Don't hold back on detail.",
+    },
+  ],
+  categories: [
+    { name: 'ERLC / Roblox RP',  color: '#ff7b3a', emoji: '🚔' },
+    { name: 'Gaming Community',  color: '#5865f2', emoji: '🎮' },
+    { name: 'Study / Education', color: '#3dffa0', emoji: '📚' },
+    { name: 'Business / Brand',  color: '#1a6fff', emoji: '💼' },
+    { name: 'General Community', color: '#00c8e0', emoji: '🌐' },
+    { name: 'Other',             color: '#888888', emoji: '❓' },
+  ],
+  // custom: the price is worked out with the client (see /inquiry)
+  budgetTiers: [
+    { label: '500 R$ (~$5)' },
+    { label: '1,000 R$ (~$10)' },
+    { label: 'Custom — DM me', custom: true },
+  ],
+};
+
+const fail = (status, msg, extra = {}) => { throw Object.assign(new Error(msg), { status, ...extra }); };
+
+const text = (value, max) => String(value ?? '').trim().slice(0, max);
+
+// ── VALIDATING THE SCHEMA ─────────────────────────────────────────────
+// Returns a clean copy (unknown keys dropped); throws 400 on anything that
+// would give a broken form.
+
+function validateCategories(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_CHOICES) fail(400, `categories: 1 to ${MAX_CHOICES} needed`);
+  const names = new Set();
+  return list.map((c, i) => {
+    const name = text(c?.name, 50);
+    if (!name || names.has(name)) fail(400, `categories[${i}]: missing or duplicate name`);
+    if (!/^#[0-9a-f]{6}$/i.test(c.color)) fail(400, `categories[${i}]: color must look like #5865f2`);
+    if (!text(c.emoji, 16)) fail(400, `categories[${i}]: emoji is required`);
+    names.add(name);
+    return { name, color: c.color.toLowerCase(), emoji: text(c.emoji, 16) };
+  });
+}
+
+function validateBudgetTiers(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_CHOICES) fail(400, `budgetTiers: 1 to ${MAX_CHOICES} needed`);
+  const labels = new Set();
+  return list.map((t, i) => {
+    const label = text(t?.label, 100);
+    if (!label || labels.has(label)) fail(400, `budgetTiers[${i}]: missing or duplicate label`);
+    labels.add(label);
+    return t.custom ? { label, custom: true } : { label };
+  });
+}
+
+function validateField(f, i) {
+  const where = `fields[${i}]${f?.name ? ` (${f.name})` : ''}`;
+  if (!/^[a-zA-Z][a-zA-Z0-9_]{0,31}$/.test(f?.name || '')) fail(400, `${where}: name must be letters, digits and _`);
+  if (RESERVED.includes(f.name)) fail(400, `${where}: ${f.name} is reserved`);
+  if (!TYPES.includes(f.type)) fail(400, `${where}: type must be one of ${TYPES.join(', ')}`);
+  const label = text(f.label, 80);
+  if (!label) fail(400, `${where}: label is required`);
+
+  const field = { name: f.name, label, type: f.type, required: Boolean(f.required) };
+  if (f.emoji)       field.emoji       = text(f.emoji, 16);
+  if (f.placeholder) field.placeholder = text(f.placeholder, 300);
+  if (f.help)        field.help        = text(f.help, 300);
+  if (f.full)        field.full        = true;
+  if (f.maxLength != null && MAX_LENGTH[f.type]) {
+    if (!(Number.isInteger(f.maxLength) && f.maxLength >= 1 && f.maxLength <= MAX_LENGTH[f.type])) {
+      fail(400, `${where}: maxLength must be 1 to ${MAX_LENGTH[f.type]}`);
+    }
+    field.maxLength = f.maxLength;
+  }
+  if (f.type === 'select') {
+    if (f.optionsFrom) {
+      if (!OPTION_SOURCES.includes(f.optionsFrom)) fail(400, `${where}: optionsFrom must be one of ${OPTION_SOURCES.join(', ')}`);
+      field.optionsFrom = f.optionsFrom;
+    } else {
+      const options = [...new Set((Array.isArray(f.options) ? f.options : []).map(o => text(o, 100)).filter(Boolean))];
+      if (!options.length || options.length > MAX_CHOICES) fail(400, `${where}: a select needs 1 to ${MAX_CHOICES} options`);
+      field.options = options;
+    }
+  }
+  return field;
+}
+
+function validateSchema(schema) {
+  if (!schema || typeof schema !== 'object') fail(400, 'The schema must be an object');
+  if (!Array.isArray(schema.fields) || schema.fields.length > MAX_FIELDS) fail(400, `fields: 2 to ${MAX_FIELDS} needed`);
+
+  const fields = schema.fields.map(validateField);
+  const seen   = new Set();
+  for (const f of fields) {
+    if (seen.has(f.name)) fail(400, `Duplicate field: ${f.name}`);
+    seen.add(f.name);
+  }
+  const byName = Object.fromEntries(fields.map(f => [f.name, f]));
+  if (!byName.discordUsername?.required || byName.discordUsername.type !== 'text') {
+    fail(400, 'discordUsername must be a required text field');
+  }
+  if (!byName.clientDiscordId?.required || byName.clientDiscordId.type !== 'discordId') {
+    fail(400, 'clientDiscordId must be a required discordId field');
+  }
+  return {
+    fields,
+    categories:  validateCategories(schema.categories),
+    budgetTiers: validateBudgetTiers(schema.budgetTiers),
+  };
+}
+
+// ── READING IT ────────────────────────────────────────────────────────
+
+const optionsOf = (schema, field) => (
+  field.optionsFrom === 'categories'  ? schema.categories.map(c => c.name)
+    : field.optionsFrom === 'budgetTiers' ? schema.budgetTiers.map(t => t.label)
+      : field.options || []
+);
+
+// For GET /form-schema: every select with its options filled in
+const publicSchema = (schema) => ({
+  fields:      schema.fields.map(f => (f.type === 'select' ? { ...f, options: optionsOf(schema, f) } : f)),
+  categories:  schema.categories,
+  budgetTiers: schema.budgetTiers,
+});
+
+// ── VALIDATING A SUBMISSION ───────────────────────────────────────────
+
+// body: the /inquiry request body. Throws 400 with `field` set on the
+// first problem. Returns:
+//   answers      — [{ name, label, emoji, value, long }] in form order, for
+//                  the embed (identity fields left out — shown on their own)
+//   columns      — the order columns filled from ORDER_FIELDS
+//   customBudget — a tier marked custom was chosen
+function validateInquiry(schema, body = {}) {
+  const answers = [];
+  const columns = {};
+  let customBudget = false;
+
+  for (const f of schema.fields) {
+    const value = String(body[f.name] ?? '').trim();
+    if (!value) {
+      if (f.required) fail(400, `${f.label} is required. Please fill in all required inputs.`, { field: f.name });
+      continue;
+    }
+    const max = f.maxLength || MAX_LENGTH[f.type];
+    if (max && value.length > max) fail(400, `${f.label} is too long (at most ${max} characters).`, { field: f.name });
+    if (f.type === 'discordId' && !/^\d{17,20}$/.test(value)) {
+      fail(400, 'Invalid Discord ID. Must be 17–20 digits. Enable Developer Mode in Discord Settings > Advanced to copy your ID.', { field: f.name });
+    }
+    if (f.type === 'select') {
+      if (!optionsOf(schema, f).includes(value)) fail(400, `Choose one of the ${f.label} options.`, { field: f.name });
+      if (f.optionsFrom === 'budgetTiers' && schema.budgetTiers.find(t => t.label === value).custom) customBudget = true;
+    }
+
+    if (ORDER_FIELDS[f.name]) columns[ORDER_FIELDS[f.name]] = value;
+    if (!IDENTITY_FIELDS.includes(f.name)) {
+      answers.push({ name: f.name, label: f.label, emoji: f.emoji || null, value, long: f.type === 'textarea' });
+    }
+  }
+  return { answers, columns, customBudget };
+}
+
+// An order's answers; orders from before the schema are read from their
+// columns with the default labels
+function answersOf(order) {
+  if (order.answers) return order.answers;
+  return DEFAULT_SCHEMA.fields
+    .filter(f => !IDENTITY_FIELDS.includes(f.name) && order[ORDER_FIELDS[f.name]])
+    .map(f => ({ name: f.name, label: f.label, emoji: f.emoji, value: order[ORDER_FIELDS[f.name]], long: f.type === 'textarea' }));
+}
+
+// ── STORE-BACKED ──────────────────────────────────────────────────────
+
+function createFormSchema(store) {
+  const get = () => store.settings.get(SETTING_KEY) || DEFAULT_SCHEMA;
+
+  function update(schema) {
+    const clean = validateSchema(schema);
+    store.settings.set(SETTING_KEY, clean);
+    return clean;
+  }
+
+  // name → { color (number, for embeds), emoji }
+  const categories = () => Object.fromEntries(get().categories.map(c => [c.name, {
+    color: parseInt(c.color.slice(1), 16),
+    emoji: c.emoji,
+  }]));
+
+  return {
+    get,
+    update,
+    categories,
+    reset: () => { store.settings.remove(SETTING_KEY); return DEFAULT_SCHEMA; },
+  };
+}
+
+module.exports = {
+  TYPES,
+  ORDER_FIELDS,
+  DEFAULT_SCHEMA,
+  validateSchema,
+  publicSchema,
+  validateInquiry,
+  answersOf,
+  createFormSchema,
+};
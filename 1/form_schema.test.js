@@ -0,0 +1,94 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SCHEMA, validateSchema, publicSchema, validateInquiry } = require('./form_schema');
+
+// A custom form: the identity fields, a category, a tier, a fixed select
+// and two questions that aren't order columns
+const schema = validateSchema({
+  fields: [
+    { name: 'discordUsername', label: 'Username',   type: 'text',      required: true },
+    { name: 'clientDiscordId', label: 'Discord ID', type: 'discordId', required: true },
+    { name: 'serverType',      label: 'Community',  type: 'select',    required: true, optionsFrom: 'categories', emoji: '🗂️' },
+    { name: 'budget',          label: 'Budget',     type: 'select',    required: false, optionsFrom: 'budgetTiers' },
+    { name: 'language',        label: 'Language',   type: 'select',    required: true, options: ['Python', 'JavaScript', 'Python'] },
+    { name: 'deadline',        label: 'Deadline',   type: 'text',      required: false, maxLength: 20 },
+    { name: 'details',         label: 'Details',    type: 'textarea',  required: true },
+  ],
+  categories:  [{ name: 'Gaming', color: '#5865F2', emoji: '🎮' }, { name: 'Study', color: '#3dffa0', emoji: '📚' }],
+  budgetTiers: [{ label: '$10' }, { label: 'Custom', custom: true }],
+});
+
+const valid = {
+  discordUsername: 'someone',
+  clientDiscordId: '123456789012345678',
+  serverType:      'Gaming',
+  language:        'Python',
+  details:         'A ticket bot',
+};
+
+test('a valid submission fills the answers and the order columns', () => {
+  const { answers, columns, customBudget } = validateInquiry(schema, { ...valid, deadline: ' next week ', website: '' });
+  assert.deepEqual(columns, {
+    discordUsername: 'someone',
+    clientDiscordId: '123456789012345678',
+    serviceType:     'Gaming',
+  });
+  // Form order, identity fields and blank optional fields left out
+  assert.deepEqual(answers, [
+    { name: 'serverType', label: 'Community', emoji: '🗂️', value: 'Gaming',       long: false },
+    { name: 'language',   label: 'Language',  emoji: null, value: 'Python',       long: false },
+    { name: 'deadline',   label: 'Deadline',  emoji: null, value: 'next week',    long: false },
+    { name: 'details',    label: 'Details',   emoji: null, value: 'A ticket bot', long: true },
+  ]);
+  assert.equal(customBudget, false);
+});
+
+test('required fields are checked, blank or whitespace', () => {
+  for (const name of ['discordUsername', 'serverType', 'language', 'details']) {
+    assert.throws(() => validateInquiry(schema, { ...valid, [name]: undefined }), { status: 400, field: name }, name);
+    assert.throws(() => validateInquiry(schema, { ...valid, [name]: '   ' }), { status: 400, field: name }, name);
+  }
+  assert.doesNotThrow(() => validateInquiry(schema, { ...valid, budget: '' }));
+});
+
+test('selects only take their own options', () => {
+  const wrong = [
+    ['serverType', 'Business'],      // not one of this schema's categories
+    ['serverType', 'gaming'],
+    ['budget', '500 R$ (~$5)'],      // a default tier, not this schema's
+    ['language', 'Rust'],
+  ];
+  for (const [name, value] of wrong) {
+    assert.throws(() => validateInquiry(schema, { ...valid, [name]: value }), { status: 400, field: name }, `${name}=${value}`);
+  }
+  assert.equal(validateInquiry(schema, { ...valid, budget: 'Custom' }).customBudget, true);
+  assert.equal(validateInquiry(schema, { ...valid, budget: '$10' }).columns.budget, '$10');
+});
+
+test('lengths and Discord IDs are checked', () => {
+  assert.throws(() => validateInquiry(schema, { ...valid, deadline: 'x'.repeat(21) }), { status: 400, field: 'deadline' });
+  assert.throws(() => validateInquiry(schema, { ...valid, clientDiscordId: '12345' }), { status: 400, field: 'clientDiscordId' });
+});
+
+test('the public schema lists every select option', () => {
+  const fields = Object.fromEntries(publicSchema(schema).fields.map(f => [f.name, f]));
+  assert.deepEqual(fields.serverType.options, ['Gaming', 'Study']);
+  assert.deepEqual(fields.budget.options, ['$10', 'Custom']);
+  assert.deepEqual(fields.language.options, ['Python', 'JavaScript']);
+  assert.equal(fields.details.options, undefined);
+});
+
+test('schemas that would break the form are refused', () => {
+  const fields = DEFAULT_SCHEMA.fields;
+  const broken = [
+    { ...DEFAULT_SCHEMA, fields: fields.filter(f => f.name !== 'clientDiscordId') },
+    { ...DEFAULT_SCHEMA, fields: [...fields, { name: 'formToken', label: 'Token', type: 'text' }] },
+    { ...DEFAULT_SCHEMA, fields: [...fields, { name: 'pick', label: 'Pick', type: 'select', options: [] }] },
+    { ...DEFAULT_SCHEMA, fields: [...fields, fields[2]] },
+    { ...DEFAULT_SCHEMA, categories: [{ name: 'A', color: 'red', emoji: '🅰️' }] },
+  ];
+  for (const s of broken) assert.throws(() => validateSchema(s), { status: 400 });
+  assert.doesNotThrow(() => validateSchema(DEFAULT_SCHEMA));
+});
@@ -2,8 +2,62 @@
 const express = require("express");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
-const { randomUUID } = require("crypto");
-const fs = require("fs").promises;
+const { randomUUID, randomBytes } = require("crypto");
+const { openStore } = require("./store");
+const { createCommandRouter } = require("./commands");
+const {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  normalizeStatus,
+  statusLabel,
+  transitionOrder,
+  formatTimeline,
+  clientView,
+} = require("./order_workflow");
+const {
+  CURRENCIES,
+  summarize,
+  formatMoney,
+  setQuote,
+  recordPayment,
+  issueInvoice,
+  renderInvoiceHtml,
+} = require("./invoicing");
+const { createSpamGuard } = require("./spam_guard");
+const {
+  DAYS,
+  WHEN_CLOSED,
+  parseHours,
+  parseDays,
+  parseVacation,
+  createAvailability,
+} = require("./availability");
+const {
+  identityLabel,
+  canDm,
+  newCode,
+  confirmCode,
+  createVerifier,
+} = require("./verification");
+const {
+  MAX_SCREENSHOTS,
+  validateWork,
+  saveScreenshot,
+  addTestimonial,
+  publicWorkPage,
+  publicTestimonials,
+  checkInvites,
+} = require("./portfolio");
+const { CLIENT_EVENTS, createVisitTracker } = require("./visits");
+const {
+  TYPES,
+  ORDER_FIELDS,
+  publicSchema,
+  validateInquiry,
+  answersOf,
+  createFormSchema,
+} = require("./form_schema");
+const { formatConversation, createOrderThreads } = require("./order_threads");
 
 // ─── FIX 1: Only import what actually exists in discord.js v14 ─────────────
 // REMOVED: LimitedCollection, Options — these caused a crash in Client constructor
@@ -13,6 +67,7 @@ const {
   EmbedBuilder,
   ActivityType,
   MessageFlags,
+  Partials,
 } = require("discord.js");
 
 // ─── FIX 2: Clean Client init — no broken sweep/cache options ──────────────
@@ -23,8 +78,10 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.MessageContent, // also relayed order thread / DM messages
+    GatewayIntentBits.DirectMessages, // clients use !myorders in DMs, and reply to order threads
   ],
+  partials: [Partials.Channel], // DM channels aren't cached until first use
 });
 
 // ─── CONFIG ────────────────────────────────────────────────────────────────
@@ -33,106 +90,118 @@ const CONFIG = {
   OWNER_ID:          process.env.OWNER_ID || "776208075009818636",
   PORT:              process.env.PORT || 3000,
   PREFIX:            "!",
-  CONFIG_FILE:       "./config.json",
-  ORDERS_FILE:       "./orders.json",
-  VISITS_FILE:       "./visits.json",
-  WORK_FILE:         "./work.json",
-  MAX_ORDERS_MEMORY: 500,
+  DB_FILE:           process.env.DB_FILE || "./echo.db",
+  // Old JSON files (config/orders/visits/work.json) in this directory are
+  // imported into the database once, on first start — see store.js
+  JSON_IMPORT_DIR:   ".",
+  // Invoices — see invoicing.js
+  DEFAULT_CURRENCY:  process.env.DEFAULT_CURRENCY || "USD",
+  BUSINESS_NAME:     process.env.BUSINESS_NAME || "Echo Services",
+  BUSINESS_CONTACT:  process.env.BUSINESS_CONTACT || "",
+  // Public URL of this backend, for invoice links in DMs (optional)
+  PUBLIC_API_URL:    (process.env.PUBLIC_API_URL || "").replace(/\/$/, ""),
+  // Public forms — see spam_guard.js. POW difficulty 0 turns proof of work off;
+  // each extra bit doubles the work the browser does (~16–18 is a second or two)
+  FORM_MIN_FILL_MS:    Number(process.env.FORM_MIN_FILL_MS ?? 4000),
+  FORM_POW_DIFFICULTY: Number(process.env.FORM_POW_DIFFICULTY ?? 0),
+  // "Sign in with Discord" on the forms — see verification.js. Uses the same
+  // Discord application as the dashboard login; the redirect is
+  // http://<host>:3000/auth/discord/callback. SITE_URL is where it returns.
+  CLIENT_OAUTH_REDIRECT: process.env.CLIENT_OAUTH_REDIRECT,
+  SITE_URL:              process.env.SITE_URL,
+  // Featured work invite links are checked this often and expired ones
+  // flagged (see portfolio.js); 0 = only when /work checkinvites is run
+  INVITE_CHECK_HOURS:    Number(process.env.INVITE_CHECK_HOURS || 0),
 };
 
+// SITE_URL can list several sites, comma-separated (CORS, login returns,
+// visit referrers)
+const SITE_URLS = (CONFIG.SITE_URL || "").split(",").map(u => u.trim()).filter(Boolean).map(u => new URL(u));
+
 // ─── FIX 5: Guard against missing BOT_TOKEN ────────────────────────────────
 if (!CONFIG.BOT_TOKEN) {
   console.error("❌ BOT_TOKEN is not set in environment variables.");
   process.exit(1);
 }
 
-// ─── FILE HELPERS ──────────────────────────────────────────────────────────
+// ─── STORAGE ───────────────────────────────────────────────────────────────
+// SQLite via store.js (npm install better-sqlite3). Every helper below is a
+// single statement or transaction, so concurrent requests and commands can't
+// overwrite each other's changes.
+const store = openStore({ file: CONFIG.DB_FILE, importDir: CONFIG.JSON_IMPORT_DIR });
+
+// Settings with "_" in front are the store's own bookkeeping
 async function loadConfig() {
-  try {
-    const data = await fs.readFile(CONFIG.CONFIG_FILE, "utf8");
-    return JSON.parse(data);
-  } catch {
-    return { inquiryChannelId: process.env.INQUIRY_CHANNEL_ID || null };
-  }
+  const cfg = Object.fromEntries(Object.entries(store.settings.all()).filter(([k]) => !k.startsWith("_")));
+  return { inquiryChannelId: process.env.INQUIRY_CHANNEL_ID || null, ...cfg };
 }
 
-async function saveConfig(data) {
-  await fs.writeFile(CONFIG.CONFIG_FILE, JSON.stringify(data, null, 2));
+async function setConfig(key, value) {
+  store.settings.set(key, value);
 }
 
-let ordersCache    = null;
-let lastOrdersLoad = 0;
-const CACHE_TTL    = 30_000;
-
-async function loadOrders() {
-  const now = Date.now();
-  if (ordersCache && now - lastOrdersLoad < CACHE_TTL) return ordersCache;
-  try {
-    const data   = await fs.readFile(CONFIG.ORDERS_FILE, "utf8");
-    let orders   = JSON.parse(data);
-    if (orders.length > CONFIG.MAX_ORDERS_MEMORY) orders = orders.slice(-CONFIG.MAX_ORDERS_MEMORY);
-    ordersCache    = orders;
-    lastOrdersLoad = now;
-    return orders;
-  } catch {
-    ordersCache    = [];
-    lastOrdersLoad = now;
-    return [];
+// ─── SPAM GUARD ────────────────────────────────────────────────────────────
+// Signs form and identity tokens. FORM_SECRET if set, otherwise one generated
+// on first start and kept in the database so tokens survive restarts.
+function formSecret() {
+  if (process.env.FORM_SECRET) return process.env.FORM_SECRET;
+  let secret = store.settings.get("_formSecret");
+  if (!secret) {
+    secret = randomBytes(32).toString("hex");
+    store.settings.set("_formSecret", secret);
   }
+  return secret;
 }
 
-async function saveOrders(orders) {
-  ordersCache    = orders;
-  lastOrdersLoad = Date.now();
-  await fs.writeFile(CONFIG.ORDERS_FILE, JSON.stringify(orders, null, 2));
-}
+const spamGuard = createSpamGuard({
+  store,
+  secret:        formSecret(),
+  minFillMs:     CONFIG.FORM_MIN_FILL_MS,
+  powDifficulty: CONFIG.FORM_POW_DIFFICULTY,
+});
 
-// ─── VISIT COUNTER ─────────────────────────────────────────────────────────
-async function loadVisits() {
-  try {
-    const data = await fs.readFile(CONFIG.VISITS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch {
-    return { count: 0 };
-  }
-}
+// ─── CLIENT VERIFICATION ───────────────────────────────────────────────────
+// The bot only DMs clients whose Discord ID is proven (verification.js)
+const verifier = createVerifier({
+  secret: formSecret(),
+  oauth: {
+    clientId:     process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    redirectUri:  CONFIG.CLIENT_OAUTH_REDIRECT,
+  },
+  returnOrigins: SITE_URLS.map(u => u.origin),
+});
 
-async function saveVisits(data) {
-  await fs.writeFile(CONFIG.VISITS_FILE, JSON.stringify(data, null, 2));
-}
+// ─── VISIT ANALYTICS ───────────────────────────────────────────────────────
+// Unique visitors, pages, referrers and the form funnel from hashed IPs —
+// see visits.js. Never allowed to get in the way of the request it's on.
+const visits = createVisitTracker(store, {
+  ownHosts: SITE_URLS.map(u => u.hostname),
+});
 
-// ─── FEATURED WORK ───────────────────────────────────────────────────────
-async function loadWork() {
+function trackVisit(req, event, details) {
   try {
-    const data = await fs.readFile(CONFIG.WORK_FILE, "utf8");
-    return JSON.parse(data);
-  } catch {
-    return [];
+    visits.record(req.ip, event, details);
+  } catch (err) {
+    console.warn(`Visit tracking (${event}) failed:`, err.message);
   }
 }
 
-async function saveWork(entries) {
-  await fs.writeFile(CONFIG.WORK_FILE, JSON.stringify(entries, null, 2));
-}
-
 // ─── STATUS ────────────────────────────────────────────────────────────────
-let currentStatus = "open";
+// Saved /open /slow /close plus the schedule and capacity rule — see
+// availability.js. availability.resolve() is the status right now.
+const availability = createAvailability(store);
 const STATUS_DISPLAY = {
   open:   { label: "Open for orders",        emoji: "🟢", color: 0x00e5c4 },
   slow:   { label: "Slow — may take longer", emoji: "🟡", color: 0xf5a623 },
   closed: { label: "Closed for orders",      emoji: "🔴", color: 0xff4444 },
 };
 
-// ─── CATEGORY METADATA ─────────────────────────────────────────────────────
-// Keys match the "Server Type" options in the frontend inquiry form
-const CATEGORY_META = {
-  "ERLC / Roblox RP":   { color: 0xff7b3a, emoji: "🚔" },
-  "Gaming Community":   { color: 0x5865f2, emoji: "🎮" },
-  "Study / Education":  { color: 0x3dffa0, emoji: "📚" },
-  "Business / Brand":   { color: 0x1a6fff, emoji: "💼" },
-  "General Community":  { color: 0x00c8e0, emoji: "🌐" },
-  "Other":              { color: 0x888888, emoji: "❓" },
-};
+// ─── INQUIRY FORM ──────────────────────────────────────────────────────────
+// Fields, server type categories and budget tiers, served to the site at
+// GET /form-schema — see form_schema.js. formSchema.categories() gives each
+// server type's embed colour and emoji.
+const formSchema = createFormSchema(store);
 
 // ─── UTILS ─────────────────────────────────────────────────────────────────
 function isValidSnowflake(id) {
@@ -153,291 +222,1264 @@ async function getChannel() {
   return client.channels.fetch(cfg.inquiryChannelId);
 }
 
+// ─── ORDER MESSAGE ─────────────────────────────────────────────────────────
+// The inquiry embed is rendered from the stored order, so any change (buttons,
+// commands) can redraw it. Component IDs carry the order UUID:
+//   order:<action>:<uuid>   actions: accept, decline, paid, note, status, thread
+const CUSTOM_BUDGET = "Custom (to discuss)";
+
+// The form answers become fields, in form order, under the labels they were
+// submitted with. Embeds are capped at 6000 characters: long answers share
+// what's left after the rest.
+const ANSWER_CHARS = 3500;
+
+function answerFields(order) {
+  let left = ANSWER_CHARS;
+  return answersOf(order).slice(0, 19).map(a => {
+    const value = a.value.length > Math.min(1024, left) ? `${a.value.slice(0, Math.max(1, Math.min(1024, left) - 1))}…` : a.value;
+    left = Math.max(0, left - value.length);
+    return { name: `${a.emoji ? `${a.emoji} ` : ""}${a.label}`.slice(0, 256), value, inline: !a.long };
+  });
+}
+
+function buildOrderEmbed(order) {
+  const meta   = formSchema.categories()[order.serviceType] || { color: 0x6ee7f7, emoji: "📥" };
+  const last   = store.orders.events(order.uuid).at(-1);
+  const status = statusLabel(order.status) + (last?.from && last.reason ? `\n> ${last.reason.slice(0, 200)}` : "");
+  return new EmbedBuilder()
+    .setTitle(`${meta.emoji}  New Inquiry${order.serviceType ? ` — ${order.serviceType}` : ""}`)
+    .setColor(order.status === "Pending" ? meta.color : ORDER_STATUSES[order.status]?.color ?? meta.color)
+    .setTimestamp(new Date(order.createdAt))
+    .setFooter({ text: `Echo Services  •  Order: ${order.uuid.slice(0,8)}` })
+    .addFields(
+      { name: "👤 Discord",       value: `${order.discordUsername}\n<@${order.clientDiscordId}>`,  inline: true  },
+      { name: "🔐 Identity",      value: identityLabel(order),                                      inline: true  },
+      { name: "📊 Status",        value: status,                                                    inline: true  },
+      { name: "💵 Paid",          value: paymentLine(order),                                        inline: true  },
+      ...answerFields(order),
+      ...(order.budget === CUSTOM_BUDGET ? [{ name: "💡 Note", value: "Custom budget — reach out to discuss pricing first.", inline: false }] : []),
+      ...(order.notes ? [{ name: "🗒️ Notes", value: order.notes.slice(-1000), inline: false }] : []),
+    );
+}
+
+function buildOrderComponents(order) {
+  const id   = order.uuid;
+  const next = TRANSITIONS[order.status] || [];
+  const paid = order.payment === "✅ Paid";
+  return [
+    {
+      type: 1,
+      components: [
+        { type: 2, style: 3, label: "✅ Accept",  custom_id: `order:accept:${id}`,  disabled: !next.includes("Accepted") },
+        { type: 2, style: 4, label: "❌ Decline", custom_id: `order:decline:${id}`, disabled: !next.includes("Declined") },
+        { type: 2, style: 1, label: paid ? "⏳ Mark Unpaid" : "💵 Mark Paid", custom_id: `order:paid:${id}` },
+        { type: 2, style: 2, label: "🗒️ Add Note", custom_id: `order:note:${id}` },
+        { type: 2, style: 2, label: "💬 Conversation", custom_id: `order:thread:${id}` },
+      ],
+    },
+    {
+      type: 1,
+      components: [{
+        type:        3,
+        custom_id:   `order:status:${id}`,
+        placeholder: next.length ? `📊 ${order.status} — set status…` : `📊 ${order.status} (final)`,
+        disabled:    !next.length,
+        // A select menu needs at least one option even when disabled
+        options: (next.length ? next : [order.status]).map(s => ({
+          label: s,
+          value: s,
+          emoji: { name: ORDER_STATUSES[s].emoji },
+        })),
+      }],
+    },
+  ];
+}
+
+// ─── CLIENT UPDATES ────────────────────────────────────────────────────────
+// Status and payment changes go through these two, so the client always
+// gets a DM about them — once verified (canDm). DMs are best-effort
+// (clients may have them closed).
+async function notifyClient(order, headline) {
+  if (!canDm(order)) return;
+  const view = clientView(order, [], store.payments.list(order.uuid));
+  try {
+    const user = await client.users.fetch(order.clientDiscordId);
+    await user.send({ embeds: [
+      new EmbedBuilder().setColor(ORDER_STATUSES[order.status]?.color ?? 0x7b6ff0)
+        .setTitle(`🔔 Order update — ${order.uuid.slice(0,8)}`)
+        .setDescription(headline)
+        .addFields(
+          { name: "📊 Status",  value: view.statusLabel,                         inline: true },
+          { name: "💵 Payment", value: clientPaymentLine(view),                   inline: true },
+        )
+        .setFooter({ text: "Echo Services  •  /myorders shows all your orders" }).setTimestamp()
+    ]});
+  } catch {
+    console.warn(`Could not DM ${order.clientDiscordId} — DMs may be closed.`);
+  }
+}
+
+// First message to the client about a new order — DMed when the inquiry
+// comes in verified, or the reply to /verify
+function inquiryReceivedMessage(order) {
+  if (order.status === "Waitlisted") {
+    return `👋 Hey! Thanks for reaching out to **Echo Services**.\n\nI'm not taking new orders right now, so you're on the **waitlist** — I'll get back to you as soon as I reopen.\n\n> 🪪 **Order ID:** \`${order.uuid}\`\nTrack it any time with \`/myorders\`.`;
+  }
+  return order.budget === CUSTOM_BUDGET
+    ? `👋 Hey! Thanks for reaching out to **Echo Services**.\n\nYour inquiry has been received. You selected a custom budget — I'll DM you shortly to discuss pricing.\n\n> 🪪 **Order ID:** \`${order.uuid}\`\nTrack it any time with \`/myorders\`.`
+    : `👋 Hey! Thanks for reaching out to **Echo Services**.\n\nYour inquiry has been received and I'll get back to you as soon as possible.\n\n> 🪪 **Order ID:** \`${order.uuid}\`\nTrack it any time with \`/myorders\`.`;
+}
+
+// transitionOrder + the client DM. Throws like transitionOrder.
+function changeStatus(uuid, to, by) {
+  const result = transitionOrder(store, uuid, to, by);
+  notifyClient(result.order, `Your order is now **${statusLabel(result.order.status)}**.`);
+  if (result.order.status === "Accepted") {
+    orderThreads.open(result.order)
+      .catch(err => console.warn(`Could not open a thread for ${uuid.slice(0,8)}:`, err.message));
+  }
+  return result;
+}
+
+// Quoted orders are paid through real payments: "paid" records the balance,
+// "unpaid" is refused (record a refund instead). Unquoted orders keep the
+// plain flag.
+function markPaid(uuid, paid, by = null) {
+  const before = store.orders.get(uuid);
+  if (!before || (before.payment === "✅ Paid") === paid) return;
+  if (before.quoteAmount != null) {
+    if (!paid) throw Object.assign(new Error("This order has a quote — record a refund with `/payment refund` instead."), { status: 409 });
+    const { balance, currency } = summarize(before, store.payments.list(uuid));
+    const { decimals } = CURRENCIES[currency];
+    const amount = (balance / 10 ** decimals).toFixed(decimals);
+    return addPayment(uuid, { kind: "payment", amount, note: "Marked paid", by });
+  }
+  store.orders.update(uuid, {
+    payment: paid ? "✅ Paid" : "⏳ Unpaid",
+    paidAt:  paid ? new Date().toISOString() : null,
+  });
+  notifyClient(store.orders.get(uuid), paid ? "✅ Payment received — thank you!" : "⏳ Your order is marked as unpaid again.");
+}
+
+// Payment + the client DM. Throws like recordPayment.
+function addPayment(uuid, payment) {
+  const result = recordPayment(store, uuid, payment);
+  const { summary } = result;
+  const money = (n) => formatMoney(n, summary.currency);
+  const what  = payment.kind === "refund"
+    ? `↩️ Refund of **${money(-result.payment.amount)}** sent.`
+    : `💵 ${payment.kind === "deposit" ? "Deposit" : "Payment"} of **${money(result.payment.amount)}** received — thank you!`;
+  notifyClient(result.order, summary.balance != null ? `${what}\nBalance due: **${money(Math.max(0, summary.balance))}**` : what);
+  return result;
+}
+
+// "🟡 Partly paid" plus the amounts, for the owner's embeds
+function paymentLine(order) {
+  const { quote, paid, currency } = summarize(order, store.payments.list(order.uuid));
+  if (quote == null) return paid ? `${order.payment}\n${formatMoney(paid, currency)} received` : order.payment;
+  return `${order.payment}\n${formatMoney(paid, currency)} of ${formatMoney(quote, currency)}`;
+}
+
+// Same for the client, from clientView()
+const clientPaymentLine = (view) => (view.quote ? `${view.payment}\nDue: ${view.balanceDue} of ${view.quote}` : view.payment);
+
+const renderOrderMessage = (order) => ({ embeds: [buildOrderEmbed(order)], components: buildOrderComponents(order) });
+
+// Redraws the inquiry message after a change made outside it (commands).
+// Non-fatal: the message may have been deleted or predate message tracking.
+async function refreshOrderMessage(uuid) {
+  const order = store.orders.get(uuid);
+  if (!order?.messageChannelId || !order.messageId) return;
+  try {
+    const channel = await client.channels.fetch(order.messageChannelId);
+    const message = await channel.messages.fetch(order.messageId);
+    await message.edit(renderOrderMessage(order));
+  } catch (err) {
+    console.warn(`Could not refresh inquiry message for ${uuid.slice(0,8)}:`, err.message);
+  }
+}
+
+// ─── ORDER THREADS ─────────────────────────────────────────────────────────
+// A private thread per accepted order, relayed to and from the client's
+// DMs and stored on the order — see order_threads.js. Needs the bot to be
+// allowed to create private threads in the inquiry channel.
+const orderThreads = createOrderThreads({
+  client,
+  store,
+  ownerId:        CONFIG.OWNER_ID,
+  prefix:         CONFIG.PREFIX,
+  inquiryChannel: getChannel,
+  businessName:   CONFIG.BUSINESS_NAME,
+});
+client.on("messageCreate", orderThreads.onMessage);
+
 // ─── BOT READY ─────────────────────────────────────────────────────────────
 client.once("ready", () => {
   console.log(`✅ Echo Services bot online as ${client.user.tag}`);
-  client.user.setActivity("echo services | !help", { type: ActivityType.Watching });
+  client.user.setActivity("echo services | /help", { type: ActivityType.Watching });
+  // COMMAND_GUILD_ID registers in one server (instant); unset = global
+  commands.register(process.env.COMMAND_GUILD_ID)
+    .catch(err => console.error("❌ Slash command registration failed:", err.message));
+  if (CONFIG.INVITE_CHECK_HOURS > 0) {
+    setInterval(runInviteCheck, CONFIG.INVITE_CHECK_HOURS * 3_600_000).unref();
+  }
   setInterval(() => {
     const u = process.memoryUsage();
     console.log(`[Memory] ${Math.round(u.heapUsed / 1024 / 1024)}MB / ${Math.round(u.heapTotal / 1024 / 1024)}MB`);
   }, 300_000);
 });
 
-// ─── BOT COMMANDS (owner only) ─────────────────────────────────────────────
-client.on("messageCreate", async (msg) => {
-  if (msg.author.bot) return;
-  if (!msg.content.startsWith(CONFIG.PREFIX)) return;
-  if (msg.author.id !== CONFIG.OWNER_ID) return msg.reply("❌ Owner only.");
+// ─── BOT COMMANDS ──────────────────────────────────────────────────────────
+// Slash commands, with the old "!" prefix versions kept working through the
+// same definitions (see commands.js). Owner-only unless access: "public".
+// (MessageContent stays either way: order threads relay message text.)
+const commands = createCommandRouter({ client, ownerId: CONFIG.OWNER_ID, prefix: CONFIG.PREFIX });
+
+const notFound = (msg) => Object.assign(new Error(msg), { status: 404 });
+
+function findOrder(id) {
+  const order = store.orders.findByPrefix(id);
+  if (!order) throw notFound(`No order found for \`${id}\``);
+  return order;
+}
+
+// ── Autocomplete sources ──
+const orderChoices = (query) => store.orders.search(query).map(o => ({
+  name:  `${o.uuid.slice(0,8)} · ${o.discordUsername} · ${o.status} · ${o.serviceType || "N/A"}`,
+  value: o.uuid,
+}));
+
+const statusChoices = (query, list = Object.keys(ORDER_STATUSES)) => list
+  .filter(s => s.toLowerCase().includes(query.toLowerCase()))
+  .map(s => ({ name: `${ORDER_STATUSES[s].emoji} ${s}`, value: s }));
+
+// Only the statuses the chosen order can move to
+function nextStatusChoices(query, { options }) {
+  const order = options.id && store.orders.findByPrefix(options.id);
+  return statusChoices(query, order ? TRANSITIONS[order.status] : undefined);
+}
 
-  const args = msg.content.slice(CONFIG.PREFIX.length).trim().split(/\s+/);
-  const cmd  = args[0].toLowerCase();
+const workChoices = (query) => store.work.list()
+  .filter(w => `${w.id} ${w.botName} ${w.serverName}`.toLowerCase().includes(query.toLowerCase()))
+  .map(w => ({ name: `${w.id} · ${w.botName} @ ${w.serverName}${w.published ? "" : " (draft)"}`, value: w.id }));
 
-  // !setchannel
-  if (cmd === "setchannel") {
-    const channelId = msg.mentions.channels.first()?.id || args[1];
-    if (!channelId) return msg.reply("❌ Usage: `!setchannel #channel`");
+const ORDER_ID = { name: "id", type: "string", description: "Order (UUID or first 8 characters)", required: true, autocomplete: orderChoices };
+
+const categoryChoices = (query) => formSchema.get().categories
+  .filter(c => c.name.toLowerCase().includes(query.toLowerCase()))
+  .map(c => ({ name: `${c.emoji} ${c.name}`, value: c.name }));
+
+// ── Availability ──
+commands.add({
+  name: "setchannel", group: "Availability", description: "Set the inquiry channel",
+  options: [{ name: "channel", type: "channel", description: "Channel for new inquiries", required: true }],
+  run: async ({ channel }) => {
+    let ch;
     try {
-      const ch  = await client.channels.fetch(channelId);
-      const cfg = await getConfig();
-      cfg.inquiryChannelId = ch.id;
-      await saveConfig(cfg);
-      return msg.reply({ embeds: [
-        new EmbedBuilder().setColor(0x00e5c4).setTitle("✅ Channel Set")
-          .setDescription(`Inquiries will post to <#${ch.id}>.`).setTimestamp()
-      ]});
+      ch = await client.channels.fetch(channel);
     } catch {
-      return msg.reply("❌ Channel not found or bot lacks access.");
+      throw Object.assign(new Error("Channel not found or bot lacks access."), { status: 404 });
     }
-  }
+    await setConfig("inquiryChannelId", ch.id);
+    return { embeds: [
+      new EmbedBuilder().setColor(0x00e5c4).setTitle("✅ Channel Set")
+        .setDescription(`Inquiries will post to <#${ch.id}>.`).setTimestamp()
+    ]};
+  },
+});
 
-  // !open / !slow / !close
-  if (["open", "slow", "close"].includes(cmd)) {
-    currentStatus = cmd === "close" ? "closed" : cmd;
-    const s = STATUS_DISPLAY[currentStatus];
-    return msg.reply({ embeds: [
-      new EmbedBuilder().setColor(s.color).setTitle(`${s.emoji} Status Updated`)
-        .setDescription(`Echo Services is now **${s.label}**.`).setTimestamp()
-    ]});
-  }
+// "closed (vacation — Away until Mon 2 Nov)" when the schedule overrides
+// the manual status
+function availabilityLine(a = availability.resolve()) {
+  const s = STATUS_DISPLAY[a.status];
+  return `${s.emoji} **${s.label}**${a.reason !== "manual" ? ` — ${a.message}` : ""}`;
+}
+
+for (const [name, state] of [["open", "open"], ["slow", "slow"], ["close", "closed"]]) {
+  commands.add({
+    name, group: "Availability", description: `Set ${STATUS_DISPLAY[state].label} ${STATUS_DISPLAY[state].emoji}`,
+    run: () => {
+      availability.setManual(state);
+      const a = availability.resolve();
+      const s = STATUS_DISPLAY[state];
+      return { embeds: [
+        new EmbedBuilder().setColor(STATUS_DISPLAY[a.status].color).setTitle(`${s.emoji} Status Updated`)
+          .setDescription(a.status === state
+            ? `Echo Services is now **${s.label}**.`
+            : `Set to **${s.label}** — but right now it's ${availabilityLine(a)}.`)
+          .setTimestamp()
+      ]};
+    },
+  });
+}
 
-  // !status
-  if (cmd === "status") {
-    const s   = STATUS_DISPLAY[currentStatus];
+commands.add({
+  name: "status", group: "Availability", description: "Show availability, the schedule and the inquiry channel",
+  run: async () => {
+    const a   = availability.resolve();
+    const sc  = a.schedule;
     const cfg = await getConfig();
-    const ch  = cfg?.inquiryChannelId ? `<#${cfg.inquiryChannelId}>` : "⚠️ Not set — run `!setchannel`";
-    return msg.reply({ embeds: [
-      new EmbedBuilder().setColor(s.color).setTitle("📡 Echo Services — Status")
+    const ch  = cfg?.inquiryChannelId ? `<#${cfg.inquiryChannelId}>` : "⚠️ Not set — run `/setchannel`";
+    const v   = sc.vacation;
+    return { embeds: [
+      new EmbedBuilder().setColor(STATUS_DISPLAY[a.status].color).setTitle("📡 Echo Services — Status")
+        .setDescription(availabilityLine(a))
         .addFields(
-          { name: "Order Status",    value: `${s.emoji} ${s.label}`, inline: true },
-          { name: "Inquiry Channel", value: ch,                       inline: true },
+          { name: "Set manually",    value: `${STATUS_DISPLAY[sc.manual].emoji} ${sc.manual}`,             inline: true },
+          { name: "Inquiry Channel", value: ch,                                                          inline: true },
+          { name: "When closed",     value: sc.whenClosed === "waitlist" ? "🕒 Waitlist inquiries" : "⛔ Turn inquiries away", inline: true },
+          { name: "Hours",           value: sc.hours ? `${sc.hours.start}–${sc.hours.end}, ${sc.hours.outside} outside` : "Any time", inline: true },
+          { name: "Timezone",        value: sc.timezone,                                                 inline: true },
+          { name: "Closed days",     value: sc.closedDays.join(", ") || "None",                         inline: true },
+          { name: "Away",            value: v ? `${v.from ? `<t:${Math.floor(Date.parse(v.from) / 1000)}:f> → ` : "Until "}<t:${Math.floor(Date.parse(v.until) / 1000)}:f>${v.message ? `\n> ${v.message}` : ""}` : "No", inline: true },
+          { name: "Capacity",        value: sc.capacity
+              ? `${a.activeOrders} active · slow at ${sc.capacity.slowAt || "—"} · closed at ${sc.capacity.closedAt || "—"}`
+              : `${a.activeOrders} active · no limit`, inline: true },
         ).setTimestamp()
-    ]});
-  }
+    ]};
+  },
+});
+
+// /schedule … — every change is saved and applies straight away
+const timezoneChoices = (query) => Intl.supportedValuesOf("timeZone")
+  .filter(tz => tz.toLowerCase().includes(query.toLowerCase()))
+  .slice(0, 25)
+  .map(tz => ({ name: tz, value: tz }));
+
+const scheduleSaved = (what) => `🗓️ ${what}\nNow: ${availabilityLine()}`;
+
+commands.add({
+  name: "schedule", group: "Availability", description: "Business hours, closed days, time away and capacity",
+  subcommands: [
+    {
+      name: "hours", description: "Business hours (\"off\" for none)",
+      options: [
+        { name: "start",   type: "string", description: "HH:MM, or off", required: true, maxLength: 5 },
+        { name: "end",     type: "string", description: "HH:MM", maxLength: 5 },
+        { name: "outside", type: "string", description: "Status outside hours (default closed)", choices: ["closed", "slow"] },
+      ],
+      run: ({ start, end, outside }) => {
+        if (start.toLowerCase() === "off") {
+          availability.update({ hours: null });
+          return scheduleSaved("Business hours removed.");
+        }
+        if (!end) throw Object.assign(new Error("Give an end time too."), { status: 400, usage: true });
+        const { hours, timezone } = availability.update({ hours: parseHours(start, end, outside) });
+        return scheduleSaved(`Business hours: **${hours.start}–${hours.end}** (${timezone}), ${hours.outside} outside them.`);
+      },
+    },
+    {
+      name: "timezone", description: "Timezone the hours and days are in",
+      options: [{ name: "timezone", type: "string", description: "e.g. Europe/London", required: true, autocomplete: timezoneChoices }],
+      run: ({ timezone }) => {
+        availability.update({ timezone });
+        return scheduleSaved(`Timezone: **${timezone}**.`);
+      },
+    },
+    {
+      name: "days", description: "Days closed every week (\"none\" to clear)",
+      options: [{ name: "days", type: "string", description: `e.g. sat sun — any of ${DAYS.join(", ")}`, required: true }],
+      run: ({ days }) => {
+        const { closedDays } = availability.update({ closedDays: parseDays(days) });
+        return scheduleSaved(`Closed days: **${closedDays.join(", ") || "none"}**.`);
+      },
+    },
+    {
+      name: "away", description: "Time away — closed, with a message for the site (\"off\" to clear)",
+      options: [
+        { name: "dates",   type: "string", description: "Back on YYYY-MM-DD, or YYYY-MM-DD..YYYY-MM-DD, or off", required: true, maxLength: 60 },
+        { name: "message", type: "string", description: "Shown on the site, e.g. On holiday — back on the 2nd", maxLength: 200 },
+      ],
+      run: ({ dates, message }) => {
+        if (dates.toLowerCase() === "off") {
+          availability.update({ vacation: null });
+          return scheduleSaved("Time away cleared.");
+        }
+        const { vacation } = availability.update({ vacation: parseVacation(dates, message, availability.get().timezone) });
+        return scheduleSaved(`Away ${vacation.from ? `from <t:${Math.floor(Date.parse(vacation.from) / 1000)}:f> ` : ""}until <t:${Math.floor(Date.parse(vacation.until) / 1000)}:f>.`);
+      },
+    },
+    {
+      name: "capacity", description: "Go slow / closed at this many Accepted + In Progress orders (0 = never)",
+      options: [
+        { name: "slow_at",   type: "integer", description: "Active orders before slow", required: true, min: 0, max: 100 },
+        { name: "closed_at", type: "integer", description: "Active orders before closed", min: 0, max: 100 },
+      ],
+      run: ({ slow_at: slowAt, closed_at: closedAt = 0 }) => {
+        if (slowAt && closedAt && closedAt <= slowAt) {
+          throw Object.assign(new Error("closed_at has to be more than slow_at."), { status: 400 });
+        }
+        const capacity = slowAt || closedAt ? { slowAt: slowAt || null, closedAt: closedAt || null } : null;
+        availability.update({ capacity });
+        return scheduleSaved(capacity
+          ? `Capacity: slow at **${capacity.slowAt || "—"}**, closed at **${capacity.closedAt || "—"}** active orders.`
+          : "Capacity rule off.");
+      },
+    },
+    {
+      name: "when_closed", description: "Turn inquiries away or waitlist them while closed",
+      options: [{ name: "mode", type: "string", description: "reject or waitlist", required: true, choices: WHEN_CLOSED }],
+      run: ({ mode }) => {
+        availability.update({ whenClosed: mode });
+        return scheduleSaved(mode === "waitlist"
+          ? "While closed, inquiries are taken as 🕒 Waitlisted."
+          : "While closed, inquiries are turned away.");
+      },
+    },
+  ],
+});
 
-  // !orders [filter]
-  if (cmd === "orders") {
-    const orders   = await loadOrders();
-    const filter   = args[1];
-    const filtered = filter
-      ? orders.filter(o => o.status?.toLowerCase() === filter.toLowerCase())
-      : orders;
-    if (!filtered.length) return msg.reply(`📭 No orders${filter ? ` with status **${filter}**` : ""}.`);
-    const lines = filtered.slice(-10).map(o =>
-      `\`${o.uuid.slice(0,8)}\` | **${o.discordUsername}** | ${o.serviceType} | ${o.budget} | **${o.status}** | ${o.payment}`
+// ── Orders ──
+commands.add({
+  name: "orders", group: "Orders", description: "List recent orders, optionally by status",
+  options: [{ name: "status", type: "string", description: "Only orders with this status", autocomplete: (q) => statusChoices(q) }],
+  run: ({ status: typed }) => {
+    const filter = typed ? normalizeStatus(typed) : undefined;
+    if (typed && !filter) {
+      throw Object.assign(new Error(`Unknown status. Use one of: ${Object.keys(ORDER_STATUSES).join(", ")}`), { status: 400 });
+    }
+    const total  = store.orders.count({ status: filter });
+    const recent = store.orders.list({ status: filter, limit: 10 });
+    if (!recent.length) return `📭 No orders${filter ? ` with status **${filter}**` : ""}.`;
+    const lines = recent.map(o =>
+      `\`${o.uuid.slice(0,8)}\` | **${o.discordUsername}** | ${o.serviceType} | ${o.budget} | **${statusLabel(o.status)}** | ${o.payment}`
     ).join("\n");
-    return msg.reply({ embeds: [
+    return { embeds: [
       new EmbedBuilder().setColor(0x00e5c4)
-        .setTitle(`📋 Orders${filter ? ` — ${filter}` : ""} (last ${filtered.slice(-10).length})`)
+        .setTitle(`📋 Orders${filter ? ` — ${filter}` : ""} (last ${recent.length})`)
         .setDescription(lines)
-        .setFooter({ text: `Total: ${filtered.length}` }).setTimestamp()
-    ]});
-  }
+        .setFooter({ text: `Total: ${total}` }).setTimestamp()
+    ]};
+  },
+});
 
-  // !order <uuid>
-  if (cmd === "order") {
-    if (!args[1]) return msg.reply("❌ Usage: `!order <uuid>`");
-    const orders = await loadOrders();
-    const order  = orders.find(o => o.uuid.startsWith(args[1]));
-    if (!order) return msg.reply(`❌ No order found for \`${args[1]}\``);
-    return msg.reply({ embeds: [
-      new EmbedBuilder().setColor(0x7b6ff0).setTitle(`🗂️ Order — ${order.uuid.slice(0,8)}`)
+commands.add({
+  name: "order", group: "Orders", description: "Full order details and timeline",
+  options: [ORDER_ID],
+  run: ({ id }) => {
+    const order    = findOrder(id);
+    const messages = store.messages.list(order.uuid, { limit: 5 });
+    // Questions that don't have a column of their own
+    const extra = answersOf(order).filter(a => !ORDER_FIELDS[a.name]);
+    return { embeds: [
+      new EmbedBuilder().setColor(ORDER_STATUSES[order.status]?.color ?? 0x7b6ff0).setTitle(`🗂️ Order — ${order.uuid.slice(0,8)}`)
         .addFields(
           { name: "UUID",         value: `\`${order.uuid}\``,                      inline: false },
           { name: "💬 Client",      value: order.discordUsername,                     inline: true  },
           { name: "🖥️ Server",      value: order.serverName,                          inline: true  },
           { name: "🌐 Server Type", value: order.serviceType || "N/A",                inline: true  },
-          { name: "💰 Budget",    value: order.budget,                              inline: true  },
-          { name: "💳 Payment",   value: order.paymentMethod,                       inline: true  },
-          { name: "📊 Status",    value: order.status,                              inline: true  },
-          { name: "💵 Paid",      value: order.payment,                             inline: true  },
+          { name: "💰 Budget",    value: order.budget || "N/A",                     inline: true  },
+          { name: "💳 Payment",   value: order.paymentMethod || "N/A",              inline: true  },
+          { name: "📊 Status",    value: statusLabel(order.status),                 inline: true  },
+          { name: "💵 Paid",      value: paymentLine(order),                        inline: true  },
+          { name: "🔐 Identity",  value: identityLabel(order),                      inline: true  },
           { name: "📅 Created",   value: new Date(order.createdAt).toLocaleString(),inline: true  },
-          { name: "📝 Details",   value: order.projectDetails.slice(0, 500),        inline: false },
+          { name: "📝 Details",   value: (order.projectDetails || "N/A").slice(0, 500), inline: false },
+          ...(extra.length ? [{ name: "📋 Other answers", value: extra.map(a => `**${a.label}:** ${a.value}`).join("\n").slice(0, 1024), inline: false }] : []),
           { name: "🗒️ Notes",     value: order.notes || "None",                     inline: false },
+          { name: "🕓 Timeline",  value: formatTimeline(store.orders.events(order.uuid)).slice(0, 1024), inline: false },
+          ...(order.threadId || messages.length ? [{
+            name:   `💬 Conversation (${store.messages.count(order.uuid)})`,
+            value:  [order.threadId && `<#${order.threadId}>`, formatConversation(messages, { maxChars: 900 })].filter(Boolean).join("\n") || "No messages yet",
+            inline: false,
+          }] : []),
         ).setTimestamp()
-    ]});
-  }
+    ]};
+  },
+});
 
-  // !paid / !unpaid
-  if (cmd === "paid" || cmd === "unpaid") {
-    if (!args[1]) return msg.reply(`❌ Usage: \`!${cmd} <uuid>\``);
-    const orders = await loadOrders();
-    const idx    = orders.findIndex(o => o.uuid.startsWith(args[1]));
-    if (idx === -1) return msg.reply(`❌ No order found for \`${args[1]}\``);
-    orders[idx].payment = cmd === "paid" ? "✅ Paid" : "⏳ Unpaid";
-    orders[idx].paidAt  = cmd === "paid" ? new Date().toISOString() : null;
-    await saveOrders(orders);
-    return msg.reply(`${cmd === "paid" ? "✅" : "⏳"} Order \`${orders[idx].uuid.slice(0,8)}\` marked as **${cmd === "paid" ? "Paid" : "Unpaid"}**.`);
-  }
+for (const name of ["paid", "unpaid"]) {
+  commands.add({
+    name, group: "Orders", description: name === "paid" ? "Mark an order paid ✅" : "Mark an order unpaid ⏳",
+    options: [ORDER_ID],
+    run: ({ id }, ctx) => {
+      const found = findOrder(id);
+      markPaid(found.uuid, name === "paid", ctx.user.tag);
+      refreshOrderMessage(found.uuid);
+      return `${name === "paid" ? "✅" : "⏳"} Order \`${found.uuid.slice(0,8)}\` marked as **${name === "paid" ? "Paid" : "Unpaid"}**.`;
+    },
+  });
+}
 
-  // !setstatus <uuid> <status>
-  if (cmd === "setstatus") {
-    const id     = args[1];
-    const status = args.slice(2).join(" ");
-    if (!id || !status) return msg.reply("❌ Usage: `!setstatus <uuid> <status>`");
-    const orders = await loadOrders();
-    const idx    = orders.findIndex(o => o.uuid.startsWith(id));
-    if (idx === -1) return msg.reply(`❌ No order found for \`${id}\``);
-    orders[idx].status = status;
-    await saveOrders(orders);
-    return msg.reply(`✅ Order \`${orders[idx].uuid.slice(0,8)}\` status → **${status}**.`);
-  }
+commands.add({
+  name: "thread", group: "Orders", description: "Open the order's conversation thread with the client",
+  options: [ORDER_ID],
+  run: async ({ id }, ctx) => {
+    const order = findOrder(id);
+    await ctx.defer?.();
+    let thread;
+    try {
+      thread = await orderThreads.open(order);
+    } catch (err) {
+      throw Object.assign(new Error(`Couldn't open the thread: ${err.message}`), { status: 502 });
+    }
+    return `💬 Talk to <@${order.clientDiscordId}> about \`${order.uuid.slice(0,8)}\` in <#${thread.id}>.`;
+  },
+});
 
-  // !note <uuid> <text>
-  if (cmd === "note") {
-    const id   = args[1];
-    const note = args.slice(2).join(" ");
-    if (!id || !note) return msg.reply("❌ Usage: `!note <uuid> <text>`");
-    const orders = await loadOrders();
-    const idx    = orders.findIndex(o => o.uuid.startsWith(id));
-    if (idx === -1) return msg.reply(`❌ No order found for \`${id}\``);
-    orders[idx].notes = note;
-    await saveOrders(orders);
-    return msg.reply(`🗒️ Note saved on \`${orders[idx].uuid.slice(0,8)}\`.`);
-  }
+// !setstatus <id> <status> [| reason] — the status may be several words
+commands.add({
+  name: "setstatus", group: "Orders", description: "Move an order to its next status",
+  options: [
+    ORDER_ID,
+    { name: "status", type: "string", description: "New status", required: true, autocomplete: nextStatusChoices },
+    { name: "reason", type: "string", description: "Why (shown in the timeline)", maxLength: 500 },
+  ],
+  prefix: (text) => {
+    const [head, reason] = text.split("|").map(s => s.trim());
+    const [id, ...status] = (head || "").split(/\s+/);
+    return { id, status: status.join(" "), reason };
+  },
+  usage: "<id> <status> [| reason]",
+  run: ({ id, status, reason }, ctx) => {
+    const found = findOrder(id);
+    const { order } = changeStatus(found.uuid, status, { actor: ctx.user.tag, reason });
+    refreshOrderMessage(order.uuid);
+    return `✅ Order \`${order.uuid.slice(0,8)}\` status → **${statusLabel(order.status)}**.`;
+  },
+});
 
-  // !addwork <Bot Name> | <Short description> | <Server Name> | <invite link>
-  if (cmd === "addwork") {
-    const raw = msg.content.slice(CONFIG.PREFIX.length + cmd.length).trim();
-    const parts = raw.split("|").map(s => s.trim());
-    if (parts.length < 4 || parts.some(p => !p)) {
-      return msg.reply(
-        "❌ Usage: `!addwork Bot Name | Short description | Server Name | https://discord.gg/invite`\n" +
-        "Separate each field with a pipe `|` character."
-      );
-    }
-    const [botName, description, serverName, invite] = parts;
-    if (!invite.startsWith("http")) {
-      return msg.reply("❌ Invite link must start with `https://`");
-    }
-    const entries = await loadWork();
-    const entry = {
+commands.add({
+  name: "note", group: "Orders", description: "Replace the note on an order",
+  options: [ORDER_ID, { name: "text", type: "string", description: "Note text", required: true, maxLength: 1000 }],
+  run: ({ id, text }) => {
+    const found = findOrder(id);
+    store.orders.update(found.uuid, { notes: text });
+    refreshOrderMessage(found.uuid);
+    return `🗒️ Note saved on \`${found.uuid.slice(0,8)}\`.`;
+  },
+});
+
+// ── Featured work ──
+// !addwork Bot Name | Short description | Server Name | https://discord.gg/invite [| Category | draft yes/no]
+commands.add({
+  name: "addwork", group: "Featured Work", description: "Add a bot to the website's Featured Work section",
+  prefix: "pipes",
+  options: [
+    { name: "bot_name",    type: "string",  description: "Bot name",          required: true, maxLength: 100 },
+    { name: "description", type: "string",  description: "Short description", required: true, maxLength: 300 },
+    { name: "server_name", type: "string",  description: "Server name",       required: true, maxLength: 100 },
+    { name: "invite",      type: "string",  description: "https:// invite",   required: true, maxLength: 200 },
+    { name: "category",    type: "string",  description: "Category",          autocomplete: categoryChoices },
+    { name: "draft",       type: "boolean", description: "Keep it off the website for now" },
+  ],
+  run: ({ bot_name: botName, description, server_name: serverName, invite, category = null, draft = false }) => {
+    validateWork({ botName, description, serverName, invite, category }, { categories: formSchema.categories() });
+    const entry = store.work.add({
       id:          randomUUID().slice(0, 8),
       botName,
       description,
       serverName,
       invite,
+      category,
+      published:   !draft,
       addedAt:     new Date().toISOString(),
-    };
-    entries.push(entry);
-    await saveWork(entries);
-    return msg.reply({ embeds: [
-      new EmbedBuilder().setColor(0x00e5c4).setTitle("✅ Featured Work Added")
+    });
+    return { embeds: [
+      new EmbedBuilder().setColor(0x00e5c4).setTitle(draft ? "📝 Featured Work Draft Added" : "✅ Featured Work Added")
         .addFields(
           { name: "🤖 Bot Name",    value: botName,     inline: true },
           { name: "🖥️ Server",      value: serverName,  inline: true },
           { name: "🆔 ID",          value: `\`${entry.id}\``, inline: true },
+          { name: "🏷️ Category",    value: category ? `${formSchema.categories()[category].emoji} ${category}` : "None", inline: true },
           { name: "🔗 Invite",      value: invite,      inline: false },
           { name: "📝 Description", value: description, inline: false },
-        ).setFooter({ text: "This will appear live on the website immediately." }).setTimestamp()
-    ]});
+        ).setFooter({ text: draft
+          ? `Publish it with /work publish ${entry.id} — add screenshots first with /work screenshot.`
+          : "This will appear live on the website immediately." }).setTimestamp()
+    ]};
+  },
+});
+
+commands.add({
+  name: "removework", group: "Featured Work", description: "Remove a featured work entry",
+  options: [{ name: "id", type: "string", description: "Entry ID (see /listwork)", required: true, autocomplete: workChoices }],
+  run: ({ id }) => {
+    const removed = store.work.remove(id);
+    if (!removed) throw notFound(`No featured work entry found with ID \`${id}\``);
+    return `🗑️ Removed **${removed.botName}** (\`${removed.id}\`) from featured work.`;
+  },
+});
+
+commands.add({
+  name: "listwork", group: "Featured Work", description: "List featured work entries and their IDs",
+  run: () => {
+    const entries = store.work.list();
+    if (!entries.length) return "📭 No featured work entries yet. Use `/addwork` to add one.";
+    const lines = entries.map((e, i) => workLine(e, i + 1)).join("\n");
+    return { embeds: [
+      new EmbedBuilder().setColor(0x7b6ff0).setTitle(`🗂️ Featured Work (${entries.length})`)
+        .setDescription(lines.slice(0, 4000))
+        .setFooter({ text: "📌 pinned · 📝 draft · ⚠️ invite expired — manage entries with /work" }).setTimestamp()
+    ]};
+  },
+});
+
+const WORK_ID = { name: "id", type: "string", description: "Entry ID (see /listwork)", required: true, autocomplete: workChoices };
+
+// Editable fields: option value → entry field
+const WORK_FIELDS = {
+  bot_name:    "botName",
+  description: "description",
+  server_name: "serverName",
+  invite:      "invite",
+  category:    "category",
+};
+
+function findWork(id) {
+  const entry = store.work.get(id);
+  if (!entry) throw notFound(`No featured work entry found with ID \`${id}\``);
+  return entry;
+}
+
+function workLine(e, n) {
+  const flags = [
+    e.pinned ? "📌" : "",
+    e.published ? "" : "📝",
+    e.inviteStatus === "expired" ? "⚠️" : "",
+    e.category ? formSchema.categories()[e.category]?.emoji || "" : "",
+  ].join("");
+  const shots = store.work.screenshots(e.id).length;
+  return `**${n}.** ${flags ? `${flags} ` : ""}\`${e.id}\` — **${e.botName}** @ ${e.serverName}${shots ? ` · 🖼️ ${shots}` : ""}`;
+}
+
+// Completed orders without a testimonial yet
+const completedOrderChoices = (query) => store.orders.search(query, { limit: 100 })
+  .filter(o => o.status === "Completed" && !store.testimonials.forOrder(o.uuid))
+  .slice(0, 25)
+  .map(o => ({ name: `${o.uuid.slice(0,8)} · ${o.discordUsername} · ${o.serviceType || "N/A"}`, value: o.uuid }));
+
+commands.add({
+  name: "work", group: "Featured Work", description: "Edit, order and publish featured work; screenshots and testimonials",
+  subcommands: [
+    {
+      name: "edit", description: "Change one field of an entry",
+      options: [
+        WORK_ID,
+        { name: "field", type: "string", description: "Field to change", required: true, choices: Object.keys(WORK_FIELDS) },
+        { name: "value", type: "string", description: "New value (category: a category name, or none)", required: true, maxLength: 300 },
+      ],
+      run: ({ id, field, value }) => {
+        const entry = findWork(id);
+        const key   = WORK_FIELDS[field];
+        const patch = { [key]: key === "category" && value.toLowerCase() === "none" ? null : value };
+        validateWork(patch, { categories: formSchema.categories() });
+        // A new invite hasn't been checked yet
+        if (key === "invite") Object.assign(patch, { inviteStatus: null, inviteCheckedAt: null });
+        store.work.update(entry.id, patch);
+        return `✏️ **${entry.botName}** (\`${entry.id}\`): ${field} updated.`;
+      },
+    },
+    {
+      name: "move", description: "Move an entry to a position in the list (1 = first)",
+      options: [WORK_ID, { name: "position", type: "integer", description: "New position", required: true, min: 1 }],
+      run: ({ id, position }) => {
+        const entry = store.work.move(findWork(id).id, position);
+        return `↕️ **${entry.botName}** is now at position ${entry.position}.${entry.pinned ? " It's pinned, so it still shows above unpinned entries." : ""}`;
+      },
+    },
+    {
+      name: "pin", description: "Show an entry above the unpinned ones",
+      options: [WORK_ID],
+      run: ({ id }) => `📌 Pinned **${store.work.update(findWork(id).id, { pinned: true }).botName}**.`,
+    },
+    {
+      name: "unpin", description: "Unpin an entry",
+      options: [WORK_ID],
+      run: ({ id }) => `Unpinned **${store.work.update(findWork(id).id, { pinned: false }).botName}**.`,
+    },
+    {
+      name: "publish", description: "Show a draft entry on the website",
+      options: [WORK_ID],
+      run: ({ id }) => `✅ **${store.work.update(findWork(id).id, { published: true }).botName}** is live on the website.`,
+    },
+    {
+      name: "draft", description: "Take an entry off the website without deleting it",
+      options: [WORK_ID],
+      run: ({ id }) => `📝 **${store.work.update(findWork(id).id, { published: false }).botName}** is a draft — hidden from the website.`,
+    },
+    {
+      name: "screenshot", description: `Add a screenshot to an entry (up to ${MAX_SCREENSHOTS})`,
+      options: [WORK_ID, { name: "image", type: "attachment", description: "PNG, JPEG, WebP or GIF, up to 5 MB", required: true }],
+      run: async ({ id, image }) => {
+        const shot = await saveScreenshot(store, findWork(id).id, image);
+        return `🖼️ Screenshot \`${shot.id}\` added to \`${id}\`.`;
+      },
+    },
+    {
+      name: "screenshots", description: "List an entry's screenshots",
+      options: [WORK_ID],
+      run: ({ id }) => {
+        const entry = findWork(id);
+        const shots = store.work.screenshots(entry.id);
+        if (!shots.length) return `📭 **${entry.botName}** has no screenshots. Add one with \`/work screenshot\`.`;
+        return `🖼️ **${entry.botName}**\n` + shots.map(s => `\`${s.id}\` — ${s.name || "screenshot"} · <t:${Math.floor(Date.parse(s.addedAt) / 1000)}:d>`).join("\n");
+      },
+    },
+    {
+      name: "removescreenshot", description: "Remove a screenshot",
+      options: [{ name: "screenshot", type: "integer", description: "Screenshot ID (see /work screenshots)", required: true, min: 1 }],
+      run: ({ screenshot }) => {
+        if (!store.work.removeScreenshot(screenshot)) throw notFound(`No screenshot with ID \`${screenshot}\``);
+        return `🗑️ Screenshot \`${screenshot}\` removed.`;
+      },
+    },
+    {
+      name: "testimonial", description: "Add a client's testimonial from a Completed order",
+      prefix: "pipes",
+      options: [
+        { name: "order",  type: "string",  description: "Completed order", required: true, autocomplete: completedOrderChoices },
+        { name: "quote",  type: "string",  description: "What the client said", required: true, maxLength: 1000 },
+        { name: "work",   type: "string",  description: "Featured work entry it belongs to", autocomplete: workChoices },
+        { name: "rating", type: "integer", description: "Stars, 1–5", min: 1, max: 5 },
+        { name: "author", type: "string",  description: "Name to show (default: their Discord username)", maxLength: 100 },
+      ],
+      run: ({ order, quote, work, rating, author }) => {
+        const t = addTestimonial(store, { orderUuid: findOrder(order).uuid, workId: work ? findWork(work).id : null, quote, rating, author });
+        return `💬 Testimonial \`${t.id}\` from **${t.author}** added${t.workId ? ` to \`${t.workId}\`` : ""}.`;
+      },
+    },
+    {
+      name: "testimonials", description: "List testimonials and their IDs",
+      run: () => {
+        const list = store.testimonials.list({ limit: 25 });
+        if (!list.length) return "📭 No testimonials yet. Add one with `/work testimonial`.";
+        return "💬 **Testimonials**\n" + list.map(t =>
+          `\`${t.id}\` — **${t.author}**${t.rating ? ` ${"⭐".repeat(t.rating)}` : ""} · order \`${t.orderUuid.slice(0,8)}\`` +
+          `${t.workId ? ` · \`${t.workId}\`` : ""}\n> ${t.quote.slice(0, 120)}${t.quote.length > 120 ? "…" : ""}`
+        ).join("\n");
+      },
+    },
+    {
+      name: "removetestimonial", description: "Remove a testimonial",
+      options: [{ name: "testimonial", type: "integer", description: "Testimonial ID (see /work testimonials)", required: true, min: 1 }],
+      run: ({ testimonial }) => {
+        if (!store.testimonials.remove(testimonial)) throw notFound(`No testimonial with ID \`${testimonial}\``);
+        return `🗑️ Testimonial \`${testimonial}\` removed.`;
+      },
+    },
+    {
+      name: "checkinvites", description: "Check every Discord invite link now and flag expired ones",
+      run: async () => inviteCheckReport(await checkInvites(store, resolveInvite)),
+    },
+  ],
+});
+
+// ── Invite check ── client.fetchInvite answers 10006 (Unknown Invite) for
+// expired and deleted invites; anything else is "couldn't tell"
+async function resolveInvite(code) {
+  try {
+    await client.fetchInvite(code);
+    return true;
+  } catch (err) {
+    if (err.code === 10006) return false;
+    throw err;
   }
+}
 
-  // !removework <id>
-  if (cmd === "removework") {
-    if (!args[1]) return msg.reply("❌ Usage: `!removework <id>` — use `!listwork` to find IDs");
-    const entries = await loadWork();
-    const idx     = entries.findIndex(e => e.id === args[1]);
-    if (idx === -1) return msg.reply(`❌ No featured work entry found with ID \`${args[1]}\``);
-    const [removed] = entries.splice(idx, 1);
-    await saveWork(entries);
-    return msg.reply(`🗑️ Removed **${removed.botName}** (\`${removed.id}\`) from featured work.`);
+function inviteCheckReport({ checked, expired, recovered, errors }) {
+  const lines = [`🔗 Checked ${checked} invite link${checked === 1 ? "" : "s"}${errors ? ` (${errors} couldn't be checked)` : ""}.`];
+  if (expired.length)   lines.push(`⚠️ Expired: ${expired.map(e => `**${e.botName}** (\`${e.id}\`)`).join(", ")} — fix with \`/work edit <id> invite <link>\``);
+  if (recovered.length) lines.push(`✅ Working again: ${recovered.map(e => `**${e.botName}**`).join(", ")}`);
+  const flagged = store.work.list().filter(e => e.inviteStatus === "expired").length;
+  if (flagged) lines.push(`${flagged} entr${flagged === 1 ? "y" : "ies"} flagged in total — the website hides their invite button.`);
+  return lines.join("\n");
+}
+
+// The scheduled run DMs the owner only when something newly expired
+async function runInviteCheck() {
+  try {
+    const result = await checkInvites(store, resolveInvite);
+    if (!result.expired.length) return;
+    const owner = await client.users.fetch(CONFIG.OWNER_ID);
+    await owner.send(inviteCheckReport(result));
+  } catch (err) {
+    console.error("Invite check failed:", err.message);
   }
+}
 
-  // !listwork
-  if (cmd === "listwork") {
-    const entries = await loadWork();
-    if (!entries.length) return msg.reply("📭 No featured work entries yet. Use `!addwork` to add one.");
-    const lines = entries.map((e, i) =>
-      `**${i + 1}.** \`${e.id}\` — **${e.botName}** @ ${e.serverName}`
-    ).join("\n");
-    return msg.reply({ embeds: [
-      new EmbedBuilder().setColor(0x7b6ff0).setTitle(`🗂️ Featured Work (${entries.length})`)
+// ── Inquiry form ── edits the schema behind GET /form-schema and /inquiry.
+// Bigger changes (labels, placeholders, order): PUT /dashboard/form-schema.
+const fieldChoices = (query) => formSchema.get().fields
+  .filter(f => `${f.name} ${f.label}`.toLowerCase().includes(query.toLowerCase()))
+  .map(f => ({ name: `${f.name} · ${f.label}`, value: f.name }));
+
+const budgetChoices = (query) => formSchema.get().budgetTiers
+  .filter(t => t.label.toLowerCase().includes(query.toLowerCase()))
+  .map(t => ({ name: t.label, value: t.label }));
+
+function saveForm(change, done) {
+  formSchema.update({ ...formSchema.get(), ...change });
+  return `📋 ${done} The site shows it on its next load.`;
+}
+
+commands.add({
+  name: "form", group: "Inquiry Form", description: "The inquiry form's questions, server types and budget tiers",
+  subcommands: [
+    {
+      name: "show", description: "Show the current form",
+      run: () => {
+        const schema = formSchema.get();
+        const fields = schema.fields.map(f =>
+          `${f.emoji || "▫️"} **${f.label}** \`${f.name}\` — ${f.type}${f.required ? ", required" : ""}` +
+          (f.optionsFrom ? ` (${f.optionsFrom})` : f.options ? ` (${f.options.length} options)` : "")
+        ).join("\n");
+        return { embeds: [
+          new EmbedBuilder().setColor(0x7b6ff0).setTitle("📋 Inquiry Form")
+            .addFields(
+              { name: "❔ Questions",    value: fields.slice(0, 1024),                                                     inline: false },
+              { name: "🗂️ Server types", value: schema.categories.map(c => `${c.emoji} ${c.name}`).join("\n").slice(0, 1024), inline: true },
+              { name: "💰 Budget tiers", value: schema.budgetTiers.map(t => `${t.label}${t.custom ? " *(custom)*" : ""}`).join("\n").slice(0, 1024), inline: true },
+            ).setFooter({ text: "Served at GET /form-schema" }).setTimestamp()
+        ]};
+      },
+    },
+    {
+      name: "addcategory", description: "Add a server type (also used as a featured work category)",
+      options: [
+        { name: "emoji", type: "string", description: "Emoji for the embed", required: true, maxLength: 16 },
+        { name: "color", type: "string", description: "Embed colour, e.g. #5865f2", required: true, maxLength: 7 },
+        { name: "name",  type: "string", description: "Server type, as shown in the form", required: true, maxLength: 50 },
+      ],
+      run: ({ emoji, color, name }) => {
+        const { categories } = formSchema.get();
+        if (categories.some(c => c.name === name)) throw Object.assign(new Error(`**${name}** is already a server type.`), { status: 409 });
+        return saveForm({ categories: [...categories, { name, color, emoji }] }, `Added server type ${emoji} **${name}**.`);
+      },
+    },
+    {
+      name: "removecategory", description: "Remove a server type (existing orders keep theirs)",
+      options: [{ name: "name", type: "string", description: "Server type", required: true, autocomplete: categoryChoices }],
+      run: ({ name }) => {
+        const { categories } = formSchema.get();
+        if (!categories.some(c => c.name === name)) throw notFound(`No server type called **${name}**.`);
+        return saveForm({ categories: categories.filter(c => c.name !== name) }, `Removed server type **${name}**.`);
+      },
+    },
+    {
+      name: "addbudget", description: "Add a budget tier",
+      prefix: "pipes",
+      options: [
+        { name: "label",  type: "string",  description: "e.g. 2,000 R$ (~$20)", required: true, maxLength: 100 },
+        { name: "custom", type: "boolean", description: "Price to be discussed — the client is told you'll DM them" },
+      ],
+      run: ({ label, custom = false }) => {
+        const { budgetTiers } = formSchema.get();
+        if (budgetTiers.some(t => t.label === label)) throw Object.assign(new Error(`**${label}** is already a tier.`), { status: 409 });
+        return saveForm({ budgetTiers: [...budgetTiers, { label, custom }] }, `Added budget tier **${label}**${custom ? " (custom)" : ""}.`);
+      },
+    },
+    {
+      name: "removebudget", description: "Remove a budget tier",
+      options: [{ name: "label", type: "string", description: "Budget tier", required: true, autocomplete: budgetChoices }],
+      run: ({ label }) => {
+        const { budgetTiers } = formSchema.get();
+        if (!budgetTiers.some(t => t.label === label)) throw notFound(`No budget tier called **${label}**.`);
+        return saveForm({ budgetTiers: budgetTiers.filter(t => t.label !== label) }, `Removed budget tier **${label}**.`);
+      },
+    },
+    {
+      name: "addquestion", description: "Add a question to the end of the form",
+      prefix: "pipes",
+      options: [
+        { name: "name",     type: "string",  description: "Field name, e.g. deadline (letters, digits, _)", required: true, maxLength: 32 },
+        { name: "label",    type: "string",  description: "Question shown on the site", required: true, maxLength: 80 },
+        { name: "type",     type: "string",  description: "Input type", required: true, choices: TYPES.filter(t => t !== "discordId") },
+        { name: "required", type: "boolean", description: "Must be answered (default no)" },
+        { name: "options",  type: "string",  description: "For select: choices separated by commas", maxLength: 1000 },
+        { name: "emoji",    type: "string",  description: "Emoji in the inquiry embed", maxLength: 16 },
+      ],
+      run: ({ name, label, type, required = false, options, emoji }) => {
+        const { fields } = formSchema.get();
+        if (fields.some(f => f.name === name)) throw Object.assign(new Error(`There's already a \`${name}\` field.`), { status: 409 });
+        if (type === "select" && !options) throw Object.assign(new Error("A select needs options, separated by commas."), { status: 400 });
+        const field = { name, label, type, required, emoji, ...(type === "select" ? { options: options.split(",") } : {}) };
+        return saveForm({ fields: [...fields, field] }, `Added ${required ? "required " : ""}question **${label}** (\`${name}\`).`);
+      },
+    },
+    {
+      name: "removequestion", description: "Remove a question (existing orders keep their answers)",
+      options: [{ name: "name", type: "string", description: "Field", required: true, autocomplete: fieldChoices }],
+      run: ({ name }) => {
+        const { fields } = formSchema.get();
+        if (!fields.some(f => f.name === name)) throw notFound(`No \`${name}\` field.`);
+        return saveForm({ fields: fields.filter(f => f.name !== name) }, `Removed question \`${name}\`.`);
+      },
+    },
+    {
+      name: "reset", description: "Go back to the built-in form",
+      run: () => {
+        formSchema.reset();
+        return "📋 The form is back to the built-in questions, server types and budget tiers.";
+      },
+    },
+  ],
+});
+
+// ── Payments & invoices ── amounts are typed in major units (25, 12.50)
+const currencyChoices = (query) => Object.keys(CURRENCIES)
+  .filter(c => c.toLowerCase().includes(query.toLowerCase()))
+  .map(c => ({ name: c, value: c }));
+
+const methodChoices = (query) => ["PayPal", "Robux via Gamepass"]
+  .filter(m => m.toLowerCase().includes(query.toLowerCase()))
+  .map(m => ({ name: m, value: m }));
+
+const PAYMENT_OPTIONS = [
+  ORDER_ID,
+  { name: "amount",    type: "string", description: "e.g. 25, 12.50 or 500 R$", required: true, maxLength: 20 },
+  { name: "method",    type: "string", description: "Defaults to the order's payment method", maxLength: 50, autocomplete: methodChoices },
+  { name: "reference", type: "string", description: "Transaction ID, gamepass link…", maxLength: 100 },
+];
+
+// !payment add <id> <amount> [| method] [| reference]
+const parsePaymentArgs = (text) => {
+  const [head, method, reference] = text.split("|").map(part => part.trim());
+  const [id, ...amount] = (head || "").split(/\s+/);
+  return { id, amount: amount.join(" "), method, reference };
+};
+
+function paymentSubcommand(kind, description) {
+  return {
+    name: kind === "payment" ? "add" : kind, description,
+    options: PAYMENT_OPTIONS,
+    prefix:  parsePaymentArgs,
+    usage:   "<id> <amount> [| method] [| reference]",
+    run: ({ id, amount, method, reference }, ctx) => {
+      const found = findOrder(id);
+      const { payment, summary } = addPayment(found.uuid, { kind, amount, method, reference, by: ctx.user.tag });
+      refreshOrderMessage(found.uuid);
+      const money = (n) => formatMoney(n, summary.currency);
+      return `💵 ${kind[0].toUpperCase() + kind.slice(1)} of **${money(Math.abs(payment.amount))}** recorded on \`${found.uuid.slice(0,8)}\`. ` +
+        (summary.balance != null ? `Balance due: **${money(Math.max(0, summary.balance))}**.` : `Total received: **${money(summary.paid)}**.`);
+    },
+  };
+}
+
+commands.add({
+  name: "payment", group: "Payments", description: "Quotes and payments on an order",
+  subcommands: [
+    {
+      name: "quote", description: "Set the quoted price of an order",
+      options: [
+        ORDER_ID,
+        { name: "amount",   type: "string", description: "e.g. 25, 12.50 or 500 R$", required: true, maxLength: 20 },
+        { name: "currency", type: "string", description: `Default ${CONFIG.DEFAULT_CURRENCY}`, autocomplete: currencyChoices },
+      ],
+      run: ({ id, amount, currency }) => {
+        const found = findOrder(id);
+        const order = setQuote(store, found.uuid, { amount, currency: currency || found.currency || CONFIG.DEFAULT_CURRENCY });
+        refreshOrderMessage(order.uuid);
+        notifyClient(order, `🧾 Your quote: **${formatMoney(order.quoteAmount, order.currency)}**.`);
+        return `🧾 Quote for \`${order.uuid.slice(0,8)}\` set to **${formatMoney(order.quoteAmount, order.currency)}**.`;
+      },
+    },
+    paymentSubcommand("payment", "Record a payment"),
+    paymentSubcommand("deposit", "Record a deposit"),
+    paymentSubcommand("refund", "Record a refund"),
+    {
+      name: "list", description: "Quote, payments and balance of an order",
+      options: [ORDER_ID],
+      run: ({ id }) => {
+        const order    = findOrder(id);
+        const payments = store.payments.list(order.uuid);
+        const { quote, paid, balance, currency } = summarize(order, payments);
+        const money = (n) => formatMoney(n, currency);
+        const lines = payments.map(p =>
+          `<t:${Math.floor(Date.parse(p.at) / 1000)}:d> **${p.kind}** ${money(p.amount)}` +
+          `${p.method ? ` · ${p.method}` : ""}${p.reference ? ` · \`${p.reference}\`` : ""}${p.recordedBy ? ` · ${p.recordedBy}` : ""}`
+        ).join("\n");
+        return { embeds: [
+          new EmbedBuilder().setColor(0x3dffa0).setTitle(`💵 Payments — ${order.uuid.slice(0,8)}`)
+            .setDescription(lines.slice(-4000) || "No payments recorded.")
+            .addFields(
+              { name: "Quote",       value: money(quote),                                      inline: true },
+              { name: "Paid",        value: money(paid),                                       inline: true },
+              { name: "Balance due", value: balance == null ? "—" : money(Math.max(0, balance)), inline: true },
+            )
+            .setFooter({ text: order.invoiceNumber ? `Invoice ${order.invoiceNumber}` : "No invoice yet — /invoice" }).setTimestamp()
+        ]};
+      },
+    },
+  ],
+});
+
+function invoiceFile(order) {
+  const html = renderInvoiceHtml(order, store.payments.list(order.uuid), {
+    business: { name: CONFIG.BUSINESS_NAME, contact: CONFIG.BUSINESS_CONTACT },
+  });
+  return { attachment: Buffer.from(html, "utf8"), name: `${order.invoiceNumber}.html` };
+}
+
+const invoiceUrl = (order) => CONFIG.PUBLIC_API_URL
+  && `${CONFIG.PUBLIC_API_URL}/order/${order.uuid}/invoice?discordId=${order.clientDiscordId}`;
+
+commands.add({
+  name: "invoice", group: "Payments", description: "Generate an order's invoice, or send it to the client",
+  options: [
+    ORDER_ID,
+    { name: "send_to", type: "string", description: "me (default) or the client by DM", choices: ["me", "client"] },
+  ],
+  run: async ({ id, send_to: sendTo = "me" }, ctx) => {
+    const order = issueInvoice(store, findOrder(id).uuid);
+    const link  = invoiceUrl(order);
+    if (sendTo === "client") {
+      if (!canDm(order)) {
+        throw Object.assign(new Error("The client hasn't confirmed their Discord ID yet — the bot won't DM them."), { status: 409 });
+      }
+      await ctx.defer?.();
+      try {
+        const user = await client.users.fetch(order.clientDiscordId);
+        await user.send({
+          content: `🧾 Your invoice **${order.invoiceNumber}** from ${CONFIG.BUSINESS_NAME}.` +
+            `${link ? `\nView it online: ${link}` : ""}\nOpen the file in a browser; Print → Save as PDF keeps a copy.`,
+          files: [invoiceFile(order)],
+        });
+      } catch {
+        throw Object.assign(new Error("Couldn't DM the client — their DMs may be closed."), { status: 502 });
+      }
+      return `📨 Invoice **${order.invoiceNumber}** sent to <@${order.clientDiscordId}>.`;
+    }
+    return {
+      content: `🧾 Invoice **${order.invoiceNumber}** for \`${order.uuid.slice(0,8)}\`${link ? `\n${link}` : ""}`,
+      files:   [invoiceFile(order)],
+    };
+  },
+});
+
+// ── Spam ── the blocklist and rejected form submissions (spam_guard.js)
+const DISCORD_ID = { name: "discord_id", type: "string", description: "The client's Discord ID", required: true };
+
+function snowflake(id) {
+  if (!isValidSnowflake(id)) throw Object.assign(new Error("That isn't a Discord ID (17–20 digits)."), { status: 400 });
+  return String(id);
+}
+
+commands.add({
+  name: "block", group: "Spam", description: "Block a Discord ID from the website forms",
+  options: [DISCORD_ID, { name: "reason", type: "string", description: "Why (only you see it)", maxLength: 200 }],
+  run: ({ discord_id, reason }, ctx) => {
+    const id = snowflake(discord_id);
+    store.spam.block(id, { reason, by: ctx.user.tag });
+    return `⛔ <@${id}> (\`${id}\`) can no longer submit the website forms.${reason ? `\n> ${reason}` : ""}`;
+  },
+});
+
+commands.add({
+  name: "unblock", group: "Spam", description: "Let a blocked Discord ID use the forms again",
+  options: [{ ...DISCORD_ID, autocomplete: (query) => store.spam.blocklist()
+    .filter(b => b.discordId.includes(query))
+    .map(b => ({ name: `${b.discordId}${b.reason ? ` · ${b.reason}` : ""}`.slice(0, 100), value: b.discordId })) }],
+  run: ({ discord_id }) => {
+    const id = snowflake(discord_id);
+    if (!store.spam.unblock(id)) throw notFound(`\`${id}\` isn't blocked.`);
+    return `✅ \`${id}\` can use the website forms again.`;
+  },
+});
+
+commands.add({
+  name: "blocked", group: "Spam", description: "List blocked Discord IDs",
+  run: () => {
+    const list = store.spam.blocklist();
+    if (!list.length) return "📭 Nobody is blocked.";
+    return { embeds: [
+      new EmbedBuilder().setColor(0xff4444).setTitle(`⛔ Blocked (${list.length})`)
+        .setDescription(list.slice(0, 25).map(b =>
+          `\`${b.discordId}\` <@${b.discordId}> — <t:${Math.floor(Date.parse(b.at) / 1000)}:d>${b.reason ? ` · ${b.reason}` : ""}`
+        ).join("\n").slice(0, 4096))
+        .setTimestamp()
+    ]};
+  },
+});
+
+commands.add({
+  name: "rejections", group: "Spam", description: "Recent form submissions the spam checks turned away",
+  options: [
+    { name: "limit", type: "integer", description: "How many (default 10)", min: 1, max: 25 },
+    { name: "discord_id", type: "string", description: "Only this Discord ID" },
+  ],
+  run: ({ limit = 10, discord_id }) => {
+    const list = store.spam.rejections({ limit, discordId: discord_id ? snowflake(discord_id) : undefined });
+    if (!list.length) return "📭 No rejected submissions.";
+    return { embeds: [
+      new EmbedBuilder().setColor(0xf5a623).setTitle(`🛡️ Rejected submissions (last ${list.length})`)
+        .setDescription(list.map(r =>
+          `<t:${Math.floor(Date.parse(r.at) / 1000)}:R> **${r.form}** · \`${r.reason}\`` +
+          `${r.discordId ? ` · \`${r.discordId}\`` : ""}${r.ipHash ? ` · ip \`${r.ipHash.slice(0, 8)}\`` : ""}` +
+          `${r.detail ? `\n> ${r.detail.slice(0, 100)}` : ""}`
+        ).join("\n").slice(0, 4096))
+        .setFooter({ text: "Kept for 30 days · !block <discord_id> to block a sender" }).setTimestamp()
+    ]};
+  },
+});
+
+// ── Clients ── anyone can use these, in a server or in DMs with the bot
+const myOrderChoices = (query, { user }) => store.orders.list({ clientDiscordId: user.id, limit: 25 })
+  .reverse()
+  .filter(o => `${o.uuid} ${o.serviceType}`.toLowerCase().includes(query.toLowerCase()))
+  .map(o => ({ name: `${o.uuid.slice(0,8)} · ${o.serviceType || "Order"} · ${o.status}`, value: o.uuid }));
+
+commands.add({
+  name: "myorders", group: "Your Orders", access: "public", description: "Your orders and where they're at",
+  options: [{ name: "id", type: "string", description: "Show one order's timeline", autocomplete: myOrderChoices }],
+  run: ({ id }, ctx) => {
+    if (id) {
+      // Someone else's order looks exactly like a missing one
+      const order = store.orders.findByPrefix(id);
+      if (!order || order.clientDiscordId !== ctx.user.id) throw notFound(`You have no order \`${id}\``);
+      const view = clientView(order, store.orders.events(order.uuid), store.payments.list(order.uuid));
+      return { embeds: [
+        new EmbedBuilder().setColor(ORDER_STATUSES[order.status]?.color ?? 0x7b6ff0)
+          .setTitle(`🗂️ Your order — ${order.uuid.slice(0,8)}`)
+          .addFields(
+            { name: "🗂️ Service",  value: view.serviceType || "N/A",             inline: true },
+            { name: "📊 Status",   value: view.statusLabel,                       inline: true },
+            { name: "💵 Payment",  value: clientPaymentLine(view),                inline: true },
+            { name: "🕓 Timeline", value: view.timeline.map(e => `<t:${Math.floor(Date.parse(e.at) / 1000)}:f> **${e.status}**`).join("\n").slice(-1024), inline: false },
+          ).setTimestamp()
+      ]};
+    }
+
+    const orders = store.orders.list({ clientDiscordId: ctx.user.id, limit: 10 }).reverse();
+    if (!orders.length) return "📭 You have no orders yet.";
+    const lines = orders.map(o => {
+      const v = clientView(o, [], store.payments.list(o.uuid));
+      return `\`${o.uuid.slice(0,8)}\` | ${o.serviceType || "Order"} | **${v.statusLabel}** | ${v.payment}${v.quote ? ` (due ${v.balanceDue})` : ""} | <t:${Math.floor(Date.parse(o.createdAt) / 1000)}:d>` +
+        (canDm(o) ? "" : " | ⚠️ not confirmed — `/verify`");
+    }).join("\n");
+    return { embeds: [
+      new EmbedBuilder().setColor(0x00e5c4).setTitle(`📋 Your Orders (${orders.length})`)
         .setDescription(lines)
-        .setFooter({ text: "Use !removework <id> to remove an entry" }).setTimestamp()
-    ]});
-  }
+        .setFooter({ text: "/myorders id:<order> shows the timeline" }).setTimestamp()
+    ]};
+  },
+});
+
+// /verify <code> — the code the website showed after an unconfirmed inquiry.
+// Run as the account the order was placed with, which is the proof.
+commands.add({
+  name: "verify", group: "Your Orders", access: "public", description: "Confirm an order with the code the website gave you",
+  options: [{ name: "code", type: "string", description: "The 6-character code", required: true, maxLength: 12 }],
+  run: ({ code }, ctx) => {
+    const order = confirmCode(store, ctx.user.id, code);
+    refreshOrderMessage(order.uuid);
+    return `✅ Confirmed — thanks!\n\n${inquiryReceivedMessage(order)}`;
+  },
+});
 
-  // !help
-  if (cmd === "help") {
-    return msg.reply({ embeds: [
+// ── Help ── built from the definitions, so it can't drift from them
+commands.add({
+  name: "help", group: "Help", description: "List bot commands", access: "public",
+  run: (opts, ctx) => {
+    const style  = ctx.source === "slash" ? "slash" : "prefix";
+    const groups = new Map();
+    for (const { path, cmd, leaf } of commands.entries()) {
+      if (path === "help" || (cmd.access === "owner" && ctx.user.id !== CONFIG.OWNER_ID)) continue;
+      if (!groups.has(cmd.group)) groups.set(cmd.group, []);
+      groups.get(cmd.group).push(`\`${commands.usage(path, style)}\` — ${leaf.description}`);
+    }
+    return { embeds: [
       new EmbedBuilder().setColor(0x00e5c4).setTitle("📖 Echo Services — Bot Commands")
-        .addFields(
-          { name: "**Availability**",            value: "\u200b", inline: false },
-          { name: "`!open`",                     value: "Set Open 🟢",                         inline: true  },
-          { name: "`!slow`",                     value: "Set Slow 🟡",                         inline: true  },
-          { name: "`!close`",                    value: "Set Closed 🔴",                       inline: true  },
-          { name: "`!status`",                   value: "Show status + channel",               inline: false },
-          { name: "`!setchannel #ch`",           value: "Set inquiry channel",                 inline: false },
-          { name: "**Orders**",                  value: "\u200b", inline: false },
-          { name: "`!orders [status]`",          value: "List orders (filter: pending/accepted/etc)", inline: false },
-          { name: "`!order <id>`",               value: "Full order details",                  inline: false },
-          { name: "`!paid <id>`",                value: "Mark order paid ✅",                  inline: false },
-          { name: "`!unpaid <id>`",              value: "Mark order unpaid ⏳",                inline: false },
-          { name: "`!setstatus <id> <text>`",    value: "Set order status",                    inline: false },
-          { name: "`!note <id> <text>`",         value: "Add note to order",                   inline: false },
-          { name: "**Featured Work**",            value: "\u200b",                              inline: false },
-          { name: "`!addwork`",                  value: "Add a bot to the website's Featured Work section", inline: false },
-          { name: "`!listwork`",                 value: "List all featured work entries + IDs", inline: false },
-          { name: "`!removework <id>`",          value: "Remove a featured work entry",         inline: false },
-        ).setFooter({ text: "Echo Services Bot" }).setTimestamp()
-    ]});
-  }
+        .setDescription(`Every command works as \`/name\` or \`${CONFIG.PREFIX}name\`.`)
+        .addFields([...groups].map(([group, lines]) => ({ name: `**${group}**`, value: lines.join("\n").slice(0, 1024), inline: false })))
+        .setFooter({ text: "Echo Services Bot" }).setTimestamp()
+    ]};
+  },
 });
 
-// ─── BUTTON INTERACTIONS ───────────────────────────────────────────────────
+// ─── ORDER INTERACTIONS ────────────────────────────────────────────────────
+// Buttons, the status select menu and the modals they open. Decline and
+// Add Note open a modal first; the submit comes back with the same custom_id.
+function orderModal(customId, title, label, required) {
+  return {
+    custom_id: customId,
+    title,
+    components: [{
+      type: 1,
+      components: [{ type: 4, custom_id: "text", label, style: 2, required, max_length: 500 }],
+    }],
+  };
+}
+
 client.on("interactionCreate", async (interaction) => {
-  if (!interaction.isButton()) return;
+  if (!interaction.isButton() && !interaction.isStringSelectMenu() && !interaction.isModalSubmit()) return;
   if (interaction.user.id !== CONFIG.OWNER_ID) {
     return interaction.reply({ content: "❌ Owner only.", flags: MessageFlags.Ephemeral });
   }
 
-  const [action, discordId] = interaction.customId.split(":");
+  const [scope, action, uuid] = interaction.customId.split(":");
+  const ephemeral = (content) => ({ content, flags: MessageFlags.Ephemeral });
 
   try {
-    if (action === "accept" || action === "decline") {
-      const orders = await loadOrders();
-      // Find most recent Pending order from this user
-      let idx = -1;
-      for (let i = orders.length - 1; i >= 0; i--) {
-        if (orders[i].clientDiscordId === discordId && orders[i].status === "Pending") {
-          idx = i;
-          break;
-        }
-      }
-      if (idx !== -1) {
-        orders[idx].status = action === "accept" ? "Accepted" : "Declined";
-        await saveOrders(orders);
+    // Contact messages, and inquiries posted before order threads
+    if (scope === "dm") {
+      return interaction.reply(ephemeral(`💬 DM <@${action}>: https://discord.com/users/${action}`));
+    }
+
+    // Inquiries posted before buttons carried the order UUID
+    if (scope === "accept" || scope === "decline") {
+      return interaction.reply(ephemeral("⚠️ This inquiry predates order-linked buttons — use `!orders` and `!setstatus <id> <status>`."));
+    }
+
+    if (scope !== "order") return;
+    const order = store.orders.get(uuid);
+    if (!order) return interaction.reply(ephemeral("❌ This order no longer exists."));
+
+    if (interaction.isButton() && action === "decline") {
+      return interaction.showModal(orderModal(interaction.customId, "Decline order", "Reason (shown in the timeline)", false));
+    }
+    if (interaction.isButton() && action === "note") {
+      return interaction.showModal(orderModal(interaction.customId, "Add note", "Note", true));
+    }
+    if (action === "thread") {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        const thread = await orderThreads.open(order);
+        return interaction.editReply(`💬 Talk to <@${order.clientDiscordId}> in <#${thread.id}>.`);
+      } catch (e) {
+        return interaction.editReply(`❌ Couldn't open the thread: ${e.message}`);
       }
+    }
 
-      // Disable buttons on the message
-      await interaction.update({
-        components: [{
-          type: 1,
-          components: [
-            { type: 2, style: action === "accept" ? 3 : 4, label: action === "accept" ? "✅ Accepted" : "❌ Declined", custom_id: "done", disabled: true },
-            { type: 2, style: 2, label: "💬 DM Client", custom_id: `dm:${discordId}` },
-          ],
-        }],
-      });
+    const actor = interaction.user.tag;
+    const text  = interaction.isModalSubmit() ? interaction.fields.getTextInputValue("text").trim() : "";
+    let   done  = null;
+    let   error = null;
 
-      await interaction.followUp({
-        content: action === "accept"
-          ? `✅ Accepted. DM <@${discordId}>: https://discord.com/users/${discordId}`
-          : `❌ Marked as Declined.`,
-        flags: MessageFlags.Ephemeral,
-      });
+    try {
+      if (action === "accept") {
+        changeStatus(uuid, "Accepted", { actor });
+        done = `✅ Accepted. A private thread for talking to <@${order.clientDiscordId}> is opening in this channel.`;
+      }
+      if (action === "decline") {
+        changeStatus(uuid, "Declined", { actor, reason: text || null });
+      }
+      if (action === "status") {
+        changeStatus(uuid, interaction.values[0], { actor });
+      }
+      if (action === "paid") {
+        markPaid(uuid, order.payment !== "✅ Paid", actor);
+      }
+      if (action === "note") {
+        store.orders.update(uuid, { notes: [order.notes, `• ${text}`].filter(Boolean).join("\n") });
+      }
+    } catch (e) {
+      // Stale message (changed by a command meanwhile) — redraw and explain
+      if (!e.status) throw e;
+      error = `❌ ${e.message}`;
     }
 
-    if (action === "dm") {
-      await interaction.reply({
-        content: `💬 DM <@${discordId}>: https://discord.com/users/${discordId}`,
-        flags: MessageFlags.Ephemeral,
-      });
+    // Modal submits only have a message to update when opened from one
+    if (interaction.isModalSubmit() && !interaction.isFromMessage()) {
+      await interaction.reply(ephemeral(error || "✅ Saved."));
+      return refreshOrderMessage(uuid);
     }
+    await interaction.update(renderOrderMessage(store.orders.get(uuid)));
+    if (error || done) await interaction.followUp(ephemeral(error || done));
   } catch (err) {
-    console.error("Button error:", err.message);
+    console.error("Interaction error:", err.message);
     if (!interaction.replied && !interaction.deferred) {
-      await interaction.reply({ content: "❌ Error.", flags: MessageFlags.Ephemeral }).catch(() => {});
+      await interaction.reply(ephemeral("❌ Error.")).catch(() => {});
     }
   }
 });
@@ -445,7 +1487,7 @@ client.on("interactionCreate", async (interaction) => {
 // ─── EXPRESS APP ───────────────────────────────────────────────────────────
 const app = express();
 app.use(express.json());
-app.use(cors({ origin: process.env.SITE_URL || "*", methods: ["GET", "POST", "OPTIONS"] }));
+app.use(cors({ origin: SITE_URLS.length ? SITE_URLS.map(u => u.origin) : "*", methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"] }));
 
 // FIX 1: Removed `store: new rateLimit.MemoryStore()` — MemoryStore is the
 // default in express-rate-limit. rateLimit.MemoryStore doesn't exist as a
@@ -476,149 +1518,365 @@ const visitLimiter = rateLimit({
   handler: async (req, res) => {
     // Still return the current count even when rate-limited, just don't increment
     try {
-      const data = await loadVisits();
-      return res.json({ count: data.count });
+      return res.json({ count: store.counters.get("visits") });
     } catch {
       return res.json({ count: 0 });
     }
   },
 });
 
+// Funnel events from the page — a handful per visit
+const visitEventLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { error: "Too many requests." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// A token per form load — plenty for reloads, too few to stockpile tokens
+const formTokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { error: "Too many requests. Try again in a few minutes." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 20 lookups per IP per 15 min — enough for a status page, too few to guess IDs
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: "Too many lookups. Try again in a few minutes." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // GET / — health check
 app.get("/", (req, res) => {
   res.json({ status: "Echo Services online 🟢", bot: client.user?.tag || "starting..." });
 });
 
 // GET /status — website polls this to show the open/closed badge
+// message / awayUntil are set when the schedule or capacity decides it;
+// accepting: yes | waitlist | no — what a new inquiry gets
 app.get("/status", (req, res) => {
-  const s = STATUS_DISPLAY[currentStatus];
-  res.json({ status: currentStatus, label: s.label, emoji: s.emoji });
+  try {
+    const a = availability.resolve();
+    const s = STATUS_DISPLAY[a.status];
+    res.json({
+      status:    a.status,
+      label:     s.label,
+      emoji:     s.emoji,
+      message:   a.reason === "manual" ? null : a.message,
+      awayUntil: a.awayUntil,
+      accepting: a.accepting,
+    });
+  } catch (err) {
+    console.error("GET /status error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
 });
 
-// GET /work — returns featured work entries for the website
+// GET /work?category=&pinned=&page=&perPage= — published featured work, a
+// page at a time: { items, page, perPage, total, pages, categories }
 app.get("/work", async (req, res) => {
   try {
-    const entries = await loadWork();
-    res.json(entries);
+    const { category, pinned, page, perPage } = req.query;
+    res.json({
+      ...publicWorkPage(store, {
+        category,
+        pinned:        pinned === undefined ? undefined : pinned === "true" || pinned === "1",
+        page,
+        perPage,
+        categories:    formSchema.categories(),
+        screenshotUrl: (id) => `${CONFIG.PUBLIC_API_URL}/work/screenshots/${id}`,
+      }),
+      categories: formSchema.get().categories.map(({ name, emoji }) => ({ name, emoji })),
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("GET /work error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
+});
+
+// GET /work/screenshots/:id — the image; drafts' screenshots stay private
+app.get("/work/screenshots/:id", (req, res) => {
+  const shot  = /^\d+$/.test(req.params.id) && store.work.screenshot(req.params.id);
+  const entry = shot && store.work.get(shot.workId);
+  if (!entry?.published) return res.status(404).send("Not found");
+  res.set({
+    "Content-Type":           shot.contentType,
+    "Cache-Control":          "public, max-age=86400",
+    "X-Content-Type-Options": "nosniff",
+  }).send(shot.data);
+});
+
+// GET /testimonials?limit= — newest first, with the bot they're about
+app.get("/testimonials", (req, res) => {
+  try {
+    res.json(publicTestimonials(store, { limit: req.query.limit }));
+  } catch (err) {
+    console.error("GET /testimonials error:", err.message);
     res.status(500).json([]);
   }
 });
 
-// POST /visit — page visit counter
-app.post("/visit", visitLimiter, async (req, res) => {
+// GET /order/:uuid/status?discordId= — the client's redacted view of their
+// order. Needs the full UUID and the Discord ID it was placed with; a wrong
+// pair gets the same 404 as a missing order.
+// The order for :uuid if ?discordId= matches it — otherwise sends 400/404
+// and returns null
+function findClientOrder(req, res) {
+  const { uuid }      = req.params;
+  const { discordId } = req.query;
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uuid) || !isValidSnowflake(discordId)) {
+    res.status(400).json({ error: "Give the full order ID and your Discord ID." });
+    return null;
+  }
+  const order = store.orders.get(uuid.toLowerCase());
+  if (!order || order.clientDiscordId !== String(discordId)) {
+    res.status(404).json({ error: "No order found for that ID and Discord ID." });
+    return null;
+  }
+  return order;
+}
+
+app.get("/order/:uuid/status", trackLimiter, (req, res) => {
+  try {
+    const order = findClientOrder(req, res);
+    if (!order) return;
+    res.json(clientView(order, store.orders.events(order.uuid), store.payments.list(order.uuid)));
+  } catch (err) {
+    console.error("GET /order/:uuid/status error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
+});
+
+// GET /order/:uuid/invoice?discordId=[&download=1] — the invoice as HTML,
+// same gate as /status. Only once one has been issued (/invoice).
+app.get("/order/:uuid/invoice", trackLimiter, (req, res) => {
   try {
-    const data = await loadVisits();
-    data.count = (data.count || 0) + 1;
-    await saveVisits(data);
-    return res.json({ count: data.count });
+    const order = findClientOrder(req, res);
+    if (!order) return;
+    if (!order.invoiceNumber) return res.status(404).json({ error: "No invoice has been issued for this order yet." });
+    const file = invoiceFile(order);
+    res.set("Content-Disposition", `${req.query.download ? "attachment" : "inline"}; filename="${file.name}"`);
+    res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'");
+    res.type("html").send(file.attachment);
+  } catch (err) {
+    console.error("GET /order/:uuid/invoice error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
+});
+
+// POST /visit { path, referrer } — page visit counter. Every call is also a
+// page view for the visit analytics; the counter still goes up once per IP
+// per hour.
+app.post("/visit", (req, res, next) => {
+  trackVisit(req, "view", { path: req.body?.path, referrer: req.body?.referrer });
+  next();
+}, visitLimiter, async (req, res) => {
+  try {
+    return res.json({ count: store.counters.increment("visits") });
   } catch (err) {
     console.error("POST /visit error:", err.message);
     return res.status(500).json({ count: 0 });
   }
 });
 
-// POST /inquiry ─────────────────────────────────────────────────────────────
-app.post("/inquiry", inquiryLimiter, async (req, res) => {
+// POST /visit/event { event, path } — funnel events from the page:
+// inquiry_opened, contact_opened. Submissions are recorded here, not sent.
+app.post("/visit/event", visitEventLimiter, (req, res) => {
+  const { event, path } = req.body || {};
+  if (!CLIENT_EVENTS.includes(event)) return res.status(400).json({ error: "Unknown event" });
+  trackVisit(req, event, { path });
+  res.status(204).end();
+});
+
+// GET /form-schema — the inquiry form's fields (selects with their options),
+// categories and budget tiers; the site builds the form from it
+app.get("/form-schema", (req, res) => {
   try {
-    const {
-      discordUsername, clientDiscordId,
-      serverName, serverInvite, serverType,
-      budget, paymentMethod, projectDetails,
-    } = req.body;
-
-    if (!discordUsername || !clientDiscordId || !serverName || !serverType || !budget || !paymentMethod || !projectDetails) {
-      return res.status(400).json({ error: "Missing required fields. Please fill in all required inputs." });
-    }
-    if (!isValidSnowflake(clientDiscordId)) {
-      return res.status(400).json({ error: "Invalid Discord ID. Must be 17–20 digits. Enable Developer Mode in Discord Settings > Advanced to copy your ID." });
-    }
+    res.set("Cache-Control", "public, max-age=60").json(publicSchema(formSchema.get()));
+  } catch (err) {
+    console.error("GET /form-schema error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
+});
 
-    // FIX 4: Lazy config load — no race condition
-    const channel = await getChannel();
-
-    const uuid           = randomUUID();
-    const isCustomBudget = budget === "Custom — DM me";
-    const budgetDisplay  = isCustomBudget ? "Custom (to discuss)" : budget;
-    const meta           = CATEGORY_META[serverType] || { color: 0x6ee7f7, emoji: "📥" };
-
-    // Save order to file
-    const orders = await loadOrders();
-    orders.push({
-      uuid,
-      status:         "Pending",
-      payment:        "⏳ Unpaid",
-      discordUsername,
-      clientDiscordId,
-      serverName,
-      serverInvite:   serverInvite || "Not provided",
-      serviceType:    serverType,
-      budget:         budgetDisplay,
-      paymentMethod,
-      projectDetails,
-      createdAt:      new Date().toISOString(),
-      paidAt:         null,
-      notes:          "",
-    });
-    await saveOrders(orders);
+// GET /form-token?form=inquiry|contact — fetched when the form loads; sent
+// back as formToken (plus powSolution when a proof of work is asked for)
+app.get("/form-token", formTokenLimiter, (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json(spamGuard.issueToken(String(req.query.form || "")));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /form-token error:", err.message);
+    res.status(500).json({ error: "Something went wrong on our end." });
+  }
+});
 
-    // FIX 3: Standard EmbedBuilder — no Components V2 / type:17 beta features
-    // The original code used IS_COMPONENTS_V2 flag + type:17 containers which
-    // requires Discord beta API opt-in. Without it Discord returns 400 → caught
-    // as 500 here. Standard embeds work for every bot with no special access.
-    const embed = new EmbedBuilder()
-      .setTitle(`${meta.emoji}  New Inquiry — ${serverType}`)
-      .setColor(meta.color)
-      .setTimestamp()
-      .setFooter({ text: `Echo Services  •  Order: ${uuid.slice(0,8)}` })
-      .addFields(
-          { name: "👤 Discord",       value: `${discordUsername}\n<@${clientDiscordId}>`,                inline: true  },
-        { name: "🖥️ Server",        value: `${serverName}\n${serverInvite || "No invite provided"}`,  inline: true  },
-        { name: "\u200b",           value: "\u200b",                                                    inline: true  },
-        { name: "💰 Budget",        value: budgetDisplay,                                               inline: true  },
-        { name: "💳 Payment",       value: paymentMethod,                                               inline: true  },
-        { name: "🗂️ Server Type",   value: serverType,                                                  inline: true  },
-        { name: "📊 Status",        value: "⏳ Pending",                                               inline: true  },
-        { name: "📝 Requirements",  value: projectDetails.slice(0, 1024),                              inline: false },
-        ...(isCustomBudget ? [{ name: "💡 Note", value: "Custom budget — reach out to discuss pricing first.", inline: false }] : []),
-      );
+// GET /auth/discord?return=<form page> — "Sign in with Discord" on the forms.
+// The callback sends the browser back to the form page with
+// #identity=<token>&id=&username= for the form to submit.
+app.get("/auth/config", (req, res) => {
+  res.json({ discordLogin: verifier.enabled });
+});
 
-    // Standard action buttons — no beta flag required
-    const row = {
-      type: 1,
-      components: [
-        { type: 2, style: 3, label: "✅ Accept",    custom_id: `accept:${clientDiscordId}`  },
-        { type: 2, style: 4, label: "❌ Decline",   custom_id: `decline:${clientDiscordId}` },
-        { type: 2, style: 2, label: "💬 DM Client", custom_id: `dm:${clientDiscordId}`      },
-      ],
-    };
+app.get("/auth/discord", (req, res) => {
+  try {
+    res.redirect(verifier.authorizeUrl(String(req.query.return || "")));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    await channel.send({
-      content: `<@${CONFIG.OWNER_ID}> — **new inquiry!**`,
-      embeds: [embed],
-      components: [row],
-    });
+app.get("/auth/discord/callback", async (req, res) => {
+  try {
+    res.redirect(await verifier.completeLogin({ code: req.query.code, state: req.query.state }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error("Client OAuth error:", err.message);
+    res.status(502).send("Discord login failed. Go back and try again.");
+  }
+});
+
+// Runs the spam checks and returns the reservation for spamGuard.release;
+// on a rejection sends the response and returns null. Honeypot hits get a
+// fake success so bots don't adapt.
+// content: the text for the duplicate check (see spam_guard.js)
+function passesSpamGuard(form, req, res, { content } = {}) {
+  try {
+    return spamGuard.check(form, req.body, { ip: req.ip, content });
+  } catch (err) {
+    if (!err.status) throw err;
+    if (err.silent) res.json({ success: true });
+    else res.status(err.status).json({ error: err.message });
+    return null;
+  }
+}
 
-    // Attempt to DM the client (non-fatal if DMs closed)
+// The identity from a "Sign in with Discord" token, if the form sent one.
+// null = not signed in; false = a bad token or someone else's ID, after
+// sending the 400.
+function readIdentity(req, res) {
+  if (!req.body.identityToken) return null;
+  const identity = verifier.readIdentity(req.body.identityToken);
+  if (!identity) {
+    res.status(400).json({ error: "Your Discord sign-in has expired — sign in again." });
+    return false;
+  }
+  if (identity.id !== String(req.body.clientDiscordId)) {
+    res.status(400).json({ error: "That Discord ID isn't the account you signed in with." });
+    return false;
+  }
+  return identity;
+}
+
+// POST /inquiry ─────────────────────────────────────────────────────────────
+app.post("/inquiry", inquiryLimiter, async (req, res) => {
+  try {
+    // Checked against the form schema; `field` tells the site which input
+    let submission;
     try {
-      const user = await client.users.fetch(clientDiscordId);
-      await user.send(
-        isCustomBudget
-          ? `👋 Hey! Thanks for reaching out to **Echo Services**.\n\nYour inquiry has been received. You selected a custom budget — I'll DM you shortly to discuss pricing.\n\n> 🪪 **Order ID:** \`${uuid}\``
-          : `👋 Hey! Thanks for reaching out to **Echo Services**.\n\nYour inquiry has been received and I'll get back to you as soon as possible.\n\n> 🪪 **Order ID:** \`${uuid}\``
-      );
-    } catch {
-      console.warn(`Could not DM ${clientDiscordId} — DMs may be closed.`);
+      submission = validateInquiry(formSchema.get(), req.body);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ error: err.message, field: err.field });
+    }
+    const { answers, columns, customBudget: isCustomBudget } = submission;
+    const { discordUsername, clientDiscordId } = columns;
+
+    // Closed (manually, by schedule or at capacity): turn away or waitlist
+    const open = availability.resolve();
+    if (open.accepting === "no") {
+      return res.status(503).json({
+        error:     `Echo Services is closed for orders right now${open.message ? ` — ${open.message}` : ""}. Please try again later.`,
+        awayUntil: open.awayUntil,
+      });
+    }
+    const waitlisted = open.accepting === "waitlist";
+
+    const identity = readIdentity(req, res);
+    if (identity === false) return;
+    // Duplicates are judged on the answers, whatever the schema's questions are
+    const content = answers.map(a => a.value);
+    const reservation = passesSpamGuard("inquiry", req, res, { content });
+    if (!reservation) return;
+
+    const uuid = randomUUID();
+    // Signed in with Discord, or a code for /verify
+    const { code: verifyCode, ...pendingCode } = identity ? {} : newCode();
+
+    // Nothing reached Discord: drop the order and give the token back, so
+    // the client's retry doesn't leave a second order behind
+    let order, sent;
+    try {
+      // FIX 4: Lazy config load — no race condition
+      const channel = await getChannel();
+
+      // Save order (the client is the actor of the first timeline entry)
+      order = store.orders.create({
+        uuid,
+        status:         waitlisted ? "Waitlisted" : "Pending",
+        payment:        "⏳ Unpaid",
+        // discordUsername, clientDiscordId, serverName, serviceType, budget, …
+        ...columns,
+        serverName:     columns.serverName || "Not provided",
+        serverInvite:   columns.serverInvite || "Not provided",
+        budget:         isCustomBudget ? CUSTOM_BUDGET : columns.budget,
+        answers,
+        createdAt:      new Date().toISOString(),
+        paidAt:         null,
+        notes:          "",
+        ...(identity
+          ? { verifiedVia: "oauth", verifiedAt: new Date().toISOString() }
+          : pendingCode),
+      }, { actor: discordUsername });
+
+      // FIX 3: Standard EmbedBuilder — no Components V2 / type:17 beta features
+      // The original code used IS_COMPONENTS_V2 flag + type:17 containers which
+      // requires Discord beta API opt-in. Without it Discord returns 400 → caught
+      // as 500 here. Standard embeds work for every bot with no special access.
+      // The embed and buttons come from buildOrderEmbed/buildOrderComponents.
+      sent = await channel.send({
+        content: `<@${CONFIG.OWNER_ID}> — **new inquiry!**${waitlisted ? " 🕒 Waitlisted — came in while closed." : ""}`,
+        ...renderOrderMessage(order),
+      });
+    } catch (err) {
+      if (order) store.orders.remove(uuid);
+      spamGuard.release(reservation);
+      throw err;
+    }
+    store.orders.update(uuid, { messageChannelId: sent.channelId, messageId: sent.id });
+    trackVisit(req, "inquiry_submitted");
+
+    // Only a verified client gets a DM (non-fatal if DMs closed)
+    if (canDm(order)) {
+      try {
+        const user = await client.users.fetch(clientDiscordId);
+        await user.send(inquiryReceivedMessage(order));
+      } catch {
+        console.warn(`Could not DM ${clientDiscordId} — DMs may be closed.`);
+      }
     }
 
     return res.json({
       success:         true,
       orderId:         uuid,
       isCustomBudget,
-      message: isCustomBudget
-        ? "Inquiry received! I'll DM you on Discord to discuss custom pricing."
-        : "Inquiry received! I'll get back to you on Discord as soon as possible.",
+      waitlisted,
+      verified:        canDm(order),
+      // Unverified: the client sends this to the bot with /verify
+      ...(verifyCode ? { verifyCode } : {}),
+      message: waitlisted
+        ? "You're on the waitlist! I'm not taking new orders right now — I'll get back to you on Discord when I reopen."
+        : isCustomBudget
+          ? "Inquiry received! I'll DM you on Discord to discuss custom pricing."
+          : "Inquiry received! I'll get back to you on Discord as soon as possible.",
     });
 
   } catch (err) {
@@ -641,8 +1899,10 @@ app.post("/contact", contactLimiter, async (req, res) => {
     if (!isValidSnowflake(clientDiscordId)) {
       return res.status(400).json({ error: "Invalid Discord ID." });
     }
-
-    const channel = await getChannel();
+    const identity = readIdentity(req, res);
+    if (identity === false) return;
+    const reservation = passesSpamGuard("contact", req, res);
+    if (!reservation) return;
 
     const embed = new EmbedBuilder()
       .setTitle("💬 New Message — Echo Services")
@@ -650,6 +1910,7 @@ app.post("/contact", contactLimiter, async (req, res) => {
       .setTimestamp()
       .addFields(
         { name: "👤 Discord", value: `${discordUsername}\n<@${clientDiscordId}>`, inline: true  },
+        { name: "🔐 Identity", value: identityLabel({ verifiedVia: identity ? "oauth" : null }), inline: true },
         { name: "📝 Message", value: message.slice(0, 1024),                      inline: false },
       );
 
@@ -658,16 +1919,25 @@ app.post("/contact", contactLimiter, async (req, res) => {
       components: [{ type: 2, style: 2, label: "💬 DM Client", custom_id: `dm:${clientDiscordId}` }],
     };
 
-    await channel.send({ content: `<@${CONFIG.OWNER_ID}>`, embeds: [embed], components: [row] });
-
     try {
-      const user = await client.users.fetch(clientDiscordId);
-      await user.send(`👋 Hey! Your message has been received by **Echo Services**. I'll reply on Discord soon.`);
-    } catch {
-      console.warn(`Could not DM ${clientDiscordId}`);
+      const channel = await getChannel();
+      await channel.send({ content: `<@${CONFIG.OWNER_ID}>`, embeds: [embed], components: [row] });
+    } catch (err) {
+      spamGuard.release(reservation); // not sent — the same form can be sent again
+      throw err;
+    }
+    trackVisit(req, "contact_submitted");
+
+    if (identity) {
+      try {
+        const user = await client.users.fetch(clientDiscordId);
+        await user.send(`👋 Hey! Your message has been received by **Echo Services**. I'll reply on Discord soon.`);
+      } catch {
+        console.warn(`Could not DM ${clientDiscordId}`);
+      }
     }
 
-    return res.json({ success: true });
+    return res.json({ success: true, verified: Boolean(identity) });
 
   } catch (err) {
     console.error("POST /contact error:", err.message);
@@ -679,8 +1949,8 @@ app.post("/contact", contactLimiter, async (req, res) => {
 });
 
 // ─── GRACEFUL SHUTDOWN ─────────────────────────────────────────────────────
-process.on("SIGINT",  () => { client.destroy(); process.exit(0); });
-process.on("SIGTERM", () => { client.destroy(); process.exit(0); });
+process.on("SIGINT",  () => { client.destroy(); store.close(); process.exit(0); });
+process.on("SIGTERM", () => { client.destroy(); store.close(); process.exit(0); });
 
 // ─── BOOT ──────────────────────────────────────────────────────────────────
 client.login(CONFIG.BOT_TOKEN)
@@ -0,0 +1,264 @@
+// ═══════════════════════════════════════════════════════════════════════
+// INVOICING
+// Quotes, payments and invoices for orders. Amounts are integers in the
+// currency's minor unit (cents; whole Robux), so sums never drift.
+//
+//   setQuote(store, uuid, { amount, currency })
+//   recordPayment(store, uuid, { kind, amount, method, reference, by })
+//   summarize(order, payments)   → { quote, paid, balance, state }
+//   issueInvoice(store, uuid)    → order with invoiceNumber
+//   renderInvoiceHtml(order, payments, { business })
+//
+// The order's `payment` label ("✅ Paid" / "🟡 Partly paid" / "⏳ Unpaid")
+// and paidAt are kept in step with the payments, so everything that only
+// reads the label keeps working.
+//
+// Invoices are self-contained HTML with print styles — "Save as PDF" in any
+// browser gives the PDF without a PDF library on the server.
+// ═══════════════════════════════════════════════════════════════════════
+
+const CURRENCIES = {
+  USD:   { decimals: 2, symbol: '$' },
+  EUR:   { decimals: 2, symbol: '€' },
+  GBP:   { decimals: 2, symbol: '£' },
+  CAD:   { decimals: 2, symbol: 'CA$' },
+  AUD:   { decimals: 2, symbol: 'A$' },
+  ROBUX: { decimals: 0, suffix: ' R$' },
+};
+
+const CURRENCY_ALIASES = { 'R$': 'ROBUX', RBX: 'ROBUX', '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+const PAYMENT_KINDS = ['deposit', 'payment', 'refund'];
+
+const PAYMENT_LABELS = {
+  unpaid:  '⏳ Unpaid',
+  partial: '🟡 Partly paid',
+  paid:    '✅ Paid',
+};
+
+const fail = (status, msg) => { throw Object.assign(new Error(msg), { status }); };
+
+// ── MONEY ─────────────────────────────────────────────────────────────
+
+// "usd", "r$", "Robux" → "USD", "ROBUX"; null if unsupported
+function normalizeCurrency(input) {
+  const raw = String(input || '').trim().toUpperCase();
+  const code = CURRENCY_ALIASES[raw] || raw;
+  return CURRENCIES[code] ? code : null;
+}
+
+// "12.50", "1,000", "$12" → minor units. Throws 400 on anything else.
+function parseAmount(input, currency) {
+  const { decimals } = CURRENCIES[currency];
+  const text = String(input ?? '').replace(/[\s,]/g, '').replace(/^[^\d.]+|[^\d.]+$/g, '');
+  const m    = text.match(/^(\d{1,9})(?:\.(\d+))?$/);
+  if (!m || (m[2] && m[2].length > decimals)) {
+    fail(400, `Invalid amount "${input}" — use a number${decimals ? ` with up to ${decimals} decimals` : ' without decimals'}`);
+  }
+  const minor = Number(m[1]) * 10 ** decimals + Number((m[2] || '').padEnd(decimals, '0') || 0);
+  if (minor <= 0) fail(400, 'Amount must be more than zero');
+  return minor;
+}
+
+function formatMoney(minor, currency) {
+  const c = CURRENCIES[currency];
+  if (!c || minor == null) return '—';
+  const sign  = minor < 0 ? '-' : '';
+  const value = (Math.abs(minor) / 10 ** c.decimals)
+    .toLocaleString('en-US', { minimumFractionDigits: c.decimals, maximumFractionDigits: c.decimals });
+  return c.suffix ? `${sign}${value}${c.suffix}` : `${sign}${c.symbol}${value}`;
+}
+
+// ── PAYMENT STATE ─────────────────────────────────────────────────────
+
+// Refunds are stored as negative amounts, so paid is a plain sum.
+// Without a quote there is no balance; any money in counts as partial.
+function summarize(order, payments) {
+  const paid    = payments.reduce((sum, p) => sum + p.amount, 0);
+  const quote   = order.quoteAmount ?? null;
+  const balance = quote == null ? null : quote - paid;
+  const state   = paid <= 0 ? 'unpaid'
+    : quote != null && balance <= 0 ? 'paid'
+    : 'partial';
+  return { quote, paid, balance, currency: order.currency || null, state };
+}
+
+// Writes the payment label + paidAt that follow from the payments.
+// Orders with neither quote nor payments keep their manual label.
+function syncPaymentLabel(store, uuid) {
+  const order    = store.orders.get(uuid);
+  const payments = store.payments.list(uuid);
+  if (order.quoteAmount == null && !payments.length) return order;
+
+  const { state } = summarize(order, payments);
+  const label     = PAYMENT_LABELS[state];
+  if (label === order.payment) return order;
+  store.orders.update(uuid, {
+    payment: label,
+    paidAt:  state === 'paid' ? new Date().toISOString() : null,
+  });
+  return store.orders.get(uuid);
+}
+
+// amount: a number/string in major units (12.50), currency: any form
+// normalizeCurrency accepts. Can't change currency once money is recorded.
+function setQuote(store, uuid, { amount, currency }) {
+  return store.transaction(() => {
+    const order = store.orders.get(uuid) || fail(404, `No order ${uuid}`);
+    const code  = normalizeCurrency(currency || order.currency);
+    if (!code) fail(400, `Unknown currency "${currency}". Use one of: ${Object.keys(CURRENCIES).join(', ')}`);
+    if (order.currency && code !== order.currency && store.payments.list(uuid).length) {
+      fail(409, `Payments are already recorded in ${order.currency}`);
+    }
+    store.orders.update(uuid, { quoteAmount: parseAmount(amount, code), currency: code });
+    return syncPaymentLabel(store, uuid);
+  });
+}
+
+// kind: deposit | payment | refund. The currency is the order's (set by the
+// quote, or by the first payment when there's no quote yet).
+// by: who recorded it (Discord tag).
+function recordPayment(store, uuid, { kind = 'payment', amount, currency, method, reference, note, by }) {
+  if (!PAYMENT_KINDS.includes(kind)) fail(400, `kind must be one of: ${PAYMENT_KINDS.join(', ')}`);
+
+  return store.transaction(() => {
+    const order = store.orders.get(uuid) || fail(404, `No order ${uuid}`);
+    const given = currency ? normalizeCurrency(currency) : null;
+    if (currency && !given) fail(400, `Unknown currency "${currency}". Use one of: ${Object.keys(CURRENCIES).join(', ')}`);
+    if (order.currency && given && given !== order.currency) fail(409, `This order is in ${order.currency}`);
+    const code = order.currency || given || fail(400, 'Set a quote or give a currency first');
+
+    const minor = parseAmount(amount, code);
+    const { paid } = summarize(order, store.payments.list(uuid));
+    if (kind === 'refund' && minor > paid) fail(409, `Can't refund more than was paid (${formatMoney(paid, code)})`);
+
+    if (!order.currency) store.orders.update(uuid, { currency: code });
+    const payment = store.payments.add(uuid, {
+      kind,
+      amount:     kind === 'refund' ? -minor : minor,
+      currency:   code,
+      method:     method ? String(method).slice(0, 50) : order.paymentMethod || null,
+      reference:  reference ? String(reference).slice(0, 100) : null,
+      note:       note ? String(note).slice(0, 200) : null,
+      recordedBy: by || null,
+    });
+    const updated = syncPaymentLabel(store, uuid);
+    return { order: updated, payment, summary: summarize(updated, store.payments.list(uuid)) };
+  });
+}
+
+// ── INVOICES ──────────────────────────────────────────────────────────
+
+// Numbers are handed out once per order: INV-2025-0007
+function issueInvoice(store, uuid) {
+  return store.transaction(() => {
+    const order = store.orders.get(uuid) || fail(404, `No order ${uuid}`);
+    if (order.quoteAmount == null) fail(409, 'Set a quote before invoicing');
+    if (order.invoiceNumber) return order;
+    const seq = store.counters.increment('invoices');
+    const now = new Date();
+    store.orders.update(uuid, {
+      invoiceNumber:   `INV-${now.getUTCFullYear()}-${String(seq).padStart(4, '0')}`,
+      invoiceIssuedAt: now.toISOString(),
+    });
+    return store.orders.get(uuid);
+  });
+}
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const fmtDate = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : '—');
+
+// business: { name, contact } for the header
+function renderInvoiceHtml(order, payments, { business = {} } = {}) {
+  const { quote, paid, balance, currency, state } = summarize(order, payments);
+  const money = (n) => escapeHtml(formatMoney(n, currency));
+  const rows  = payments.map(p => `
+        <tr>
+          <td>${fmtDate(p.at)}</td>
+          <td>${escapeHtml(p.kind)}</td>
+          <td>${escapeHtml(p.method || '')}${p.reference ? ` <span class="muted">· ${escapeHtml(p.reference)}</span>` : ''}</td>
+          <td class="num">${money(p.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(order.invoiceNumber || 'Invoice')} — ${escapeHtml(business.name || 'Invoice')}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #111; padding-bottom: 16px; }
+  h1 { margin: 0; font-size: 28px; letter-spacing: 2px; }
+  .muted { color: #666; }
+  .meta td { padding: 2px 12px 2px 0; }
+  table.lines { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  table.lines th, table.lines td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+  .num { text-align: right !important; white-space: nowrap; }
+  .totals { margin-left: auto; margin-top: 16px; }
+  .totals td { padding: 4px 8px; }
+  .due td { font-weight: 700; font-size: 16px; border-top: 2px solid #111; }
+  .stamp { display: inline-block; padding: 4px 12px; border: 2px solid; border-radius: 4px; font-weight: 700; }
+  .stamp.paid { color: #1a7f37; } .stamp.partial { color: #b7791f; } .stamp.unpaid { color: #c53030; }
+  @media print { body { margin: 0; } .noprint { display: none; } }
+</style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>INVOICE</h1>
+      <div class="muted">${escapeHtml(business.name || '')}${business.contact ? ` · ${escapeHtml(business.contact)}` : ''}</div>
+    </div>
+    <span class="stamp ${state}">${escapeHtml(PAYMENT_LABELS[state].replace(/^\S+\s/, '').toUpperCase())}</span>
+  </header>
+
+  <table class="meta" style="margin-top:16px">
+    <tr><td class="muted">Invoice</td><td>${escapeHtml(order.invoiceNumber || '—')}</td></tr>
+    <tr><td class="muted">Issued</td><td>${fmtDate(order.invoiceIssuedAt)}</td></tr>
+    <tr><td class="muted">Order</td><td>${escapeHtml(order.uuid)}</td></tr>
+    <tr><td class="muted">Billed to</td><td>${escapeHtml(order.discordUsername)} (Discord ${escapeHtml(order.clientDiscordId)})</td></tr>
+  </table>
+
+  <table class="lines">
+    <thead><tr><th>Description</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+      <tr>
+        <td>${escapeHtml(order.serviceType || 'Discord bot')} — ${escapeHtml(order.serverName)}</td>
+        <td class="num">${money(quote)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  ${payments.length ? `
+  <table class="lines">
+    <thead><tr><th>Date</th><th>Type</th><th>Method</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>` : ''}
+
+  <table class="totals">
+    <tr><td class="muted">Total</td><td class="num">${money(quote)}</td></tr>
+    <tr><td class="muted">Paid</td><td class="num">${money(paid)}</td></tr>
+    <tr class="due"><td>Balance due</td><td class="num">${money(Math.max(0, balance))}</td></tr>
+  </table>
+
+  <p class="muted noprint" style="margin-top:40px">Use your browser's Print → Save as PDF to keep a copy.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  CURRENCIES,
+  PAYMENT_KINDS,
+  PAYMENT_LABELS,
+  normalizeCurrency,
+  parseAmount,
+  formatMoney,
+  summarize,
+  setQuote,
+  recordPayment,
+  issueInvoice,
+  renderInvoiceHtml,
+};
@@ -0,0 +1,91 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { PAYMENT_LABELS, parseAmount, summarize, setQuote, recordPayment } = require('./invoicing');
+
+// store.orders / store.payments in memory, for one order
+function fakeStore(fields = {}) {
+  const order    = { uuid: 'u1', payment: PAYMENT_LABELS.unpaid, paidAt: null, quoteAmount: null, currency: null, ...fields };
+  const payments = [];
+  return {
+    order,
+    payments: {
+      list: () => payments.map(p => ({ ...p })),
+      add:  (uuid, p) => { payments.push({ id: payments.length + 1, ...p }); return payments[payments.length - 1]; },
+    },
+    orders: {
+      get:    (uuid) => (uuid === order.uuid ? { ...order } : null),
+      update: (uuid, patch) => Object.assign(order, patch),
+    },
+    transaction: (fn) => fn(),
+  };
+}
+
+test('amounts parse to minor units', () => {
+  assert.equal(parseAmount('12.50', 'USD'), 1250);
+  assert.equal(parseAmount('12.5', 'USD'), 1250);
+  assert.equal(parseAmount('0.05', 'EUR'), 5);
+  assert.equal(parseAmount('$12', 'USD'), 1200);
+  assert.equal(parseAmount('1,000', 'USD'), 100000);
+  assert.equal(parseAmount(' 750 ', 'ROBUX'), 750);
+  assert.equal(parseAmount(19.99, 'GBP'), 1999);
+});
+
+test('amounts with too many decimals, none or zero are 400s', () => {
+  for (const [input, currency] of [['12.505', 'USD'], ['10.5', 'ROBUX'], ['0', 'USD'], ['0.00', 'USD'], ['abc', 'USD'], ['', 'USD'], ['1.2.3', 'USD']]) {
+    assert.throws(() => parseAmount(input, currency), { status: 400 }, `${input} ${currency}`);
+  }
+});
+
+test('summarize sums payments and refunds against the quote', () => {
+  const order = { quoteAmount: 5000, currency: 'USD' };
+  assert.deepEqual(summarize(order, []), { quote: 5000, paid: 0, balance: 5000, currency: 'USD', state: 'unpaid' });
+  assert.equal(summarize(order, [{ amount: 2000 }]).state, 'partial');
+  assert.deepEqual(summarize(order, [{ amount: 2000 }, { amount: 3000 }]), { quote: 5000, paid: 5000, balance: 0, currency: 'USD', state: 'paid' });
+  assert.equal(summarize(order, [{ amount: 5000 }, { amount: -1000 }]).state, 'partial');
+  assert.equal(summarize(order, [{ amount: 1000 }, { amount: -1000 }]).state, 'unpaid');
+  // No quote: no balance, and any money in is partial
+  assert.deepEqual(summarize({}, [{ amount: 100 }]), { quote: null, paid: 100, balance: null, currency: null, state: 'partial' });
+});
+
+test('payments keep the order label in step', () => {
+  const store = fakeStore();
+  setQuote(store, 'u1', { amount: '50', currency: 'usd' });
+  assert.equal(store.order.quoteAmount, 5000);
+
+  let r = recordPayment(store, 'u1', { kind: 'deposit', amount: '20' });
+  assert.equal(r.order.payment, PAYMENT_LABELS.partial);
+  assert.equal(r.summary.balance, 3000);
+
+  r = recordPayment(store, 'u1', { amount: '30.00' });
+  assert.equal(r.order.payment, PAYMENT_LABELS.paid);
+  assert.ok(r.order.paidAt);
+
+  r = recordPayment(store, 'u1', { kind: 'refund', amount: '10' });
+  assert.equal(r.payment.amount, -1000);
+  assert.equal(r.order.payment, PAYMENT_LABELS.partial);
+  assert.equal(r.order.paidAt, null);
+});
+
+test('refunds are limited to what was paid', () => {
+  const store = fakeStore({ quoteAmount: 5000, currency: 'USD' });
+  recordPayment(store, 'u1', { amount: '20' });
+  assert.throws(() => recordPayment(store, 'u1', { kind: 'refund', amount: '20.01' }), { status: 409 });
+  recordPayment(store, 'u1', { kind: 'refund', amount: '15' });
+  // Only 5.00 left to refund now
+  assert.throws(() => recordPayment(store, 'u1', { kind: 'refund', amount: '5.01' }), { status: 409 });
+  recordPayment(store, 'u1', { kind: 'refund', amount: '5' });
+  assert.equal(store.order.payment, PAYMENT_LABELS.unpaid);
+  assert.throws(() => recordPayment(store, 'u1', { kind: 'refund', amount: '1' }), { status: 409 });
+});
+
+test('payments stay in the order currency', () => {
+  const store = fakeStore();
+  assert.throws(() => recordPayment(store, 'u1', { amount: '5' }), { status: 400 });
+  recordPayment(store, 'u1', { amount: '500', currency: 'R$' });
+  assert.equal(store.order.currency, 'ROBUX');
+  assert.throws(() => recordPayment(store, 'u1', { amount: '5', currency: 'USD' }), { status: 409 });
+  assert.throws(() => setQuote(store, 'u1', { amount: '5', currency: 'USD' }), { status: 409 });
+  assert.throws(() => recordPayment(store, 'u1', { kind: 'tip', amount: '5' }), { status: 400 });
+});
@@ -0,0 +1,219 @@
+// ═══════════════════════════════════════════════════════════════════════
+// JOBS
+// Long-running dashboard work (tasks, deploys) runs as a job: it gets an ID
+// straight away, streams its output to any number of subscribers, can be
+// cancelled, and is kept in a history file once it finishes.
+//
+//   const job = jobs.create({ kind, bot, label, user }, async (ctx) => {
+//     ctx.log('step 1');
+//     const code = await ctx.exec('git', ['pull'], { cwd });
+//     return code;                       // exit code of the job
+//   });
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs             = require('fs');
+const { spawn }      = require('child_process');
+const { randomUUID } = require('crypto');
+const EventEmitter   = require('events');
+
+const MAX_LINES   = 5000; // per job, oldest dropped first
+const MAX_HISTORY = 200;  // finished jobs kept on disk
+const KILL_GRACE  = 5000; // ms between SIGTERM and SIGKILL on cancel
+
+class JobCancelled extends Error {
+  constructor() { super('Job cancelled'); }
+}
+
+function createJobManager({ historyFile = './jobs_history.json' } = {}) {
+  const jobs = new Map();
+  const bus  = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  // Restore finished jobs from the last run
+  try {
+    for (const j of JSON.parse(fs.readFileSync(historyFile, 'utf8'))) jobs.set(j.id, j);
+  } catch {}
+
+  let saving = Promise.resolve();
+  function persist() {
+    const finished = [...jobs.values()].filter(j => j.status !== 'running').slice(-MAX_HISTORY);
+    const keep     = new Set(finished.map(j => j.id));
+    for (const [id, j] of jobs) {
+      if (j.status !== 'running' && !keep.has(id)) jobs.delete(id);
+    }
+    const tmp = `${historyFile}.tmp`;
+    saving = saving
+      .then(() => fs.promises.writeFile(tmp, JSON.stringify(finished)))
+      .then(() => fs.promises.rename(tmp, historyFile))
+      .catch(e => console.error('Job history write failed:', e.message));
+  }
+
+  // Lines are numbered from the start of the job; the ones dropped past
+  // MAX_LINES keep their numbers (job.dropped of them), so output[i] is
+  // line dropped + i.
+  function push(job, stream, text) {
+    const entry = { t: Date.now(), stream, line: text };
+    const index = (job.dropped || 0) + job.output.length;
+    job.output.push(entry);
+    if (job.output.length > MAX_LINES) {
+      job.output.shift();
+      job.dropped = (job.dropped || 0) + 1;
+    }
+    bus.emit(`line:${job.id}`, entry, index);
+  }
+
+  function create(meta, executor) {
+    const job = {
+      id:         randomUUID(),
+      kind:       meta.kind,
+      bot:        meta.bot || null,
+      label:      meta.label,
+      user:       meta.user || null,
+      status:     'running',
+      exitCode:   null,
+      startedAt:  new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      output:     [],
+      dropped:    0,
+    };
+    jobs.set(job.id, job);
+
+    // Runtime-only state, never serialised
+    const rt = { child: null, cancelled: false };
+    Object.defineProperty(job, '_rt', { value: rt, enumerable: false });
+
+    const ctx = {
+      job,
+      get cancelled() { return rt.cancelled; },
+
+      log(text, stream = 'sys') {
+        for (const line of String(text).split('\n')) push(job, stream, line);
+      },
+
+      // Spawns argv (no shell), streams output into the job, resolves exit code.
+      // opts.force runs even after a cancel (used for cleanup/rollback).
+      exec(cmd, args = [], opts = {}) {
+        if (rt.cancelled && !opts.force) return Promise.reject(new JobCancelled());
+        return new Promise((resolve, reject) => {
+          const child = spawn(cmd, args, { cwd: opts.cwd, env: opts.env || process.env });
+          rt.child = child;
+
+          const timer = opts.timeout
+            ? setTimeout(() => { ctx.log(`[timed out after ${opts.timeout}ms]`); child.kill('SIGTERM'); }, opts.timeout)
+            : null;
+
+          const pipe = (stream) => {
+            let partial = '';
+            child[stream].on('data', (d) => {
+              const lines = (partial + d.toString()).split('\n');
+              partial = lines.pop();
+              for (const l of lines) push(job, stream, l);
+            });
+            child[stream].on('end', () => { if (partial) push(job, stream, partial); });
+          };
+          pipe('stdout');
+          pipe('stderr');
+
+          child.on('error', (err) => {
+            if (timer) clearTimeout(timer);
+            rt.child = null;
+            reject(err);
+          });
+          child.on('close', (code) => {
+            if (timer) clearTimeout(timer);
+            rt.child = null;
+            if (rt.cancelled && !opts.force) return reject(new JobCancelled());
+            resolve(code === null ? 1 : code);
+          });
+        });
+      },
+    };
+
+    const finish = (status, exitCode) => {
+      job.status     = status;
+      job.exitCode   = exitCode;
+      job.finishedAt = new Date().toISOString();
+      job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+      bus.emit(`end:${job.id}`, summary(job));
+      if (meta.onFinish) {
+        try { meta.onFinish(job); } catch (e) { console.error('Job onFinish error:', e.message); }
+      }
+      persist();
+    };
+
+    Promise.resolve()
+      .then(() => executor(ctx))
+      .then((code = 0) => finish(code === 0 ? 'succeeded' : 'failed', code))
+      .catch((err) => {
+        if (err instanceof JobCancelled || rt.cancelled) return finish('cancelled', null);
+        ctx.log(`ERROR: ${err.message}`, 'stderr');
+        finish('failed', err.exitCode ?? 1);
+      });
+
+    return job;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'running') return false;
+    const rt = job._rt;
+    rt.cancelled = true;
+    push(job, 'sys', '[cancel requested]');
+    if (rt.child) {
+      const child = rt.child;
+      child.kill('SIGTERM');
+      setTimeout(() => { if (child.exitCode === null) child.kill('SIGKILL'); }, KILL_GRACE).unref();
+    }
+    return true;
+  }
+
+  function summary(job) {
+    const { output, ...rest } = job;
+    return { ...rest, lines: output.length };
+  }
+
+  // Newest first; filter by bot/kind/status
+  function list({ bot, kind, status, limit = 50 } = {}) {
+    return [...jobs.values()]
+      .filter(j => (!bot || j.bot === bot) && (!kind || j.kind === kind) && (!status || j.status === status))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit)
+      .map(summary);
+  }
+
+  // Replays existing output from line `fromIndex` on, then follows live
+  // lines until the job ends. onLine(entry, index) gets the line number (see
+  // push), which is what to pass back as fromIndex to resume.
+  // Returns an unsubscribe function.
+  function subscribe(id, { onLine, onEnd }, fromIndex = 0) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    const dropped = job.dropped || 0;
+    const start   = Math.max(0, fromIndex - dropped);
+    job.output.slice(start).forEach((entry, i) => onLine(entry, dropped + start + i));
+    if (job.status !== 'running') {
+      onEnd(summary(job));
+      return () => {};
+    }
+    const end = (s) => { off(); onEnd(s); };
+    const off = () => {
+      bus.off(`line:${id}`, onLine);
+      bus.off(`end:${id}`, end);
+    };
+    bus.on(`line:${id}`, onLine);
+    bus.once(`end:${id}`, end);
+    return off;
+  }
+
+  return {
+    create,
+    cancel,
+    list,
+    subscribe,
+    get: (id) => jobs.get(id) || null,
+    summary,
+  };
+}
+
+module.exports = { createJobManager, JobCancelled };
@@ -0,0 +1,467 @@
+// ═══════════════════════════════════════════════════════════════════════
+// LOGS
+// History queries and the shared live stream for bot logs.
+//
+// Every line becomes a structured event:
+//   { t, level, message, source }     t in ms (null if unknown),
+//                                      level = debug | info | warn | error
+//
+// History:
+//   systemd bots — `journalctl -u <unit> -o json` with --since/--until;
+//                  pages continue from the journal cursor
+//   pm2 bots     — the process's out/error log files (paths from pm2 jlist);
+//                  lines only carry a time when the app is started with
+//                  --time / log_date_format, undated lines inherit the time
+//                  of the line before them
+//
+// Regex searches run in a vm with a time budget per query, so a pattern
+// that backtracks forever ends the query with a 400 instead of freezing
+// the bot.
+//
+// Live: createLogHub() runs ONE follower per bot however many dashboards are
+// watching, keeps the last events in a buffer with increasing ids (for SSE
+// Last-Event-ID resume) and stops the follower when nobody is left.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs             = require('fs');
+const vm             = require('vm');
+const { spawn }      = require('child_process');
+const { runProcess } = require('./run_process');
+
+const LEVELS        = ['debug', 'info', 'warn', 'error'];
+const MAX_LIMIT     = 1000;
+const MAX_EXPORT    = 100000;
+const MAX_FILE_READ = 32 * 1024 * 1024; // tail of each pm2 log file
+const QUERY_TIMEOUT = 20000;
+const REGEX_BUDGET  = 3000; // ms of regex matching per query or export
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// ── PARSING ───────────────────────────────────────────────────────────
+
+// Most bots log to stdout at journald priority 6 whatever the severity, so
+// the text wins when it names a level.
+function detectLevel(text, fallback = 'info') {
+  if (/\b(CRITICAL|FATAL|ERROR|EXCEPTION)\b|Traceback \(most recent call last\)|^\s*\w*Error:/i.test(text)) return 'error';
+  if (/\bWARN(ING)?\b/i.test(text)) return 'warn';
+  if (/\bDEBUG\b/.test(text)) return 'debug';
+  return fallback;
+}
+
+function levelFromPriority(p) {
+  const n = parseInt(p, 10);
+  if (Number.isNaN(n)) return 'info';
+  if (n <= 3) return 'error';
+  if (n === 4) return 'warn';
+  if (n === 7) return 'debug';
+  return 'info';
+}
+
+function journalMessage(m) {
+  if (Array.isArray(m)) return Buffer.from(m).toString('utf8'); // non-UTF8 entries come as byte arrays
+  return m == null ? '' : String(m);
+}
+
+function parseJournalEntry(entry) {
+  const message = journalMessage(entry.MESSAGE);
+  return {
+    t:       Math.floor(Number(entry.__REALTIME_TIMESTAMP) / 1000) || null,
+    level:   detectLevel(message, levelFromPriority(entry.PRIORITY)),
+    message,
+    source:  'journal',
+    cursor:  entry.__CURSOR,
+  };
+}
+
+// "2024-05-01T12:00:00.123Z: msg", "2024-05-01 12:00:00 +01:00: msg", …
+const STAMP_RE = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:\s?(?:Z|[+-]\d{2}:?\d{2}))?):?\s/;
+
+function parseFileLine(line, source, inheritT) {
+  const m = line.match(STAMP_RE);
+  const t = m ? Date.parse(m[1].replace(' ', 'T').replace(',', '.').replace(/\s(?=[+-Z])/, '')) : NaN;
+  const message = m && !Number.isNaN(t) ? line.slice(m[0].length) : line;
+  return {
+    t:      Number.isNaN(t) ? inheritT : t,
+    level:  detectLevel(message, source === 'stderr' ? 'warn' : 'info'),
+    message,
+    source,
+  };
+}
+
+// ── QUERY OPTIONS ─────────────────────────────────────────────────────
+
+// ISO date, epoch ms, or "15m" / "2h" / "7d" ago
+function parseTime(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const s   = String(value).trim();
+  const rel = s.match(/^(\d+)\s*(m|h|d)$/i);
+  if (rel) return now - parseInt(rel[1], 10) * { m: 60e3, h: 3600e3, d: 86400e3 }[rel[2].toLowerCase()];
+  if (/^\d{10,13}$/.test(s)) return parseInt(s, 10);
+  const t = Date.parse(s);
+  if (Number.isNaN(t)) throw badRequest(`Invalid time: ${s}`);
+  return t;
+}
+
+// (messages) => [matched?] for a regex. Matching runs in a vm so it can be
+// interrupted: a timeout interrupts a regex mid-backtrack, which nothing
+// in the main context can. Called per batch of lines (entering the vm per
+// line is too slow); all batches share `budgetMs`.
+function regexMatcher(re, budgetMs = REGEX_BUDGET) {
+  const context = vm.createContext({ re, messages: [] });
+  const script  = new vm.Script('messages.map(m => re.test(m))');
+  let spent = 0;
+  return (messages) => {
+    const started = Date.now();
+    context.messages = messages;
+    try {
+      return script.runInContext(context, { timeout: Math.max(budgetMs - spent, 1) });
+    } catch (e) {
+      if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+      throw badRequest('That regex takes too long on these logs — simplify it or narrow the time range');
+    } finally {
+      context.messages = [];
+      spent += Date.now() - started;
+    }
+  };
+}
+
+// opts: { q, regex, level } → (events) => the matching events
+function buildFilter({ q, regex, level } = {}) {
+  const checks = [];
+  let matchRegex = null;
+  if (level) {
+    const min = LEVELS.indexOf(String(level));
+    if (min === -1) throw badRequest(`level must be one of ${LEVELS.join(', ')}`);
+    checks.push(e => LEVELS.indexOf(e.level) >= min);
+  }
+  if (q) {
+    const text = String(q);
+    if (text.length > 200) throw badRequest('Search is limited to 200 characters');
+    if (regex) {
+      let re;
+      try { re = new RegExp(text, 'i'); } catch (e) { throw badRequest(`Invalid regex: ${e.message}`); }
+      matchRegex = regexMatcher(re);
+    } else {
+      const needle = text.toLowerCase();
+      checks.push(e => e.message.toLowerCase().includes(needle));
+    }
+  }
+  return (events) => {
+    const kept = events.filter(e => checks.every(c => c(e)));
+    if (!matchRegex || !kept.length) return kept;
+    const matched = matchRegex(kept.map(e => e.message));
+    return kept.filter((e, i) => matched[i]);
+  };
+}
+
+const encodeCursor = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+function decodeCursor(s) {
+  if (!s) return null;
+  try { return JSON.parse(Buffer.from(String(s), 'base64url').toString('utf8')); }
+  catch { throw badRequest('Invalid cursor'); }
+}
+
+const publicEvent = ({ cursor, ...e }) => e;
+
+// Throws the same 400s queryLogs would — lets a streaming response check
+// its input before the headers go out
+function validateLogQuery(opts = {}) {
+  parseTime(opts.since);
+  parseTime(opts.until);
+  buildFilter(opts);
+  decodeCursor(opts.cursor);
+}
+
+// ── HISTORY: journald ─────────────────────────────────────────────────
+// Streams journalctl and stops it as soon as `limit` matches are in hand,
+// so paging through a large journal doesn't read all of it each time.
+
+function scanJournal({ unit, since, until, after, filter, limit, onEvent }) {
+  const args = ['-u', unit, '-o', 'json', '--no-pager'];
+  if (since != null) args.push(`--since=@${Math.floor(since / 1000)}`);
+  if (until != null) args.push(`--until=@${Math.ceil(until / 1000)}`);
+  if (after)         args.push(`--after-cursor=${after}`);
+
+  return new Promise((resolve, reject) => {
+    const proc  = spawn('journalctl', args);
+    let partial = '';
+    let count   = 0;
+    let done    = false;
+    let stderr  = '';
+
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { proc.kill(); } catch {}
+      err ? reject(err) : resolve(count);
+    };
+    const timer = setTimeout(() => finish(), QUERY_TIMEOUT); // partial result beats none
+
+    proc.stdout.on('data', (d) => {
+      if (done) return;
+      const lines = (partial + d.toString()).split('\n');
+      partial = lines.pop();
+      const events = [];
+      for (const line of lines) {
+        if (!line) continue;
+        try { events.push(parseJournalEntry(JSON.parse(line))); } catch {}
+      }
+      let matched;
+      try { matched = filter(events); } catch (err) { return finish(err); }
+      for (const event of matched) {
+        onEvent(event);
+        if (++count >= limit) return finish();
+      }
+    });
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', finish);
+    proc.on('close', (code) => {
+      if (code !== 0 && !count && stderr.trim()) return finish(new Error(stderr.trim().split('\n')[0]));
+      finish();
+    });
+  });
+}
+
+// ── HISTORY: pm2 files ────────────────────────────────────────────────
+
+async function pm2LogPaths(name, run = runProcess) {
+  const { code, stdout } = await run('pm2', ['jlist']);
+  if (code !== 0) throw new Error('pm2 jlist failed');
+  const proc = JSON.parse(stdout.slice(stdout.indexOf('['))).find(p => p.name === name);
+  if (!proc) throw Object.assign(new Error(`pm2 has no process named ${name}`), { status: 404 });
+  const env = proc.pm2_env || {};
+  return { stdout: env.pm_out_log_path, stderr: env.pm_err_log_path };
+}
+
+async function readLogFile(file, source) {
+  if (!file) return [];
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch {
+    return [];
+  }
+  try {
+    const { size } = await handle.stat();
+    const start    = Math.max(0, size - MAX_FILE_READ);
+    const buf      = Buffer.alloc(size - start);
+    await handle.read(buf, 0, buf.length, start);
+    const lines = buf.toString('utf8').split('\n');
+    if (start > 0) lines.shift(); // first line is probably cut in half
+    let last = null;
+    return lines.filter(Boolean).map(line => {
+      const e = parseFileLine(line, source, last);
+      last = e.t;
+      return e;
+    });
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readPm2Events(paths) {
+  const [out, err] = await Promise.all([readLogFile(paths.stdout, 'stdout'), readLogFile(paths.stderr, 'stderr')]);
+  // Stable sort keeps file order for undated lines
+  return out.concat(err).sort((a, b) => (a.t ?? -Infinity) - (b.t ?? -Infinity));
+}
+
+const inRange = (e, since, until) =>
+  e.t == null || ((since == null || e.t >= since) && (until == null || e.t <= until));
+
+// Every matching event of the log files, oldest first
+async function pm2Events(bot, { since, until, filter }) {
+  const events = await readPm2Events(await pm2LogPaths(bot.unit));
+  return filter(events.filter(e => inRange(e, since, until)));
+}
+
+// ── QUERY ─────────────────────────────────────────────────────────────
+// bot: registry entry. opts: { since, until, q, regex, level, limit, cursor }
+// → { events, nextCursor }   (oldest first; nextCursor null on the last page)
+
+const parseQuery = (opts) => ({
+  since:  parseTime(opts.since),
+  until:  parseTime(opts.until),
+  filter: buildFilter(opts),
+});
+
+// One page of journal events after the journal cursor `after`
+async function journalPage(bot, { since, until, filter }, after, limit) {
+  // One extra match tells us whether there's another page
+  const events = [];
+  await scanJournal({
+    unit: bot.unit, since, until, filter, after,
+    limit:   limit + 1,
+    onEvent: (e) => events.push(e),
+  });
+  const more = events.length > limit;
+  if (more) events.pop();
+  return { events, next: more ? events[events.length - 1].cursor : null };
+}
+
+async function queryLogs(bot, opts = {}) {
+  const query  = parseQuery(opts);
+  const limit  = Math.min(Math.max(parseInt(opts.limit, 10) || 200, 1), MAX_LIMIT);
+  const cursor = decodeCursor(opts.cursor);
+
+  if (bot.manager === 'pm2') {
+    const offset = cursor && Number.isInteger(cursor.i) ? cursor.i : 0;
+    const all    = await pm2Events(bot, query);
+    const events = all.slice(offset, offset + limit);
+    const next   = offset + events.length < all.length ? encodeCursor({ i: offset + events.length }) : null;
+    return { events, nextCursor: next };
+  }
+
+  const page = await journalPage(bot, query, cursor && cursor.c, limit);
+  return {
+    events:     page.events.map(publicEvent),
+    nextCursor: page.next ? encodeCursor({ c: page.next }) : null,
+  };
+}
+
+// Hands each matching event to `write`; returns the count. pm2 log files
+// are read once; the journal is paged through. One filter (and regex
+// budget) for the whole export.
+async function exportLogs(bot, opts, write) {
+  const query = parseQuery(opts);
+  let total = 0;
+  // false once MAX_EXPORT is reached
+  const writeAll = async (events) => {
+    for (const e of events) {
+      if (total >= MAX_EXPORT) return false;
+      total++;
+      await write(publicEvent(e));
+    }
+    return true;
+  };
+
+  if (bot.manager === 'pm2') {
+    await writeAll(await pm2Events(bot, query));
+    return total;
+  }
+  let after = null;
+  do {
+    const page = await journalPage(bot, query, after, 5000);
+    if (!await writeAll(page.events)) break;
+    after = page.next;
+  } while (after);
+  return total;
+}
+
+// ── LIVE HUB ──────────────────────────────────────────────────────────
+
+// resume: the stream already has events — pick up after them (journal
+// cursor) or from "now" (pm2) instead of replaying the last lines again
+function spawnFollower(bot, { cursor, resume }, initialLines) {
+  if (bot.manager === 'pm2') {
+    return { proc: spawn('pm2', ['logs', bot.unit, '--raw', '--nocolor', '--lines', String(resume ? 0 : initialLines)]), json: false };
+  }
+  const args = ['-u', bot.unit, '-f', '-o', 'json', '--no-pager'];
+  args.push(...(cursor ? [`--after-cursor=${cursor}`] : ['-n', String(resume ? 0 : initialLines)]));
+  return { proc: spawn('journalctl', args), json: true };
+}
+
+// resolveBot(name) → registry entry (or null once the bot is removed)
+function createLogHub({ resolveBot, bufferSize = 1000, initialLines = 80, idleMs = 30000, restartMs = 5000, follow = spawnFollower } = {}) {
+  const streams = new Map();
+
+  function streamFor(name) {
+    if (!streams.has(name)) {
+      streams.set(name, { name, seq: 0, buffer: [], subs: new Set(), proc: null, cursor: null, idleTimer: null, restartTimer: null });
+    }
+    return streams.get(name);
+  }
+
+  function emit(s, event) {
+    if (event.cursor) s.cursor = event.cursor;
+    const e = { id: ++s.seq, ...publicEvent(event) };
+    s.buffer.push(e);
+    if (s.buffer.length > bufferSize) s.buffer.shift();
+    for (const sub of s.subs) sub(e);
+  }
+
+  function start(s) {
+    const bot = resolveBot(s.name);
+    if (!bot || s.proc) return;
+    const { proc, json } = follow(bot, { cursor: s.cursor, resume: s.seq > 0 }, initialLines);
+    s.proc = proc;
+
+    // One partial-line buffer per stream, so interleaved stdout / stderr
+    // chunks aren't spliced into each other
+    const onData = (source) => {
+      let partial = '';
+      return (d) => {
+        const lines = (partial + d.toString()).split('\n');
+        partial = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          if (json) {
+            try { emit(s, parseJournalEntry(JSON.parse(line))); } catch {}
+          } else {
+            emit(s, { t: Date.now(), level: detectLevel(line, source === 'stderr' ? 'warn' : 'info'), message: line, source });
+          }
+        }
+      };
+    };
+    proc.stdout.on('data', onData('stdout'));
+    proc.stderr.on('data', onData('stderr'));
+    proc.on('error', (e) => console.error(`Log follower for ${s.name} failed:`, e.message));
+    proc.on('close', () => {
+      if (s.proc !== proc) return;
+      s.proc = null;
+      // Died under live subscribers (journald restart, pm2 reload) — try again
+      if (s.subs.size) s.restartTimer = setTimeout(() => { s.restartTimer = null; if (s.subs.size) start(s); }, restartMs);
+    });
+  }
+
+  function stop(s) {
+    clearTimeout(s.restartTimer);
+    if (s.proc) {
+      const proc = s.proc;
+      s.proc = null;
+      try { proc.kill(); } catch {}
+    }
+  }
+
+  // onEvent gets { id, t, level, message, source }. lastEventId replays
+  // buffered events after that id; replay: false skips the backlog entirely.
+  function subscribe(name, onEvent, { lastEventId = null, replay = true } = {}) {
+    const s = streamFor(name);
+    clearTimeout(s.idleTimer);
+
+    if (replay) {
+      const backlog = lastEventId != null
+        ? s.buffer.filter(e => e.id > lastEventId)
+        : s.buffer.slice(-initialLines);
+      backlog.forEach(onEvent);
+    }
+    s.subs.add(onEvent);
+    start(s);
+
+    return () => {
+      s.subs.delete(onEvent);
+      if (!s.subs.size) {
+        clearTimeout(s.idleTimer);
+        s.idleTimer = setTimeout(() => { if (!s.subs.size) stop(s); }, idleMs);
+      }
+    };
+  }
+
+  function stats() {
+    return [...streams.values()].map(s => ({ bot: s.name, subscribers: s.subs.size, running: !!s.proc, lastId: s.seq }));
+  }
+
+  return { subscribe, stats };
+}
+
+module.exports = {
+  LEVELS,
+  detectLevel,
+  parseTime,
+  buildFilter,
+  validateLogQuery,
+  parseFileLine,
+  queryLogs,
+  exportLogs,
+  createLogHub,
+};
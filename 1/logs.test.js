@@ -0,0 +1,26 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilter } = require('./logs');
+
+const events = (...messages) => messages.map(message => ({ t: null, level: 'info', message, source: 'stdout' }));
+
+test('regex search matches like RegExp', () => {
+  const filter = buildFilter({ q: 'user \\d+ (joined|left)', regex: true });
+  const found  = filter(events('user 12 joined', 'User 7 LEFT', 'user x joined'));
+  assert.deepEqual(found.map(e => e.message), ['user 12 joined', 'User 7 LEFT']);
+});
+
+test('a regex that backtracks forever is stopped with a 400', () => {
+  const filter  = buildFilter({ q: '(a+)+$', regex: true });
+  const started = Date.now();
+  assert.throws(() => filter(events('a'.repeat(40) + '!')), { status: 400 });
+  assert.ok(Date.now() - started < 10000);
+});
+
+test('level and plain text still filter', () => {
+  const filter = buildFilter({ q: 'disk', level: 'warn' });
+  const found  = filter([...events('disk ok'), { t: null, level: 'error', message: 'Disk full', source: 'stderr' }]);
+  assert.deepEqual(found.map(e => e.message), ['Disk full']);
+});
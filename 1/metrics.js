@@ -0,0 +1,248 @@
+// ═══════════════════════════════════════════════════════════════════════
+// METRICS
+// Background sampler for host and per-bot resource usage, read straight
+// from /proc (no top/free/df). Samples go into a fixed-size ring buffer
+// that is flushed to disk, so charts survive a backend restart.
+//
+//   const metrics = createMetricsSampler({ file, getBots });
+//   metrics.start();
+//   metrics.latest()                     → newest sample
+//   metrics.history({ bot, range })      → downsampled series
+//
+// Sample: { t, cpu, memUsed, memTotal, diskUsed, diskTotal, rx, tx,
+//           bots: { name: { cpu, rss } } }
+//   cpu in %, memory and rss in MB, disk in GB, rx/tx in KB/s
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs   = require('fs');
+const path = require('path');
+
+const CLK_TCK = 100; // jiffies per second; 100 on every mainstream Linux build
+
+const RANGES = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+};
+const POINTS_PER_SERIES = 120;
+
+const round = (n, d = 1) => Math.round(n * 10 ** d) / 10 ** d;
+
+// ── /proc READERS ─────────────────────────────────────────────────────
+// Each returns raw counters; rates are worked out between two samples.
+
+async function readCpuTimes(proc) {
+  const line   = (await fs.promises.readFile(path.join(proc, 'stat'), 'utf8')).split('\n')[0];
+  const fields = line.trim().split(/\s+/).slice(1).map(Number);
+  const idle   = fields[3] + (fields[4] || 0); // idle + iowait
+  return { idle, total: fields.reduce((a, b) => a + b, 0) };
+}
+
+async function readMemory(proc) {
+  const info = {};
+  for (const line of (await fs.promises.readFile(path.join(proc, 'meminfo'), 'utf8')).split('\n')) {
+    const m = line.match(/^(\w+):\s+(\d+)/);
+    if (m) info[m[1]] = parseInt(m[2], 10);
+  }
+  const total = info.MemTotal || 0;
+  const avail = info.MemAvailable ?? (info.MemFree || 0) + (info.Buffers || 0) + (info.Cached || 0);
+  return { memUsed: Math.round((total - avail) / 1024), memTotal: Math.round(total / 1024) };
+}
+
+async function readNetBytes(proc) {
+  let rx = 0, tx = 0;
+  for (const line of (await fs.promises.readFile(path.join(proc, 'net/dev'), 'utf8')).split('\n').slice(2)) {
+    const [iface, rest] = line.split(':');
+    if (!rest || iface.trim() === 'lo') continue;
+    const cols = rest.trim().split(/\s+/).map(Number);
+    rx += cols[0];
+    tx += cols[8];
+  }
+  return { rx, tx };
+}
+
+async function readDisk(mount) {
+  const s     = await fs.promises.statfs(mount);
+  const gb    = (blocks) => round(blocks * s.bsize / 1024 ** 3);
+  return { diskUsed: gb(s.blocks - s.bfree), diskTotal: gb(s.blocks - s.bfree + s.bavail) };
+}
+
+// utime + stime in jiffies, and resident set size in MB
+async function readProcess(proc, pid) {
+  const stat = await fs.promises.readFile(path.join(proc, String(pid), 'stat'), 'utf8');
+  // comm (field 2) may contain spaces — split after the closing paren
+  const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  const ticks  = Number(fields[11]) + Number(fields[12]);
+
+  const status = await fs.promises.readFile(path.join(proc, String(pid), 'status'), 'utf8');
+  const m      = status.match(/^VmRSS:\s+(\d+)/m);
+  return { ticks, rss: m ? round(parseInt(m[1], 10) / 1024) : 0 };
+}
+
+// ── RING BUFFER ───────────────────────────────────────────────────────
+
+function createRing(capacity, initial = []) {
+  const buf = initial.slice(-capacity);
+  let   head = buf.length % capacity; // next write position once full
+
+  return {
+    push(item) {
+      if (buf.length < capacity) buf.push(item);
+      else buf[head] = item;
+      head = (head + 1) % capacity;
+    },
+    // Oldest first
+    toArray() {
+      return buf.length < capacity ? buf.slice() : buf.slice(head).concat(buf.slice(0, head));
+    },
+    last() {
+      if (!buf.length) return null;
+      return buf[(head - 1 + buf.length) % buf.length];
+    },
+  };
+}
+
+// ── SAMPLER ───────────────────────────────────────────────────────────
+// getBots: async () → [{ name, pid }] — bots without a running PID are skipped
+
+function createMetricsSampler({
+  file       = './metrics_history.json',
+  getBots    = async () => [],
+  intervalMs = 30000,
+  retainMs   = RANGES['1w'],
+  flushMs    = 5 * 60 * 1000,
+  procRoot   = '/proc',
+  diskMount  = '/',
+  now        = Date.now,
+} = {}) {
+  const capacity = Math.ceil(retainMs / intervalMs);
+
+  let restored = [];
+  try {
+    restored = JSON.parse(fs.readFileSync(file, 'utf8')).filter(s => s.t >= now() - retainMs);
+  } catch {}
+  const ring = createRing(capacity, restored);
+
+  let prev     = null; // raw counters from the previous tick
+  let timers   = [];
+  let dirty    = false;
+  let saving   = Promise.resolve();
+
+  async function sample() {
+    const t = now();
+    const [cpuTimes, mem, net, disk, bots] = await Promise.all([
+      readCpuTimes(procRoot),
+      readMemory(procRoot),
+      readNetBytes(procRoot),
+      readDisk(diskMount),
+      getBots().catch(() => []),
+    ]);
+
+    const procs = {};
+    await Promise.all(bots.filter(b => b.pid).map(async (b) => {
+      try {
+        procs[b.name] = { pid: b.pid, ...(await readProcess(procRoot, b.pid)) };
+      } catch {} // process exited between the status query and the read
+    }));
+
+    const current = { t, cpuTimes, net, procs };
+    if (!prev) {
+      prev = current;
+      return null; // rates need two readings
+    }
+
+    const secs     = (t - prev.t) / 1000;
+    const dTotal   = cpuTimes.total - prev.cpuTimes.total;
+    const dIdle    = cpuTimes.idle - prev.cpuTimes.idle;
+    const botStats = {};
+    for (const [name, p] of Object.entries(procs)) {
+      const before = prev.procs[name];
+      const cpu    = before && before.pid === p.pid && secs > 0
+        ? round(Math.max(0, (p.ticks - before.ticks) / CLK_TCK / secs * 100))
+        : 0;
+      botStats[name] = { cpu, rss: p.rss };
+    }
+
+    const entry = {
+      t,
+      cpu:  dTotal > 0 ? round((1 - dIdle / dTotal) * 100) : 0,
+      ...mem,
+      ...disk,
+      rx:   secs > 0 ? round(Math.max(0, net.rx - prev.net.rx) / 1024 / secs) : 0,
+      tx:   secs > 0 ? round(Math.max(0, net.tx - prev.net.tx) / 1024 / secs) : 0,
+      bots: botStats,
+    };
+    prev = current;
+    ring.push(entry);
+    dirty = true;
+    return entry;
+  }
+
+  function flush() {
+    if (!dirty) return saving;
+    dirty = false;
+    const tmp  = `${file}.tmp`;
+    const data = JSON.stringify(ring.toArray());
+    saving = saving
+      .then(() => fs.promises.writeFile(tmp, data))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch(e => console.error('Metrics history write failed:', e.message));
+    return saving;
+  }
+
+  function tick() {
+    sample().catch(e => console.error('Metrics sample failed:', e.message));
+  }
+
+  function start() {
+    if (timers.length) return;
+    tick();
+    timers = [setInterval(tick, intervalMs), setInterval(flush, flushMs)];
+    timers.forEach(t => t.unref());
+  }
+
+  function stop() {
+    timers.forEach(clearInterval);
+    timers = [];
+    return flush();
+  }
+
+  // Averages samples into POINTS_PER_SERIES buckets across the range.
+  // With `bot`, points are { t, cpu, rss } for that bot (null while it was
+  // down); otherwise the host fields.
+  function history({ bot, range = '1h' } = {}) {
+    const windowMs = RANGES[range];
+    if (!windowMs) {
+      throw Object.assign(new Error(`Unknown range: ${range}. Use ${Object.keys(RANGES).join(', ')}`), { status: 400 });
+    }
+    const bucketMs = Math.max(intervalMs, Math.ceil(windowMs / POINTS_PER_SERIES));
+    const from     = now() - windowMs;
+    const fields   = bot ? ['cpu', 'rss'] : ['cpu', 'memUsed', 'memTotal', 'diskUsed', 'diskTotal', 'rx', 'tx'];
+
+    const buckets = new Map();
+    for (const s of ring.toArray()) {
+      if (s.t < from) continue;
+      const values = bot ? s.bots[bot] : s;
+      const key    = Math.floor((s.t - from) / bucketMs);
+      if (!buckets.has(key)) buckets.set(key, { n: 0, sums: {} });
+      if (!values) continue;
+      const b = buckets.get(key);
+      b.n++;
+      for (const f of fields) b.sums[f] = (b.sums[f] || 0) + (values[f] || 0);
+    }
+
+    const points = [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([key, { n, sums }]) => {
+        const point = { t: from + key * bucketMs };
+        for (const f of fields) point[f] = n ? round(sums[f] / n) : null;
+        return point;
+      });
+
+    return { range, bot: bot || null, bucketMs, points };
+  }
+
+  return { start, stop, sample, flush, history, latest: () => ring.last() };
+}
+
+module.exports = { RANGES, createRing, createMetricsSampler };
@@ -0,0 +1,230 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ORDER THREADS
+// Each accepted order gets a private thread in the inquiry channel, and
+// the thread is a two-way line to the client:
+//
+//   owner posts in the thread   → the bot DMs it to the client
+//   client DMs the bot          → the bot posts it in the order's thread
+//
+// Attachments go along (re-uploaded up to MAX_FILE_MB, linked above that).
+// Every message is stored on the order (store.messages), delivered or not.
+// Thread messages starting with "//" stay in the thread, as do commands.
+//
+//   const threads = createOrderThreads({ client, store, ownerId, prefix, inquiryChannel });
+//   client.on('messageCreate', threads.onMessage);
+//   await threads.open(order)          → the thread (created on first call)
+//   formatConversation(store.messages.list(uuid, { limit: 5 }))
+//
+// A client DM goes to the order whose relayed message it replies to, or
+// else to their order with the most recent conversation. Nothing is
+// relayed either way until the client is verified (canDm).
+// ═══════════════════════════════════════════════════════════════════════
+
+const { canDm } = require('./verification');
+
+const PRIVATE_THREAD   = 12;     // ChannelType.PrivateThread
+const ARCHIVE_MINUTES  = 10080;  // hidden after a week without messages; a new one reopens it
+const MAX_FILE_MB      = 10;
+const INTERNAL_PREFIX  = '//';
+
+const OWNER_COLOR  = 0x00e5c4;
+const CLIENT_COLOR = 0x7b6ff0;
+
+const short = (order) => order.uuid.slice(0, 8);
+
+// What's kept of a Discord attachment. The URL is Discord's and stops
+// working after a while; the file itself is in the relayed copy.
+const attachmentsOf = (msg) => [...msg.attachments.values()].map(a => ({
+  name:        a.name,
+  url:         a.url,
+  contentType: a.contentType || null,
+  size:        a.size,
+}));
+
+// Files small enough to re-upload, links for the rest
+function relayFiles(attachments) {
+  const fits = (a) => a.size <= MAX_FILE_MB * 1024 * 1024;
+  return {
+    files: attachments.filter(fits).map(a => ({ attachment: a.url, name: a.name })),
+    links: attachments.filter(a => !fits(a)).map(a => `📎 [${a.name}](${a.url})`),
+  };
+}
+
+function relayPayload(msg, { color, author, footer }) {
+  const { files, links } = relayFiles(attachmentsOf(msg));
+  const text = [msg.content, ...links].filter(Boolean).join('\n') || '📎 Attachment';
+  return {
+    embeds: [{
+      color,
+      author,
+      description: text.slice(0, 4096),
+      footer:      { text: footer },
+      timestamp:   new Date(msg.createdTimestamp).toISOString(),
+    }],
+    files,
+    allowedMentions: { parse: [] },
+  };
+}
+
+// "📤 <t:…:R> **owner:** text" lines, newest last, for embeds
+function formatConversation(messages, { maxChars = 1024 } = {}) {
+  const lines = messages.map(m => {
+    const text  = m.content.replace(/\s+/g, ' ').slice(0, 120) + (m.content.length > 120 ? '…' : '');
+    const files = m.attachments.length ? ` 📎${m.attachments.length}` : '';
+    return `${m.direction === 'out' ? '📤' : '📥'} <t:${Math.floor(Date.parse(m.at) / 1000)}:R> ` +
+      `**${m.author || (m.direction === 'out' ? 'You' : 'Client')}:** ${text}${files}${m.delivered ? '' : ' ⚠️ not delivered'}`;
+  });
+  // Drop the oldest lines until it fits
+  while (lines.length > 1 && lines.join('\n').length > maxChars) lines.shift();
+  return lines.join('\n').slice(0, maxChars);
+}
+
+// inquiryChannel() → the channel to use when the order's inquiry message
+// isn't around any more (its channel is preferred)
+function createOrderThreads({ client, store, ownerId, prefix = '!', inquiryChannel, businessName = 'Echo Services' }) {
+  const opening = new Map(); // uuid → promise, so two clicks make one thread
+
+  async function fetchThread(order) {
+    if (!order.threadId) return null;
+    try {
+      return await client.channels.fetch(order.threadId);
+    } catch {
+      return null; // deleted
+    }
+  }
+
+  async function createThread(order) {
+    const parent = (order.messageChannelId && await client.channels.fetch(order.messageChannelId).catch(() => null))
+      || await inquiryChannel();
+    const thread = await parent.threads.create({
+      name:                `💬 ${short(order)} · ${order.discordUsername}`.slice(0, 100),
+      type:                PRIVATE_THREAD,
+      invitable:           false,
+      autoArchiveDuration: ARCHIVE_MINUTES,
+      reason:              `Order ${order.uuid}`,
+    });
+    await thread.members.add(ownerId);
+    store.orders.update(order.uuid, { threadId: thread.id });
+
+    await thread.send({
+      content: `🧵 **Conversation with ${order.discordUsername}** — order \`${short(order)}\`\n` +
+        `What you post here is DMed to <@${order.clientDiscordId}>, attachments included, and their DM replies show up here. ` +
+        `Start a message with \`${INTERNAL_PREFIX}\` to keep it in the thread.` +
+        (canDm(order) ? '' : '\n⚠️ They haven\'t confirmed their Discord ID yet — nothing is sent until they run `/verify`.'),
+      allowedMentions: { parse: [] },
+    });
+    if (canDm(order)) {
+      try {
+        const user = await client.users.fetch(order.clientDiscordId);
+        await user.send(`💬 You can message me about order \`${short(order)}\` right here — just reply in this DM. Files and screenshots work too.`);
+      } catch {
+        console.warn(`Could not DM ${order.clientDiscordId} — DMs may be closed.`);
+      }
+    }
+    return thread;
+  }
+
+  // The order's thread, created if it has none (or it was deleted)
+  async function open(order) {
+    const existing = await fetchThread(order);
+    if (existing) return existing;
+    if (!opening.has(order.uuid)) {
+      opening.set(order.uuid, createThread(order).finally(() => opening.delete(order.uuid)));
+    }
+    return opening.get(order.uuid);
+  }
+
+  // ── OWNER → CLIENT ──────────────────────────────────────────────────
+
+  async function fromOwner(msg, order) {
+    const record = {
+      direction:       'out',
+      author:          msg.author.username,
+      content:         msg.content,
+      attachments:     attachmentsOf(msg),
+      sourceMessageId: msg.id,
+    };
+    if (!canDm(order)) {
+      store.messages.add(order.uuid, record);
+      return msg.reply('⚠️ Not sent — the client hasn\'t confirmed their Discord ID yet (`/verify`). Kept on the order.');
+    }
+    let sent;
+    try {
+      const user = await client.users.fetch(order.clientDiscordId);
+      sent = await user.send(relayPayload(msg, {
+        color:  OWNER_COLOR,
+        author: { name: businessName },
+        footer: `Order ${short(order)} · reply here to answer`,
+      }));
+    } catch (err) {
+      console.warn(`Relay to ${order.clientDiscordId} failed:`, err.message);
+      store.messages.add(order.uuid, record);
+      return msg.reply('❌ Couldn\'t DM the client — their DMs may be closed. Kept on the order.');
+    }
+    store.messages.add(order.uuid, { ...record, relayMessageId: sent.id });
+    await msg.react('✅');
+  }
+
+  // ── CLIENT → OWNER ──────────────────────────────────────────────────
+
+  function orderFor(msg) {
+    const replyTo = msg.reference?.messageId && store.messages.findByRelay(msg.reference.messageId);
+    const order   = replyTo && store.orders.get(replyTo.orderUuid);
+    if (order?.clientDiscordId === msg.author.id && order.threadId) return order;
+    return store.orders.withThreads(msg.author.id)[0] || null;
+  }
+
+  async function fromClient(msg) {
+    const order = orderFor(msg);
+    if (!order || !canDm(order)) {
+      // Only answer people who have orders; anything else is ignored
+      if (store.orders.list({ clientDiscordId: msg.author.id, limit: 1 }).length) {
+        await msg.reply(order
+          ? '⚠️ Confirm your order with `/verify` first, then I can pass your messages on.'
+          : 'ℹ️ There\'s no conversation open for your orders yet — I\'ll message you here once one is accepted. `/myorders` shows where they\'re at.');
+      }
+      return;
+    }
+    const record = {
+      direction:       'in',
+      author:          msg.author.username,
+      content:         msg.content,
+      attachments:     attachmentsOf(msg),
+      sourceMessageId: msg.id,
+    };
+    let sent;
+    try {
+      const thread = await open(order); // recreated if it was deleted
+      sent = await thread.send(relayPayload(msg, {
+        color:  CLIENT_COLOR,
+        author: { name: msg.author.username, icon_url: msg.author.displayAvatarURL() },
+        footer: `Client · order ${short(order)}`,
+      }));
+    } catch (err) {
+      console.warn(`Relay to thread for ${short(order)} failed:`, err.message);
+      store.messages.add(order.uuid, record);
+      return msg.reply('⚠️ Your message is saved on your order, but couldn\'t be passed on right now. If it\'s urgent, send it again later.');
+    }
+    store.messages.add(order.uuid, { ...record, relayMessageId: sent.id });
+    await msg.react('📨');
+  }
+
+  // ── ROUTING ─────────────────────────────────────────────────────────
+
+  async function handle(msg) {
+    if (msg.author.bot || msg.content.startsWith(prefix)) return;
+    if (msg.channel.isThread()) {
+      const order = store.orders.findByThread(msg.channel.id);
+      if (!order || msg.author.id !== ownerId || msg.content.startsWith(INTERNAL_PREFIX)) return;
+      return fromOwner(msg, order);
+    }
+    if (msg.channel.isDMBased()) return fromClient(msg);
+  }
+
+  // For client.on('messageCreate') — never throws
+  const onMessage = (msg) => { handle(msg).catch(err => console.error('Relay error:', err.message)); };
+
+  return { open, onMessage };
+}
+
+module.exports = { MAX_FILE_MB, formatConversation, createOrderThreads };
@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ORDER WORKFLOW
+// The order lifecycle as a state machine:
+//
+//   Pending → Accepted → In Progress → Delivered → Completed
+//   Pending → Declined
+//   Pending | Accepted | In Progress → Cancelled
+//   Delivered → In Progress            (back for revisions)
+//   Waitlisted → Pending | Accepted | Declined | Cancelled
+//                                      (came in while closed — availability.js)
+//
+// Every status change goes through transitionOrder(), which checks the
+// move is allowed and records it (who, when, why) in order_events — the
+// commands, the buttons and the HTTP routes all call it, so none of them
+// can put an order into a state the others don't understand.
+// ═══════════════════════════════════════════════════════════════════════
+
+const { summarize, formatMoney } = require('./invoicing');
+
+const ORDER_STATUSES = {
+  'Pending':     { emoji: '⏳', color: 0xf5a623 },
+  'Accepted':    { emoji: '✅', color: 0x00e5c4 },
+  'In Progress': { emoji: '🛠️', color: 0x1a6fff },
+  'Delivered':   { emoji: '📦', color: 0x7b6ff0 },
+  'Completed':   { emoji: '🏁', color: 0x3dffa0 },
+  'Declined':    { emoji: '❌', color: 0xff4444 },
+  'Cancelled':   { emoji: '🚫', color: 0x888888 },
+  'Waitlisted':  { emoji: '🕒', color: 0x9aa4b2 },
+};
+
+const TRANSITIONS = {
+  'Pending':     ['Accepted', 'Declined', 'Cancelled'],
+  'Accepted':    ['In Progress', 'Cancelled'],
+  'In Progress': ['Delivered', 'Cancelled'],
+  'Delivered':   ['Completed', 'In Progress'],
+  'Completed':   [],
+  'Declined':    [],
+  'Cancelled':   [],
+  'Waitlisted':  ['Pending', 'Accepted', 'Declined', 'Cancelled'],
+};
+
+// Typed forms that mean a status, e.g. "!setstatus abc123 wip"
+const ALIASES = {
+  pending:    'Pending',
+  accept:     'Accepted',
+  accepted:   'Accepted',
+  inprogress: 'In Progress',
+  progress:   'In Progress',
+  wip:        'In Progress',
+  started:    'In Progress',
+  deliver:    'Delivered',
+  delivered:  'Delivered',
+  complete:   'Completed',
+  completed:  'Completed',
+  done:       'Completed',
+  decline:    'Declined',
+  declined:   'Declined',
+  rejected:   'Declined',
+  cancel:     'Cancelled',
+  canceled:   'Cancelled',
+  cancelled:  'Cancelled',
+  waitlist:   'Waitlisted',
+  waitlisted: 'Waitlisted',
+};
+
+const fail = (status, msg) => { throw Object.assign(new Error(msg), { status }); };
+
+// "in progress", "In-Progress", "wip" → "In Progress"; null if unknown
+function normalizeStatus(input) {
+  const key = String(input || '').toLowerCase().replace(/[^a-z]/g, '');
+  return ALIASES[key] || null;
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isFinal = (status) => (TRANSITIONS[status] || []).length === 0;
+
+function statusLabel(status) {
+  const meta = ORDER_STATUSES[status];
+  return meta ? `${meta.emoji} ${status}` : status;
+}
+
+// Moves an order to `to` (any form normalizeStatus accepts).
+// by: { actor, reason } — actor is a Discord tag / dashboard user.
+// Throws 400 (unknown status), 404 (no order) or 409 (not allowed from here).
+function transitionOrder(store, uuid, to, { actor = null, reason = null } = {}) {
+  const target = normalizeStatus(to);
+  if (!target) fail(400, `Unknown status "${to}". Use one of: ${Object.keys(ORDER_STATUSES).join(', ')}`);
+
+  return store.transaction(() => {
+    const order = store.orders.get(uuid);
+    if (!order) fail(404, `No order ${uuid}`);
+    if (order.status === target) fail(409, `Order is already ${target}`);
+    if (!canTransition(order.status, target)) {
+      const next = TRANSITIONS[order.status] || [];
+      fail(409, `Can't go from ${order.status} to ${target}. ` +
+        (next.length ? `Next allowed: ${next.join(', ')}` : `${order.status} is final`));
+    }
+
+    const event = store.orders.setStatus(uuid, order.status, target, {
+      actor,
+      reason: reason ? String(reason).slice(0, 500) : null,
+    });
+    return { order: store.orders.get(uuid), event };
+  });
+}
+
+// Discord-ready timeline, oldest first
+function formatTimeline(events, max = 15) {
+  const shown = events.slice(-max);
+  const lines = shown.map(e => {
+    const when = `<t:${Math.floor(Date.parse(e.at) / 1000)}:f>`;
+    const what = e.from ? `${e.from} → **${e.to}**` : `**${e.to}**`;
+    const who  = e.actor ? ` · ${e.actor}` : '';
+    const why  = e.reason ? `\n  └ ${e.reason}` : '';
+    return `${when} ${what}${who}${why}`;
+  });
+  if (events.length > shown.length) lines.unshift(`… ${events.length - shown.length} earlier`);
+  return lines.join('\n') || 'No history';
+}
+
+// What the client may see of their own order: no notes, budget, actors or
+// reasons. Used by GET /order/:uuid/status, /myorders and the update DMs.
+// Amounts (formatted) only once the order has a quote.
+function clientView(order, events, payments = []) {
+  const money = summarize(order, payments);
+  return {
+    id:          order.uuid,
+    status:      order.status,
+    statusLabel: statusLabel(order.status),
+    final:       isFinal(order.status),
+    paid:        order.payment === '✅ Paid',
+    payment:     order.payment,
+    paidAt:      order.paidAt || null,
+    ...(money.quote != null ? {
+      quote:      formatMoney(money.quote, money.currency),
+      amountPaid: formatMoney(money.paid, money.currency),
+      balanceDue: formatMoney(Math.max(0, money.balance), money.currency),
+      invoice:    order.invoiceNumber || null,
+    } : {}),
+    serviceType: order.serviceType,
+    serverName:  order.serverName,
+    createdAt:   order.createdAt,
+    timeline:    events.map(e => ({ at: e.at, status: e.to })),
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  normalizeStatus,
+  canTransition,
+  isFinal,
+  statusLabel,
+  transitionOrder,
+  formatTimeline,
+  clientView,
+};
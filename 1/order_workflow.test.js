@@ -0,0 +1,78 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { TRANSITIONS, ORDER_STATUSES, canTransition, transitionOrder } = require('./order_workflow');
+
+// store.orders in memory. setStatus has the real one's WHERE on the old
+// status: it throws the 409 when the order moved on meanwhile.
+function fakeStore(status) {
+  const order  = { uuid: 'u1', status };
+  const events = [];
+  return {
+    order,
+    events,
+    transaction: (fn) => fn(),
+    orders: {
+      get: (uuid) => (uuid === order.uuid ? { ...order } : null),
+      setStatus(uuid, from, to, { actor, reason }) {
+        if (order.status !== from) throw Object.assign(new Error('Order changed meanwhile — try again'), { status: 409 });
+        order.status = to;
+        const event = { from, to, actor, reason };
+        events.push(event);
+        return event;
+      },
+    },
+  };
+}
+
+test('every status has its transitions, to known statuses', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), Object.keys(ORDER_STATUSES).sort());
+  for (const next of Object.values(TRANSITIONS)) {
+    for (const to of next) assert.ok(ORDER_STATUSES[to], to);
+  }
+});
+
+test('allowed moves are recorded with actor and reason', () => {
+  const store = fakeStore('Pending');
+  const { order, event } = transitionOrder(store, 'u1', 'accept', { actor: 'owner', reason: 'looks good' });
+  assert.equal(order.status, 'Accepted');
+  assert.deepEqual(event, { from: 'Pending', to: 'Accepted', actor: 'owner', reason: 'looks good' });
+
+  transitionOrder(store, 'u1', 'wip');
+  transitionOrder(store, 'u1', 'Delivered');
+  transitionOrder(store, 'u1', 'in-progress'); // back for revisions
+  assert.deepEqual(store.events.map(e => e.to), ['Accepted', 'In Progress', 'Delivered', 'In Progress']);
+});
+
+test('refused moves are 409s and change nothing', () => {
+  for (const [from, to] of [['Pending', 'Delivered'], ['Completed', 'Pending'], ['Declined', 'Accepted'], ['Accepted', 'Accepted']]) {
+    assert.equal(canTransition(from, to), false);
+    const store = fakeStore(from);
+    assert.throws(() => transitionOrder(store, 'u1', to), { status: 409 }, `${from} → ${to}`);
+    assert.equal(store.order.status, from);
+    assert.equal(store.events.length, 0);
+  }
+});
+
+test('unknown statuses and orders are 400 and 404', () => {
+  const store = fakeStore('Pending');
+  assert.throws(() => transitionOrder(store, 'u1', 'shipped'), { status: 400 });
+  assert.throws(() => transitionOrder(store, 'nope', 'accept'), { status: 404 });
+});
+
+test('a concurrent status change makes the slower one fail with 409', () => {
+  const store = fakeStore('Pending');
+  // Both read Pending; the other one's change lands first
+  const stale = store.orders.get;
+  store.orders.get = (uuid) => { const o = stale(uuid); store.order.status = 'Cancelled'; store.orders.get = stale; return o; };
+  assert.throws(() => transitionOrder(store, 'u1', 'accept'), { status: 409, message: /changed meanwhile/ });
+  assert.equal(store.order.status, 'Cancelled');
+  assert.equal(store.events.length, 0);
+});
+
+test('the reason is trimmed to 500 characters', () => {
+  const store = fakeStore('Pending');
+  const { event } = transitionOrder(store, 'u1', 'decline', { reason: 'x'.repeat(600) });
+  assert.equal(event.reason.length, 500);
+});
@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════
+// PORTFOLIO
+// The website's Featured Work section: entries with a category from
+// the form schema, an order on the page (pinned ones first), a draft /
+// published flag, screenshots and client testimonials.
+//
+//   validateWork({ invite, category }, { categories: formSchema.categories() })
+//   await saveScreenshot(store, workId, attachment)   // a command attachment
+//   addTestimonial(store, { orderUuid, quote, rating })
+//   publicWorkPage(store, { category, page: 2 })      → { items, total, … }
+//   await checkInvites(store, resolveInvite)          → { checked, expired, … }
+//
+// Screenshots are downloaded into the store rather than linked: Discord
+// attachment URLs stop working after a day or so. Testimonials can only
+// come from Completed orders, one each.
+// ═══════════════════════════════════════════════════════════════════════
+
+const MAX_SCREENSHOTS   = 6;      // per entry
+const MAX_SCREENSHOT_MB = 5;
+const IMAGE_TYPES       = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const PER_PAGE     = 12;
+const MAX_PER_PAGE = 50;
+
+const fail = (status, msg) => { throw Object.assign(new Error(msg), { status }); };
+
+// ── ENTRIES ───────────────────────────────────────────────────────────
+
+// Checks the fields being set; returns them unchanged. `categories` is
+// formSchema.categories() (null category = none).
+function validateWork(patch, { categories = {} } = {}) {
+  if (patch.invite != null && !/^https?:\/\//.test(patch.invite)) fail(400, 'Invite link must start with `https://`');
+  if (patch.category != null && !categories[patch.category]) {
+    fail(400, `Unknown category "${patch.category}" — use one of: ${Object.keys(categories).join(', ')}`);
+  }
+  for (const field of ['botName', 'description', 'serverName']) {
+    if (field in patch && !String(patch[field] || '').trim()) fail(400, `${field} can't be empty`);
+  }
+  return patch;
+}
+
+// ── SCREENSHOTS ───────────────────────────────────────────────────────
+
+// attachment: { url, name, contentType, size } as the command router
+// hands it over
+async function saveScreenshot(store, workId, attachment) {
+  if (!store.work.get(workId)) fail(404, `No featured work entry found with ID \`${workId}\``);
+  if (store.work.screenshots(workId).length >= MAX_SCREENSHOTS) {
+    fail(409, `That entry already has ${MAX_SCREENSHOTS} screenshots — remove one first`);
+  }
+  const contentType = String(attachment.contentType || '').split(';')[0];
+  if (!IMAGE_TYPES.includes(contentType)) fail(400, 'Screenshots must be PNG, JPEG, WebP or GIF images');
+  if (attachment.size > MAX_SCREENSHOT_MB * 1024 * 1024) fail(400, `Screenshots can be at most ${MAX_SCREENSHOT_MB} MB`);
+
+  const res = await fetch(attachment.url);
+  if (!res.ok) throw new Error(`screenshot download failed (${res.status})`);
+  const data = Buffer.from(await res.arrayBuffer());
+  if (data.length > MAX_SCREENSHOT_MB * 1024 * 1024) fail(400, `Screenshots can be at most ${MAX_SCREENSHOT_MB} MB`);
+
+  return store.work.addScreenshot(workId, { name: attachment.name, contentType, data });
+}
+
+// ── TESTIMONIALS ──────────────────────────────────────────────────────
+
+// The author defaults to the order's Discord username; workId links it to
+// an entry (optional — unlinked ones still show in GET /testimonials).
+// Testimonials on a draft entry stay hidden until it's published.
+function addTestimonial(store, { orderUuid, workId = null, author, quote, rating = null }) {
+  const order = store.orders.get(orderUuid);
+  if (!order) fail(404, 'Order not found');
+  if (order.status !== 'Completed') fail(409, `Testimonials can only be added to Completed orders (this one is ${order.status})`);
+  if (store.testimonials.forOrder(order.uuid)) fail(409, 'That order already has a testimonial — remove it first');
+  if (workId && !store.work.get(workId)) fail(404, `No featured work entry found with ID \`${workId}\``);
+  if (!String(quote || '').trim()) fail(400, "The quote can't be empty");
+  if (rating != null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) fail(400, 'Rating must be 1 to 5');
+
+  return store.testimonials.add({
+    orderUuid: order.uuid,
+    workId,
+    author:    String(author || order.discordUsername).slice(0, 100),
+    quote:     String(quote).trim().slice(0, 1000),
+    rating,
+  });
+}
+
+const publicTestimonial = (t) => ({ author: t.author, quote: t.quote, rating: t.rating, addedAt: t.addedAt });
+
+// For GET /testimonials: all of them, minus those on draft entries
+function publicTestimonials(store, { limit = 50 } = {}) {
+  return store.testimonials.list({ limit: Math.min(100, Math.max(1, Math.floor(Number(limit)) || 50)) })
+    .map(t => ({ ...t, work: t.workId ? store.work.get(t.workId) : null }))
+    .filter(t => !t.work || t.work.published)
+    .map(t => ({ ...publicTestimonial(t), botName: t.work?.botName || null }));
+}
+
+// ── PUBLIC VIEW ───────────────────────────────────────────────────────
+
+// One page of published entries for GET /work. Expired invites are left
+// out of `invite` (the entry stays). screenshotUrl(id) builds image links.
+function publicWorkPage(store, {
+  category,
+  pinned,
+  page          = 1,
+  perPage       = PER_PAGE,
+  categories    = {},
+  screenshotUrl = (id) => `/work/screenshots/${id}`,
+} = {}) {
+  if (category && !categories[category]) fail(400, `Unknown category "${category}"`);
+  page    = Math.max(1, Math.floor(Number(page)) || 1);
+  perPage = Math.min(MAX_PER_PAGE, Math.max(1, Math.floor(Number(perPage)) || PER_PAGE));
+
+  const filter = { published: true, category: category || undefined, pinned };
+  const total  = store.work.count(filter);
+  const items  = store.work.list({ ...filter, limit: perPage, offset: (page - 1) * perPage }).map(w => ({
+    id:            w.id,
+    botName:       w.botName,
+    description:   w.description,
+    serverName:    w.serverName,
+    invite:        w.inviteStatus === 'expired' ? null : w.invite,
+    category:      w.category,
+    categoryEmoji: w.category ? categories[w.category]?.emoji || null : null,
+    pinned:        w.pinned,
+    addedAt:       w.addedAt,
+    screenshots:   store.work.screenshots(w.id).map(s => screenshotUrl(s.id)),
+    testimonials:  store.testimonials.list({ workId: w.id }).map(publicTestimonial),
+  }));
+  return { items, page, perPage, total, pages: Math.ceil(total / perPage) };
+}
+
+// ── INVITE CHECK ──────────────────────────────────────────────────────
+
+// "https://discord.gg/abc", "discord.com/invite/abc" → "abc"; null for
+// links that aren't Discord invites (those aren't checked)
+function inviteCode(url) {
+  const m = String(url || '').match(/(?:discord\.gg|discord(?:app)?\.com\/invite)\/([\w-]+)/i);
+  return m ? m[1] : null;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// resolveInvite(code) → true (valid) / false (unknown or expired); a throw
+// means "couldn't tell" and leaves the entry as it was. Goes one entry at
+// a time, delayMs apart, to stay clear of rate limits.
+async function checkInvites(store, resolveInvite, { delayMs = 1500 } = {}) {
+  const result = { checked: 0, expired: [], recovered: [], errors: 0 };
+  const entries = store.work.list().filter(w => inviteCode(w.invite));
+  for (const [i, entry] of entries.entries()) {
+    if (i) await sleep(delayMs);
+    let valid;
+    try {
+      valid = await resolveInvite(inviteCode(entry.invite));
+    } catch (err) {
+      console.warn(`Invite check failed for ${entry.id}:`, err.message);
+      result.errors++;
+      continue;
+    }
+    const status = valid ? 'ok' : 'expired';
+    if (status === 'expired' && entry.inviteStatus !== 'expired') result.expired.push(entry);
+    if (status === 'ok' && entry.inviteStatus === 'expired') result.recovered.push(entry);
+    store.work.update(entry.id, { inviteStatus: status, inviteCheckedAt: new Date().toISOString() });
+    result.checked++;
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_SCREENSHOTS,
+  IMAGE_TYPES,
+  validateWork,
+  saveScreenshot,
+  addTestimonial,
+  publicWorkPage,
+  publicTestimonials,
+  inviteCode,
+  checkInvites,
+};
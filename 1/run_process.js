@@ -0,0 +1,44 @@
+// ═══════════════════════════════════════════════════════════════════════
+// PROCESS HELPER
+// Promise wrapper around child_process.spawn — argv arrays only, no shell.
+// ═══════════════════════════════════════════════════════════════════════
+
+const { spawn } = require('child_process');
+
+// Runs `cmd args...` and resolves with { code, stdout, stderr }.
+// Never rejects on a non-zero exit; only on spawn failure (e.g. ENOENT).
+function runProcess(cmd, args = [], opts = {}) {
+  const { cwd, env, timeout = 30000, maxBuffer = 1024 * 512 } = opts;
+
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+
+    const proc = spawn(cmd, args, { cwd, env: env || process.env });
+
+    const timer = timeout
+      ? setTimeout(() => { killed = true; proc.kill('SIGTERM'); }, timeout)
+      : null;
+
+    proc.stdout.on('data', d => { if (stdout.length < maxBuffer) stdout += d.toString(); });
+    proc.stderr.on('data', d => { if (stderr.length < maxBuffer) stderr += d.toString(); });
+
+    proc.on('error', err => {
+      if (timer) clearTimeout(timer);
+      reject(err);
+    });
+
+    proc.on('close', (code, signal) => {
+      if (timer) clearTimeout(timer);
+      resolve({
+        code:   code === null ? 1 : code,
+        signal: signal || null,
+        stdout,
+        stderr: killed ? `${stderr}\n[timed out after ${timeout}ms]`.trim() : stderr,
+      });
+    });
+  });
+}
+
+module.exports = { runProcess };
@@ -0,0 +1,186 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUNTIME PROFILES
+// What differs between a Python bot, a Node bot and "just run this
+// command": how the entry point and deps are validated, which install
+// steps run, what goes in ExecStart, which files survive a redeploy and how
+// long to wait before calling the service healthy.
+//
+// Every profile has the same shape:
+//   label, defaultEntry, preserved (names kept on redeploy)
+//   validateEntry(entry)         → entry      (throws 400)
+//   validateDeps(list)           → list       (throws 400)
+//   detectRequirements(codeRoot) → string | null
+//   installStages(spec, work, h) → [stage]    (h = stage helpers from deploy.js)
+//   entryFile(spec)              → file that must exist in the code, or null
+//   execStart(spec)              → ExecStart= value
+//   health: { settleMs }         — service must still be active after this
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs              = require('fs');
+const path            = require('path');
+const { PARAM_TYPES } = require('./tasks');
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+const exists     = (p) => fs.promises.access(p).then(() => true, () => false);
+
+const PY_ENTRY_RE   = /^([A-Za-z0-9_][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_][A-Za-z0-9_.-]*\.py$/;
+const NODE_ENTRY_RE = /^([A-Za-z0-9_][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_][A-Za-z0-9_.-]*\.(js|cjs|mjs)$/;
+
+// One ExecStart token: no quotes, spaces, $ or % (systemd specifiers)
+const CMD_TOKEN_RE  = /^[A-Za-z0-9_./:=@,+-]+$/;
+
+const uniq = (list) => [...new Set(list)];
+
+const python = {
+  label:        'Python',
+  defaultEntry: 'bot.py',
+  preserved:    ['.env', 'venv'],
+
+  validateEntry(entry) {
+    if (!PY_ENTRY_RE.test(entry)) throw badRequest('Entry point must be a relative .py path, e.g. bot.py or src/main.py');
+    return entry;
+  },
+
+  validateDeps(list) {
+    return uniq(['discord.py', 'python-dotenv', ...list.map(d => PARAM_TYPES.pipPackage(d))]);
+  },
+
+  async detectRequirements(codeRoot) {
+    if (await exists(path.join(codeRoot, 'requirements.txt'))) return 'requirements.txt';
+    if (await exists(path.join(codeRoot, 'pyproject.toml')))   return 'pyproject.toml';
+    return null;
+  },
+
+  installStages(spec, work, { mustExec }) {
+    const pip = path.join(spec.botDir, 'venv/bin/pip');
+    const venv = {
+      id: 'venv',
+      label: 'Creating virtual environment',
+      run: (ctx) => mustExec(ctx, 'python3', ['-m', 'venv', path.join(spec.botDir, 'venv')]),
+    };
+    const deps = {
+      id: 'deps',
+      label: `Installing ${spec.deps.join(' ')}`,
+      run: async (ctx) => {
+        await mustExec(ctx, pip, ['install', '--quiet', '--upgrade', 'pip'], { timeout: 300000 });
+        await mustExec(ctx, pip, ['install', '--quiet', ...spec.deps], { timeout: 600000 });
+        if (work.requirements === 'requirements.txt') {
+          await mustExec(ctx, pip, ['install', '--quiet', '-r', 'requirements.txt'], { cwd: spec.botDir, timeout: 600000 });
+        } else if (work.requirements === 'pyproject.toml') {
+          await mustExec(ctx, pip, ['install', '--quiet', '.'], { cwd: spec.botDir, timeout: 600000 });
+        }
+      },
+    };
+    // Redeploys reuse the existing venv
+    return spec.mode === 'redeploy' ? [deps] : [venv, deps];
+  },
+
+  entryFile: (spec) => spec.entry,
+  execStart: (spec) => `${spec.botDir}/venv/bin/python3 ${spec.entry}`,
+
+  health: { settleMs: 5000 },
+};
+
+const node = {
+  label:        'Node.js',
+  defaultEntry: 'index.js',
+  preserved:    ['.env', 'node_modules'],
+
+  validateEntry(entry) {
+    if (!NODE_ENTRY_RE.test(entry)) throw badRequest('Entry point must be a relative .js/.cjs/.mjs path, e.g. index.js');
+    return entry;
+  },
+
+  validateDeps(list) {
+    return uniq(list.map(d => PARAM_TYPES.npmPackage(d)));
+  },
+
+  async detectRequirements(codeRoot) {
+    if (await exists(path.join(codeRoot, 'package-lock.json'))) return 'package-lock.json';
+    if (await exists(path.join(codeRoot, 'package.json')))      return 'package.json';
+    return null;
+  },
+
+  installStages(spec, work, { mustExec }) {
+    return [{
+      id: 'deps',
+      label: work.requirements === 'package-lock.json' ? 'npm ci' : 'npm install',
+      run: async (ctx) => {
+        const base = ['--omit=dev', '--no-fund', '--no-audit'];
+        if (work.requirements === 'package-lock.json') {
+          await mustExec(ctx, 'npm', ['ci', ...base], { cwd: spec.botDir, timeout: 600000 });
+        } else if (work.requirements === 'package.json') {
+          await mustExec(ctx, 'npm', ['install', ...base], { cwd: spec.botDir, timeout: 600000 });
+        }
+        if (spec.deps.length) {
+          await mustExec(ctx, 'npm', ['install', ...base, ...spec.deps], { cwd: spec.botDir, timeout: 600000 });
+        }
+      },
+    }];
+  },
+
+  entryFile: (spec) => spec.entry,
+  // Same node binary the backend runs on — ExecStart needs an absolute path
+  execStart: (spec) => `${process.execPath} ${spec.entry}`,
+
+  health: { settleMs: 5000 },
+};
+
+// "custom": the entry point is the whole command line, e.g.
+//   ./start.sh --prod      /usr/bin/java -jar bot.jar
+// Relative programs resolve against the bot directory. No install steps.
+const custom = {
+  label:        'Custom command',
+  defaultEntry: null,
+  preserved:    ['.env'],
+
+  validateEntry(entry) {
+    const tokens = String(entry || '').trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) throw badRequest('Custom runtime needs a start command');
+    for (const t of tokens) {
+      if (!CMD_TOKEN_RE.test(t) || t.split('/').includes('..')) throw badRequest(`Unsafe token in start command: ${t}`);
+    }
+    return tokens.join(' ');
+  },
+
+  validateDeps(list) {
+    if (list.length) throw badRequest('Custom runtime does not install dependencies — do it in your start script');
+    return [];
+  },
+
+  detectRequirements: async () => null,
+
+  // Uploaded scripts arrive without the exec bit
+  installStages(spec) {
+    const prog = custom.entryFile(spec);
+    if (!prog) return [];
+    return [{
+      id: 'chmod',
+      label: `Making ${prog} executable`,
+      run: () => fs.promises.chmod(path.join(spec.botDir, prog), 0o755),
+    }];
+  },
+
+  entryFile(spec) {
+    const prog = spec.entry.split(' ')[0];
+    return path.isAbsolute(prog) ? null : prog;
+  },
+
+  execStart(spec) {
+    const [prog, ...args] = spec.entry.split(' ');
+    const abs = path.isAbsolute(prog) ? prog : path.join(spec.botDir, prog);
+    return [abs, ...args].join(' ');
+  },
+
+  health: { settleMs: 3000 },
+};
+
+const RUNTIMES = { python, node, custom };
+
+function getRuntime(name) {
+  const rt = RUNTIMES[name || 'python'];
+  if (!rt) throw badRequest(`Unknown runtime: ${name}. Use ${Object.keys(RUNTIMES).join(', ')}`);
+  return rt;
+}
+
+module.exports = { RUNTIMES, getRuntime };
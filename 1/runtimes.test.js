@@ -0,0 +1,17 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { RUNTIMES } = require('./runtimes');
+
+test('python validateDeps keeps the base packages and adds the extras', () => {
+  assert.deepEqual(RUNTIMES.python.validateDeps(['requests', 'aiohttp[speedups]>=3.9']),
+    ['discord.py', 'python-dotenv', 'requests', 'aiohttp[speedups]>=3.9']);
+  assert.throws(() => RUNTIMES.python.validateDeps(['git+https://x/y']), { status: 400 });
+});
+
+test('node validateDeps checks npm specs', () => {
+  assert.deepEqual(RUNTIMES.node.validateDeps(['discord.js@14', '@discordjs/voice', 'discord.js@14']),
+    ['discord.js@14', '@discordjs/voice']);
+  assert.throws(() => RUNTIMES.node.validateDeps(['../evil']), { status: 400 });
+});
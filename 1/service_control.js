@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════════
+// SERVICE CONTROL
+// Status + start/stop/restart for bots managed by systemd or PM2.
+//
+// Each process manager is an adapter with the same shape:
+//   status(unit)          → { state, uptime, pid, restarts }
+//   act(unit, action)     → { ok, output }
+// Adapters take a `run(cmd, args)` function, so tests can pass a fake
+// systemctl/pm2 instead of touching the real host.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs             = require('fs');
+const { runProcess } = require('./run_process');
+
+const SERVICE_ACTIONS = ['start', 'stop', 'restart'];
+
+// ── systemd ───────────────────────────────────────────────────────────
+// Uses `systemctl show` (machine-readable) rather than parsing `status`.
+// Uptime comes from the monotonic enter-timestamp vs /proc/uptime, which
+// avoids parsing timezone-suffixed wall-clock dates.
+
+function readHostUptime() {
+  try {
+    return parseFloat(fs.readFileSync('/proc/uptime', 'utf8').split(' ')[0]) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function systemdAdapter({ run = runProcess, sudo = true, hostUptime = readHostUptime } = {}) {
+  const ctl = (args) => sudo
+    ? run('sudo', ['-n', 'systemctl', ...args])
+    : run('systemctl', args);
+
+  return {
+    async status(unit) {
+      const { stdout } = await run('systemctl', [
+        'show', unit, '--no-pager',
+        '--property=ActiveState,SubState,MainPID,NRestarts,ActiveEnterTimestampMonotonic',
+      ]);
+
+      const props = {};
+      for (const line of stdout.split('\n')) {
+        const i = line.indexOf('=');
+        if (i > 0) props[line.slice(0, i)] = line.slice(i + 1).trim();
+      }
+
+      let state = 'inactive';
+      if (props.ActiveState === 'active' || props.ActiveState === 'reloading') state = 'active';
+      if (props.ActiveState === 'failed' || props.SubState === 'auto-restart') state = 'failed';
+
+      const pid       = parseInt(props.MainPID, 10) || null;
+      const enteredUs = parseInt(props.ActiveEnterTimestampMonotonic, 10) || 0;
+      const uptime    = state === 'active' && enteredUs
+        ? Math.max(0, Math.round(hostUptime() - enteredUs / 1e6))
+        : 0;
+
+      return { state, uptime, pid, restarts: parseInt(props.NRestarts, 10) || 0 };
+    },
+
+    async act(unit, action) {
+      const r = await ctl([action, unit]);
+      return { ok: r.code === 0, output: (r.stdout + r.stderr).trim() };
+    },
+  };
+}
+
+// ── PM2 ───────────────────────────────────────────────────────────────
+
+function pm2Adapter({ run = runProcess, now = Date.now } = {}) {
+  return {
+    async status(name) {
+      const { code, stdout } = await run('pm2', ['jlist']);
+      if (code !== 0) throw new Error('pm2 jlist failed');
+
+      // pm2 can print warnings before the JSON array
+      const list = JSON.parse(stdout.slice(stdout.indexOf('[')));
+      const proc = list.find(p => p.name === name);
+      if (!proc) return { state: 'inactive', uptime: 0, pid: null, restarts: 0 };
+
+      const env   = proc.pm2_env || {};
+      let state   = 'inactive';
+      if (env.status === 'online')  state = 'active';
+      if (env.status === 'errored') state = 'failed';
+
+      return {
+        state,
+        uptime:   state === 'active' && env.pm_uptime ? Math.round((now() - env.pm_uptime) / 1000) : 0,
+        pid:      proc.pid || null,
+        restarts: env.restart_time || 0,
+      };
+    },
+
+    async act(name, action) {
+      const r = await run('pm2', [action, name]);
+      return { ok: r.code === 0, output: (r.stdout + r.stderr).trim() };
+    },
+  };
+}
+
+// ── CONTROLLER ────────────────────────────────────────────────────────
+// registry: anything with resolve(name) → { name, manager, unit } (throws
+// 404 for unknown names) and list() — normally bot_registry.js.
+
+function createServiceControl({ registry, adapters }) {
+  const lookup = (bot) => {
+    const svc     = registry.resolve(bot);
+    const adapter = adapters[svc.manager];
+    if (!adapter) throw new Error(`No adapter for process manager "${svc.manager}"`);
+    return { svc, adapter };
+  };
+
+  async function status(bot) {
+    const { svc, adapter } = lookup(bot);
+    try {
+      return { manager: svc.manager, ...(await adapter.status(svc.unit)) };
+    } catch (e) {
+      return { manager: svc.manager, state: 'unknown', uptime: 0, pid: null, restarts: 0, error: e.message };
+    }
+  }
+
+  async function statusAll() {
+    const bots    = registry.list().map(b => b.name);
+    const results = await Promise.all(bots.map(status));
+    return Object.fromEntries(bots.map((b, i) => [b, results[i]]));
+  }
+
+  async function act(bot, action) {
+    if (!SERVICE_ACTIONS.includes(action)) {
+      throw Object.assign(new Error(`Invalid action: ${action}`), { status: 400 });
+    }
+    const { svc, adapter } = lookup(bot);
+    return adapter.act(svc.unit, action);
+  }
+
+  return { status, statusAll, act };
+}
+
+module.exports = {
+  SERVICE_ACTIONS,
+  systemdAdapter,
+  pm2Adapter,
+  createServiceControl,
+};
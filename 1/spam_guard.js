@@ -0,0 +1,198 @@
+// ═══════════════════════════════════════════════════════════════════════
+// SPAM GUARD
+// Layered checks for the public forms (/inquiry, /contact), on top of the
+// per-IP rate limits:
+//
+//   1. honeypot      — a hidden "website" field only bots fill in
+//   2. form token    — GET /form-token hands out a signed token, spent when
+//                      the submission passes the checks. Sending sooner than
+//                      minFillMs after it was issued is rejected (people
+//                      don't fill a form in 2 seconds)
+//   3. proof of work — optional (powDifficulty > 0): the browser finds a
+//                      `powSolution` so that sha256(token + ":" + solution)
+//                      starts with powDifficulty zero bits. Self-hosted, no
+//                      third-party captcha.
+//   4. blocklist     — Discord IDs blocked with !block
+//   5. per-ID limit  — at most N submissions per Discord ID per day
+//   6. duplicates    — the same text submitted again within dupWindowMs
+//
+//   const guard = createSpamGuard({ store, secret });
+//   app.get('/form-token', (req, res) => res.json(guard.issueToken(req.query.form)));
+//   const held = guard.check('inquiry', req.body, { ip, content });  // throws a 4xx, logged
+//   try { await send(); } catch (err) { guard.release(held); throw err; }
+//
+// check() spends the token and records the submission in the same
+// synchronous step as the checks, so two requests racing with one token
+// (or past the per-ID limit) can't both get through. If sending then
+// fails, release() gives both back and the client can retry.
+//
+// `content` is the submitted text the duplicate check compares (strings).
+// The inquiry questions come from the form schema, so its caller passes the
+// answers; the contact form's fields are fixed (FORMS.contact.contentFields).
+//
+// Every rejection is written to the store's rejection log (!rejections)
+// with the reason and a trimmed copy of the submission. Errors carry
+// `silent: true` when the caller should pretend it worked (honeypot), so
+// bots don't learn what tripped them.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const FORMS = {
+  inquiry: { contentFields: null,        perIdPerDay: 3 }, // content from the form schema
+  contact: { contentFields: ['message'], perIdPerDay: 5 },
+};
+
+const HONEYPOT_FIELD = 'website';
+const TOKEN_MAX_AGE  = 2 * 60 * 60 * 1000; // a form left open this long must reload
+const DAY            = 24 * 60 * 60 * 1000;
+
+const reject = (status, reason, message, extra = {}) =>
+  Object.assign(new Error(message), { status, reason, ...extra });
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+// The text the duplicate check compares: `content` if given, else the
+// form's contentFields
+function contentOf(form, body, content) {
+  if (content) return content;
+  if (!FORMS[form].contentFields) throw new Error(`spamGuard: ${form} needs the submission's content`);
+  return FORMS[form].contentFields.map(f => body[f]);
+}
+
+// Lowercase, no punctuation, single spaces — "Hello!!  World" and
+// "hello world" are the same submission. null when there's no text at
+// all: that can't be told apart from anyone else's blank submission.
+function contentHash(form, content) {
+  const parts = content.map(v => String(v || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim());
+  if (!parts.some(Boolean)) return null;
+  return crypto.createHash('sha256').update(`${form}:${parts.join('|')}`).digest('hex');
+}
+
+// Number of leading zero bits of a buffer
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function createSpamGuard({
+  store,
+  secret,
+  minFillMs     = 4000,
+  powDifficulty = 0,
+  dupWindowMs   = 7 * DAY,
+  now           = Date.now,
+} = {}) {
+  if (!secret) throw new Error('createSpamGuard: secret is required');
+
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  const used = new Map(); // token nonce → expiry, so a token works once
+
+  function issueToken(form) {
+    if (!FORMS[form]) throw reject(400, 'bad-form', `Unknown form: ${form}`);
+    const payload = b64url(JSON.stringify({ f: form, t: now(), n: crypto.randomBytes(9).toString('base64url') }));
+    const token   = `${payload}.${sign(payload)}`;
+    return { token, minFillMs, pow: powDifficulty > 0 ? { difficulty: powDifficulty } : null };
+  }
+
+  // The token's { f, t, n } if the signature checks out, else null
+  function readToken(token) {
+    const [payload, mac] = String(token || '').split('.');
+    if (!payload || !mac) return null;
+    // Byte lengths: a MAC with multibyte characters would make timingSafeEqual throw
+    const expected = Buffer.from(sign(payload));
+    const actual   = Buffer.from(mac);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  }
+
+  function verifyToken(form, token) {
+    const data = readToken(token);
+    const age  = data && now() - data.t;
+    if (!data || data.f !== form || age > TOKEN_MAX_AGE) {
+      throw reject(400, 'token', 'This form has expired — reload the page and try again.');
+    }
+    if (used.has(data.n)) throw reject(400, 'token-reused', 'This form was already sent — reload the page to send another.');
+    if (age < minFillMs) throw reject(400, 'too-fast', 'That was quick! Take a second to check your details, then send again.');
+  }
+
+  function verifyPow(token, solution) {
+    if (!(powDifficulty > 0)) return;
+    const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+    if (solution == null || leadingZeroBits(hash) < powDifficulty) {
+      throw reject(400, 'pow', 'Verification failed — reload the page and try again.');
+    }
+  }
+
+  function log(form, err, body, ip) {
+    const { [HONEYPOT_FIELD]: trap, formToken, powSolution, ...fields } = body || {};
+    store.spam.logRejection({
+      form,
+      reason:    err.reason,
+      detail:    trap ? `honeypot: ${String(trap).slice(0, 100)}` : err.detail || null,
+      discordId: /^\d{17,20}$/.test(String(fields.clientDiscordId)) ? String(fields.clientDiscordId) : null,
+      ipHash:    ip ? crypto.createHmac('sha256', secret).update(ip).digest('hex').slice(0, 16) : null,
+      payload:   JSON.stringify(fields).slice(0, 2000),
+    });
+    console.warn(`🛡️  Rejected ${form} submission (${err.reason})${fields.clientDiscordId ? ` from ${fields.clientDiscordId}` : ''}`);
+  }
+
+  // Throws the first failed check (status, reason, message[, silent]) after
+  // logging it. Run it after field validation, before anything is sent.
+  // → the reservation to hand to release() if the send fails
+  function check(form, body, { ip, content } = {}) {
+    const spec = FORMS[form];
+    const since = (ms) => new Date(now() - ms).toISOString();
+    try {
+      if (String(body[HONEYPOT_FIELD] || '').trim()) {
+        throw reject(400, 'honeypot', 'Rejected', { silent: true });
+      }
+      verifyToken(form, body.formToken);
+      verifyPow(body.formToken, body.powSolution);
+
+      const discordId = String(body.clientDiscordId);
+      const block     = store.spam.blocked(discordId);
+      if (block) {
+        throw reject(403, 'blocked', "Submissions from this Discord account aren't accepted.", { detail: block.reason });
+      }
+      if (store.spam.submissionsSince(form, discordId, since(DAY)) >= spec.perIdPerDay) {
+        throw reject(429, 'per-id-limit', 'You have sent several of these today already — I will get back to you on Discord.');
+      }
+      const hash = contentHash(form, contentOf(form, body, content));
+      if (hash && store.spam.hashSeenSince(hash, since(dupWindowMs))) {
+        throw reject(409, 'duplicate', 'This was already sent — no need to send it again, I will get back to you on Discord.');
+      }
+      return reserve(form, body, discordId, hash);
+    } catch (err) {
+      if (!err.reason) throw err;
+      log(form, err, body, ip);
+      throw err;
+    }
+  }
+
+  // Spend the token and remember the submission for the duplicate / per-ID
+  // checks. Blank submissions still count towards the per-ID limit.
+  function reserve(form, body, discordId, hash) {
+    const token = readToken(body.formToken);
+    used.set(token.n, token.t + TOKEN_MAX_AGE);
+    for (const [n, expires] of used) if (expires < now()) used.delete(n);
+    const submissionId = store.spam.recordSubmission(form, discordId, hash || `${form}:blank`);
+    return { nonce: token.n, submissionId };
+  }
+
+  // Undo check() for a submission that never went out (Discord down), so
+  // the same token can be sent again and it doesn't count as a duplicate
+  function release(reservation) {
+    if (!reservation) return;
+    used.delete(reservation.nonce);
+    store.spam.removeSubmission(reservation.submissionId);
+  }
+
+  return { issueToken, check, release };
+}
+
+module.exports = { FORMS, HONEYPOT_FIELD, leadingZeroBits, createSpamGuard };
@@ -0,0 +1,60 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpamGuard } = require('./spam_guard');
+
+// store.spam in memory, enough for the checks
+function fakeStore() {
+  const rows = [];
+  let nextId = 1;
+  return {
+    rows,
+    spam: {
+      blocked:          () => null,
+      logRejection:     () => {},
+      recordSubmission: (form, discordId, contentHash) => {
+        rows.push({ id: nextId, form, discordId, contentHash, at: new Date().toISOString() });
+        return nextId++;
+      },
+      removeSubmission: (id) => rows.splice(rows.findIndex(r => r.id === id), 1).length > 0,
+      submissionsSince: (form, discordId, since) => rows.filter(r => r.form === form && r.discordId === discordId && r.at >= since).length,
+      hashSeenSince:    (contentHash, since) => rows.some(r => r.contentHash === contentHash && r.at >= since),
+    },
+  };
+}
+
+function setup() {
+  const store = fakeStore();
+  const guard = createSpamGuard({ store, secret: 'test', minFillMs: 0 });
+  const body  = (message) => ({
+    formToken:       guard.issueToken('contact').token,
+    clientDiscordId: '123456789012345678',
+    message,
+  });
+  return { store, guard, body };
+}
+
+test('check spends the token and records the submission at once', () => {
+  const { store, guard, body } = setup();
+  const form = body('hello');
+  assert.ok(guard.check('contact', form));
+  assert.equal(store.rows.length, 1);
+  // A second request with the same token, before the first one was sent
+  assert.throws(() => guard.check('contact', { ...form, message: 'other' }), { reason: 'token-reused' });
+  assert.throws(() => guard.check('contact', body('hello')), { reason: 'duplicate' });
+});
+
+test('release lets a failed send be retried with the same token', () => {
+  const { store, guard, body } = setup();
+  const form = body('hello');
+  guard.release(guard.check('contact', form));
+  assert.equal(store.rows.length, 0);
+  assert.ok(guard.check('contact', form));
+});
+
+test('the per-ID limit counts submissions still being sent', () => {
+  const { guard, body } = setup();
+  for (let i = 0; i < 5; i++) guard.check('contact', body(`message ${i}`));
+  assert.throws(() => guard.check('contact', body('one more')), { status: 429, reason: 'per-id-limit' });
+});
@@ -0,0 +1,1036 @@
+// ═══════════════════════════════════════════════════════════════════════
+// STORE
+// SQLite storage for orders, featured work, visits, counters and settings,
+// behind a small repository API. Replaces the orders/work/visits/config
+// JSON files.
+//
+//   npm install better-sqlite3
+//
+//   const store = openStore({ file: './echo.db' });
+//   store.orders.create({ … }, { actor });  store.orders.update(uuid, { notes });
+//   store.orders.events(uuid)    → status timeline (see order_workflow.js)
+//   store.messages.list(uuid)    → conversation with the client (order_threads.js)
+//   store.work.list({ published: true });  store.counters.increment('visits');
+//   store.settings.get('inquiryChannelId');
+//
+// better-sqlite3 is synchronous: every call is one statement or one
+// transaction, so two requests can't interleave half-way through a write
+// and a crash can't leave a half-written file behind.
+//
+// Schema changes go in MIGRATIONS (append only — never edit a shipped one).
+// The applied version is kept in PRAGMA user_version.
+//
+// One-time import of the old JSON files:
+//   node store.js import [dir]     (also runs automatically on first open)
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs       = require('fs');
+const path     = require('path');
+const Database = require('better-sqlite3');
+const { normalizeStatus } = require('./order_workflow');
+
+// ── MIGRATIONS ────────────────────────────────────────────────────────
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name:    'initial schema',
+    up: (db) => db.exec(`
+      CREATE TABLE orders (
+        uuid              TEXT PRIMARY KEY,
+        status            TEXT NOT NULL,
+        payment           TEXT NOT NULL,
+        discord_username  TEXT NOT NULL,
+        client_discord_id TEXT NOT NULL,
+        server_name       TEXT NOT NULL,
+        server_invite     TEXT,
+        service_type      TEXT,
+        budget            TEXT,
+        payment_method    TEXT,
+        project_details   TEXT,
+        notes             TEXT NOT NULL DEFAULT '',
+        created_at        TEXT NOT NULL,
+        paid_at           TEXT
+      );
+      CREATE INDEX orders_client  ON orders (client_discord_id, created_at);
+      CREATE INDEX orders_status  ON orders (status, created_at);
+      CREATE INDEX orders_created ON orders (created_at);
+
+      CREATE TABLE work (
+        id          TEXT PRIMARY KEY,
+        bot_name    TEXT NOT NULL,
+        description TEXT NOT NULL,
+        server_name TEXT NOT NULL,
+        invite      TEXT NOT NULL,
+        added_at    TEXT NOT NULL
+      );
+
+      CREATE TABLE counters (
+        name  TEXT PRIMARY KEY,
+        value INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE settings (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `),
+  },
+  {
+    version: 2,
+    name:    'order status history',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE order_events (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_uuid  TEXT NOT NULL REFERENCES orders (uuid) ON DELETE CASCADE,
+          from_status TEXT,
+          to_status   TEXT NOT NULL,
+          actor       TEXT,
+          reason      TEXT,
+          at          TEXT NOT NULL
+        );
+        CREATE INDEX order_events_order ON order_events (order_uuid, id);
+      `);
+      // Free-text statuses from before the workflow: map what we can,
+      // park the rest as Pending and keep the old text as the reason
+      const setStatus = db.prepare('UPDATE orders SET status = ? WHERE uuid = ?');
+      const addEvent  = db.prepare(`
+        INSERT INTO order_events (order_uuid, from_status, to_status, actor, reason, at)
+        VALUES (?, NULL, ?, 'migration', ?, ?)
+      `);
+      for (const o of db.prepare('SELECT uuid, status, created_at FROM orders').all()) {
+        const status = legacyStatus(o.status);
+        if (status.value !== o.status) setStatus.run(status.value, o.uuid);
+        addEvent.run(o.uuid, status.value, status.reason, o.created_at);
+      }
+    },
+  },
+  {
+    version: 3,
+    name:    'inquiry message reference',
+    up: (db) => db.exec(`
+      ALTER TABLE orders ADD COLUMN message_channel_id TEXT;
+      ALTER TABLE orders ADD COLUMN message_id         TEXT;
+    `),
+  },
+  {
+    version: 4,
+    name:    'quotes, payments and invoices',
+    up: (db) => db.exec(`
+      ALTER TABLE orders ADD COLUMN quote_amount      INTEGER;
+      ALTER TABLE orders ADD COLUMN currency          TEXT;
+      ALTER TABLE orders ADD COLUMN invoice_number    TEXT;
+      ALTER TABLE orders ADD COLUMN invoice_issued_at TEXT;
+      CREATE UNIQUE INDEX orders_invoice_number ON orders (invoice_number) WHERE invoice_number IS NOT NULL;
+
+      -- amount in the currency's minor unit; refunds are negative
+      CREATE TABLE payments (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_uuid  TEXT NOT NULL REFERENCES orders (uuid) ON DELETE CASCADE,
+        kind        TEXT NOT NULL,
+        amount      INTEGER NOT NULL,
+        currency    TEXT NOT NULL,
+        method      TEXT,
+        reference   TEXT,
+        note        TEXT,
+        recorded_by TEXT,
+        at          TEXT NOT NULL
+      );
+      CREATE INDEX payments_order ON payments (order_uuid, id);
+    `),
+  },
+  {
+    version: 5,
+    name:    'form spam protection',
+    up: (db) => db.exec(`
+      CREATE TABLE blocklist (
+        discord_id TEXT PRIMARY KEY,
+        reason     TEXT,
+        blocked_by TEXT,
+        at         TEXT NOT NULL
+      );
+
+      -- accepted submissions, for duplicate and per-Discord-ID checks
+      CREATE TABLE form_submissions (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        form         TEXT NOT NULL,
+        discord_id   TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        at           TEXT NOT NULL
+      );
+      CREATE INDEX form_submissions_discord ON form_submissions (discord_id, form, at);
+      CREATE INDEX form_submissions_hash    ON form_submissions (content_hash, at);
+
+      CREATE TABLE form_rejections (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        form       TEXT NOT NULL,
+        reason     TEXT NOT NULL,
+        detail     TEXT,
+        discord_id TEXT,
+        ip_hash    TEXT,
+        payload    TEXT,
+        at         TEXT NOT NULL
+      );
+      CREATE INDEX form_rejections_at ON form_rejections (at);
+    `),
+  },
+  {
+    version: 6,
+    name:    'client verification',
+    // Orders from before this were DMed without a check — 'legacy' keeps
+    // their updates flowing without claiming they were verified
+    up: (db) => db.exec(`
+      ALTER TABLE orders ADD COLUMN verified_via           TEXT;
+      ALTER TABLE orders ADD COLUMN verified_at            TEXT;
+      ALTER TABLE orders ADD COLUMN verify_code_hash       TEXT;
+      ALTER TABLE orders ADD COLUMN verify_code_expires_at TEXT;
+      UPDATE orders SET verified_via = 'legacy';
+    `),
+  },
+  {
+    version: 7,
+    name:    'portfolio',
+    // Existing entries stay published, in the order they were added
+    up: (db) => db.exec(`
+      ALTER TABLE work ADD COLUMN category          TEXT;
+      ALTER TABLE work ADD COLUMN position          INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE work ADD COLUMN pinned            INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE work ADD COLUMN published         INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE work ADD COLUMN invite_status     TEXT;
+      ALTER TABLE work ADD COLUMN invite_checked_at TEXT;
+      ALTER TABLE work ADD COLUMN updated_at        TEXT;
+      UPDATE work SET position = (
+        SELECT count(*) FROM work w
+        WHERE w.added_at < work.added_at OR (w.added_at = work.added_at AND w.rowid <= work.rowid)
+      );
+      CREATE INDEX work_order ON work (published, pinned, position);
+
+      -- images are kept here: Discord attachment URLs expire
+      CREATE TABLE work_screenshots (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        work_id      TEXT NOT NULL REFERENCES work (id) ON DELETE CASCADE,
+        name         TEXT,
+        content_type TEXT NOT NULL,
+        data         BLOB NOT NULL,
+        added_at     TEXT NOT NULL
+      );
+      CREATE INDEX work_screenshots_work ON work_screenshots (work_id, id);
+
+      CREATE TABLE testimonials (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_uuid TEXT NOT NULL UNIQUE REFERENCES orders (uuid),
+        work_id    TEXT REFERENCES work (id) ON DELETE SET NULL,
+        author     TEXT NOT NULL,
+        quote      TEXT NOT NULL,
+        rating     INTEGER,
+        added_at   TEXT NOT NULL
+      );
+      CREATE INDEX testimonials_work ON testimonials (work_id, id);
+    `),
+  },
+  {
+    version: 8,
+    name:    'visit analytics',
+    // visitor: a hash that changes every day — see visits.js
+    up: (db) => db.exec(`
+      CREATE TABLE visit_events (
+        id       INTEGER PRIMARY KEY AUTOINCREMENT,
+        day      TEXT NOT NULL,
+        visitor  TEXT NOT NULL,
+        event    TEXT NOT NULL,
+        path     TEXT,
+        referrer TEXT,
+        at       TEXT NOT NULL
+      );
+      CREATE INDEX visit_events_day ON visit_events (day, event);
+    `),
+  },
+  {
+    version: 9,
+    name:    'inquiry answers',
+    // JSON: the submitted answers with their labels (form_schema.js). Older
+    // orders have null and are shown from their columns.
+    up: (db) => db.exec(`
+      ALTER TABLE orders ADD COLUMN answers TEXT;
+    `),
+  },
+  {
+    version: 10,
+    name:    'order conversations',
+    // direction: out = owner → client, in = client → owner. relay_message_id
+    // is the copy on the other side; null when it couldn't be delivered.
+    up: (db) => db.exec(`
+      ALTER TABLE orders ADD COLUMN thread_id TEXT;
+      CREATE UNIQUE INDEX orders_thread ON orders (thread_id) WHERE thread_id IS NOT NULL;
+
+      CREATE TABLE order_messages (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_uuid        TEXT NOT NULL REFERENCES orders (uuid) ON DELETE CASCADE,
+        direction         TEXT NOT NULL,
+        author            TEXT,
+        content           TEXT NOT NULL DEFAULT '',
+        attachments       TEXT,
+        source_message_id TEXT,
+        relay_message_id  TEXT,
+        at                TEXT NOT NULL
+      );
+      CREATE INDEX order_messages_order ON order_messages (order_uuid, id);
+      CREATE INDEX order_messages_relay ON order_messages (relay_message_id) WHERE relay_message_id IS NOT NULL;
+    `),
+  },
+];
+
+function legacyStatus(text) {
+  const value = normalizeStatus(text);
+  return value
+    ? { value, reason: null }
+    : { value: 'Pending', reason: `Unrecognised legacy status "${String(text || '').slice(0, 100)}"` };
+}
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (const m of MIGRATIONS.filter(m => m.version > current)) {
+    db.transaction(() => {
+      m.up(db);
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    console.log(`🗄️  Store migrated to v${m.version} (${m.name})`);
+  }
+}
+
+// ── ROW MAPPING ───────────────────────────────────────────────────────
+// Orders keep the same camelCase shape the JSON file had.
+
+const ORDER_COLUMNS = {
+  uuid:            'uuid',
+  status:          'status',
+  payment:         'payment',
+  discordUsername: 'discord_username',
+  clientDiscordId: 'client_discord_id',
+  serverName:      'server_name',
+  serverInvite:    'server_invite',
+  serviceType:     'service_type',
+  budget:          'budget',
+  paymentMethod:   'payment_method',
+  projectDetails:  'project_details',
+  notes:           'notes',
+  createdAt:       'created_at',
+  paidAt:          'paid_at',
+  // Where the inquiry embed was posted, so it can be re-rendered
+  messageChannelId: 'message_channel_id',
+  messageId:        'message_id',
+  // Money — see invoicing.js
+  quoteAmount:      'quote_amount',
+  currency:         'currency',
+  invoiceNumber:    'invoice_number',
+  invoiceIssuedAt:  'invoice_issued_at',
+  // Client identity — see verification.js
+  verifiedVia:         'verified_via',
+  verifiedAt:          'verified_at',
+  verifyCodeHash:      'verify_code_hash',
+  verifyCodeExpiresAt: 'verify_code_expires_at',
+  // Inquiry form answers — see form_schema.js
+  answers:             'answers',
+  // Private thread the client conversation is relayed through — see order_threads.js
+  threadId:            'thread_id',
+};
+
+// Stored as JSON text
+const JSON_ORDER_FIELDS = new Set(['answers']);
+
+const encodeOrderField = (key, value) =>
+  (JSON_ORDER_FIELDS.has(key) && value != null ? JSON.stringify(value) : value);
+
+function rowToOrder(row) {
+  if (!row) return null;
+  const order = {};
+  for (const [key, col] of Object.entries(ORDER_COLUMNS)) {
+    order[key] = JSON_ORDER_FIELDS.has(key) && row[col] != null ? JSON.parse(row[col]) : row[col];
+  }
+  return order;
+}
+
+const encodeOrder = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, encodeOrderField(k, v)]));
+
+const rowToEvent = (row) => ({
+  id:     row.id,
+  from:   row.from_status,
+  to:     row.to_status,
+  actor:  row.actor,
+  reason: row.reason,
+  at:     row.at,
+});
+
+const rowToPayment = (row) => ({
+  id:         row.id,
+  orderUuid:  row.order_uuid,
+  kind:       row.kind,
+  amount:     row.amount,
+  currency:   row.currency,
+  method:     row.method,
+  reference:  row.reference,
+  note:       row.note,
+  recordedBy: row.recorded_by,
+  at:         row.at,
+});
+
+const rowToBlock = (row) => (row ? {
+  discordId: row.discord_id,
+  reason:    row.reason,
+  blockedBy: row.blocked_by,
+  at:        row.at,
+} : null);
+
+const rowToRejection = (row) => ({
+  id:        row.id,
+  form:      row.form,
+  reason:    row.reason,
+  detail:    row.detail,
+  discordId: row.discord_id,
+  ipHash:    row.ip_hash,
+  payload:   row.payload,
+  at:        row.at,
+});
+
+const WORK_COLUMNS = {
+  botName:         'bot_name',
+  description:     'description',
+  serverName:      'server_name',
+  invite:          'invite',
+  category:        'category',
+  pinned:          'pinned',
+  published:       'published',
+  inviteStatus:    'invite_status',
+  inviteCheckedAt: 'invite_checked_at',
+};
+
+const rowToMessage = (row) => row && ({
+  id:              row.id,
+  orderUuid:       row.order_uuid,
+  direction:       row.direction,
+  author:          row.author,
+  content:         row.content,
+  // [{ name, url, contentType, size }]
+  attachments:     row.attachments ? JSON.parse(row.attachments) : [],
+  sourceMessageId: row.source_message_id,
+  relayMessageId:  row.relay_message_id,
+  delivered:       row.relay_message_id != null,
+  at:              row.at,
+});
+
+const rowToWork = (row) => row && ({
+  id:              row.id,
+  botName:         row.bot_name,
+  description:     row.description,
+  serverName:      row.server_name,
+  invite:          row.invite,
+  addedAt:         row.added_at,
+  category:        row.category,
+  position:        row.position,
+  pinned:          !!row.pinned,
+  published:       !!row.published,
+  // ok | expired | null (not checked, or not a Discord invite)
+  inviteStatus:    row.invite_status,
+  inviteCheckedAt: row.invite_checked_at,
+  updatedAt:       row.updated_at,
+});
+
+const rowToScreenshot = (row) => row && ({
+  id:          row.id,
+  workId:      row.work_id,
+  name:        row.name,
+  contentType: row.content_type,
+  addedAt:     row.added_at,
+  ...(row.data ? { data: row.data } : {}),
+});
+
+const rowToTestimonial = (row) => row && ({
+  id:        row.id,
+  orderUuid: row.order_uuid,
+  workId:    row.work_id,
+  author:    row.author,
+  quote:     row.quote,
+  rating:    row.rating,
+  addedAt:   row.added_at,
+});
+
+// ── REPOSITORIES ──────────────────────────────────────────────────────
+
+function ordersRepo(db) {
+  const insert = db.prepare(`
+    INSERT INTO orders (${Object.values(ORDER_COLUMNS).join(', ')})
+    VALUES (${Object.keys(ORDER_COLUMNS).map(k => `@${k}`).join(', ')})
+  `);
+
+  const defaults = (o) => ({
+    payment:        '⏳ Unpaid',
+    serverInvite:   null,
+    serviceType:    null,
+    budget:         null,
+    paymentMethod:  null,
+    projectDetails: null,
+    notes:          '',
+    createdAt:      new Date().toISOString(),
+    paidAt:         null,
+    messageChannelId: null,
+    messageId:        null,
+    quoteAmount:      null,
+    currency:         null,
+    invoiceNumber:    null,
+    invoiceIssuedAt:  null,
+    verifiedVia:         null,
+    verifiedAt:          null,
+    verifyCodeHash:      null,
+    verifyCodeExpiresAt: null,
+    answers:             null,
+    threadId:            null,
+    ...o,
+  });
+
+  function get(uuid) {
+    return rowToOrder(db.prepare('SELECT * FROM orders WHERE uuid = ?').get(String(uuid)));
+  }
+
+  // Short IDs as shown in Discord (first 8 chars); oldest match wins, as before
+  function findByPrefix(prefix) {
+    const p = String(prefix || '').toLowerCase();
+    if (!/^[0-9a-f-]{1,36}$/.test(p)) return null;
+    return rowToOrder(db.prepare(
+      'SELECT * FROM orders WHERE uuid LIKE ? ORDER BY created_at LIMIT 1'
+    ).get(`${p}%`));
+  }
+
+  // Filters: status (case-insensitive), clientDiscordId. Oldest first; with
+  // `limit`, the most recent `limit` orders (still oldest first).
+  function list({ status, clientDiscordId, limit } = {}) {
+    const where = [];
+    const args  = [];
+    if (status)          { where.push('lower(status) = lower(?)'); args.push(String(status)); }
+    if (clientDiscordId) { where.push('client_discord_id = ?');    args.push(String(clientDiscordId)); }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    if (limit) {
+      const rows = db.prepare(`SELECT * FROM orders ${clause} ORDER BY created_at DESC, rowid DESC LIMIT ?`)
+        .all(...args, limit);
+      return rows.reverse().map(rowToOrder);
+    }
+    return db.prepare(`SELECT * FROM orders ${clause} ORDER BY created_at, rowid`).all(...args).map(rowToOrder);
+  }
+
+  // For autocomplete: part of the UUID or client name, newest first
+  function search(query, { limit = 25 } = {}) {
+    const q = `%${String(query || '').toLowerCase().replace(/[%_\\]/g, '\\$&')}%`;
+    return db.prepare(`
+      SELECT * FROM orders
+      WHERE uuid LIKE ? ESCAPE '\\' OR lower(discord_username) LIKE ? ESCAPE '\\'
+      ORDER BY created_at DESC, rowid DESC LIMIT ?
+    `).all(q, q, limit).map(rowToOrder);
+  }
+
+  const findByThread = (threadId) =>
+    rowToOrder(db.prepare('SELECT * FROM orders WHERE thread_id = ?').get(String(threadId)));
+
+  // A client's orders that have a conversation thread, most recently
+  // active conversation first
+  function withThreads(clientDiscordId) {
+    return db.prepare(`
+      SELECT * FROM orders o
+      WHERE client_discord_id = ? AND thread_id IS NOT NULL
+      ORDER BY max(o.created_at, coalesce((SELECT max(at) FROM order_messages m WHERE m.order_uuid = o.uuid), '')) DESC
+    `).all(String(clientDiscordId)).map(rowToOrder);
+  }
+
+  function count({ status } = {}) {
+    return status
+      ? db.prepare('SELECT count(*) AS n FROM orders WHERE lower(status) = lower(?)').get(String(status)).n
+      : db.prepare('SELECT count(*) AS n FROM orders').get().n;
+  }
+
+  const insertEvent = db.prepare(`
+    INSERT INTO order_events (order_uuid, from_status, to_status, actor, reason, at)
+    VALUES (@uuid, @from, @to, @actor, @reason, @at)
+  `);
+
+  function addEvent(uuid, { from = null, to, actor = null, reason = null, at = new Date().toISOString() }) {
+    const { lastInsertRowid } = insertEvent.run({ uuid, from, to, actor, reason, at });
+    return rowToEvent(db.prepare('SELECT * FROM order_events WHERE id = ?').get(lastInsertRowid));
+  }
+
+  function events(uuid) {
+    return db.prepare('SELECT * FROM order_events WHERE order_uuid = ? ORDER BY id').all(String(uuid)).map(rowToEvent);
+  }
+
+  // Records the creation as the first event of the timeline
+  function create(order, { actor = null } = {}) {
+    const o = defaults(order);
+    db.transaction(() => {
+      insert.run(encodeOrder(o));
+      addEvent(o.uuid, { to: o.status, actor, at: o.createdAt });
+    })();
+    return get(o.uuid);
+  }
+
+  // For an inquiry whose Discord message never went out — the client
+  // retries, and the half-made order would be a duplicate. Its events go too.
+  const remove = (uuid) => db.prepare('DELETE FROM orders WHERE uuid = ?').run(String(uuid)).changes > 0;
+
+  // Only for order_workflow.js — it has already checked the transition.
+  // The WHERE on the old status makes a concurrent change fail loudly.
+  function setStatus(uuid, from, to, { actor, reason }) {
+    return db.transaction(() => {
+      const r = db.prepare('UPDATE orders SET status = ? WHERE uuid = ? AND status = ?').run(to, String(uuid), from);
+      if (!r.changes) throw Object.assign(new Error('Order changed meanwhile — try again'), { status: 409 });
+      return addEvent(String(uuid), { from, to, actor, reason });
+    })();
+  }
+
+  // patch: any order fields except uuid and status (status changes go
+  // through order_workflow.js). Returns the updated order or null.
+  function update(uuid, patch) {
+    const sets = [];
+    const args = {};
+    for (const [key, value] of Object.entries(patch)) {
+      if (key === 'status') throw new Error('Change status through order_workflow.transitionOrder');
+      if (key === 'uuid' || !ORDER_COLUMNS[key]) throw new Error(`Unknown order field: ${key}`);
+      sets.push(`${ORDER_COLUMNS[key]} = @${key}`);
+      args[key] = encodeOrderField(key, value);
+    }
+    if (!sets.length) return get(uuid);
+    const r = db.prepare(`UPDATE orders SET ${sets.join(', ')} WHERE uuid = @uuid`).run({ ...args, uuid: String(uuid) });
+    return r.changes ? get(uuid) : null;
+  }
+
+  return { get, findByPrefix, findByThread, withThreads, list, search, count, create, update, remove, setStatus, events, addEvent, insert: (o) => insert.run(encodeOrder(defaults(o))) };
+}
+
+// Written through invoicing.js, which keeps the order's payment label in step
+function paymentsRepo(db) {
+  return {
+    list: (uuid) => db.prepare('SELECT * FROM payments WHERE order_uuid = ? ORDER BY id')
+      .all(String(uuid)).map(rowToPayment),
+    add(uuid, p) {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO payments (order_uuid, kind, amount, currency, method, reference, note, recorded_by, at)
+        VALUES (@uuid, @kind, @amount, @currency, @method, @reference, @note, @recordedBy, @at)
+      `).run({ method: null, reference: null, note: null, recordedBy: null, at: new Date().toISOString(), ...p, uuid: String(uuid) });
+      return rowToPayment(db.prepare('SELECT * FROM payments WHERE id = ?').get(lastInsertRowid));
+    },
+    // All orders' payments with from <= at < to (ISO strings), oldest first
+    between: (from, to) => db.prepare('SELECT * FROM payments WHERE at >= ? AND at < ? ORDER BY at, id')
+      .all(String(from), String(to)).map(rowToPayment),
+  };
+}
+
+// Blocklist, accepted-submission fingerprints and the rejection log —
+// used by spam_guard.js. Fingerprints and rejections older than
+// `retainDays` are pruned as new ones come in.
+function spamRepo(db, { retainDays = 30 } = {}) {
+  const cutoff = () => new Date(Date.now() - retainDays * 24 * 60 * 60 * 1000).toISOString();
+
+  return {
+    blocked: (discordId) => rowToBlock(db.prepare('SELECT * FROM blocklist WHERE discord_id = ?').get(String(discordId))),
+    block(discordId, { reason = null, by = null } = {}) {
+      db.prepare(`
+        INSERT INTO blocklist (discord_id, reason, blocked_by, at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (discord_id) DO UPDATE SET reason = excluded.reason, blocked_by = excluded.blocked_by, at = excluded.at
+      `).run(String(discordId), reason, by, new Date().toISOString());
+    },
+    unblock: (discordId) => db.prepare('DELETE FROM blocklist WHERE discord_id = ?').run(String(discordId)).changes > 0,
+    blocklist: () => db.prepare('SELECT * FROM blocklist ORDER BY at DESC').all().map(rowToBlock),
+
+    // → the submission's id, for removeSubmission if the send fails
+    recordSubmission(form, discordId, contentHash) {
+      return db.transaction(() => {
+        db.prepare('DELETE FROM form_submissions WHERE at < ?').run(cutoff());
+        return Number(db.prepare('INSERT INTO form_submissions (form, discord_id, content_hash, at) VALUES (?, ?, ?, ?)')
+          .run(form, String(discordId), contentHash, new Date().toISOString()).lastInsertRowid);
+      })();
+    },
+    removeSubmission: (id) => db.prepare('DELETE FROM form_submissions WHERE id = ?').run(Number(id)).changes > 0,
+    submissionsSince: (form, discordId, since) => db.prepare(
+      'SELECT count(*) AS n FROM form_submissions WHERE form = ? AND discord_id = ? AND at >= ?'
+    ).get(form, String(discordId), since).n,
+    hashSeenSince: (contentHash, since) => !!db.prepare(
+      'SELECT 1 FROM form_submissions WHERE content_hash = ? AND at >= ? LIMIT 1'
+    ).get(contentHash, since),
+
+    logRejection(r) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM form_rejections WHERE at < ?').run(cutoff());
+        db.prepare(`
+          INSERT INTO form_rejections (form, reason, detail, discord_id, ip_hash, payload, at)
+          VALUES (@form, @reason, @detail, @discordId, @ipHash, @payload, @at)
+        `).run({ detail: null, discordId: null, ipHash: null, payload: null, ...r, at: new Date().toISOString() });
+      })();
+    },
+    // Newest first
+    rejections: ({ limit = 20, discordId } = {}) => (discordId
+      ? db.prepare('SELECT * FROM form_rejections WHERE discord_id = ? ORDER BY id DESC LIMIT ?').all(String(discordId), limit)
+      : db.prepare('SELECT * FROM form_rejections ORDER BY id DESC LIMIT ?').all(limit)
+    ).map(rowToRejection),
+  };
+}
+
+// Featured work, in display order: pinned first, then by position.
+// Positions are 1..n over all entries, drafts included.
+function workRepo(db) {
+  const get = (id) => rowToWork(db.prepare('SELECT * FROM work WHERE id = ?').get(String(id)));
+
+  // Filters: published (bool), category, pinned (bool)
+  function where({ published, category, pinned } = {}) {
+    const clauses = [];
+    const args    = [];
+    if (published != null) { clauses.push('published = ?'); args.push(published ? 1 : 0); }
+    if (pinned != null)    { clauses.push('pinned = ?');    args.push(pinned ? 1 : 0); }
+    if (category)          { clauses.push('category = ?');  args.push(String(category)); }
+    return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', args };
+  }
+
+  // Rewrites positions 1..n in the given id order
+  function renumber(ids) {
+    const set = db.prepare('UPDATE work SET position = ? WHERE id = ?');
+    ids.forEach((id, i) => set.run(i + 1, id));
+  }
+
+  const orderedIds = () => db.prepare('SELECT id FROM work ORDER BY position, added_at, rowid').pluck().all();
+
+  return {
+    get,
+    // With limit/offset for pages
+    list(filter = {}) {
+      const { sql, args } = where(filter);
+      const page = filter.limit ? ' LIMIT ? OFFSET ?' : '';
+      return db.prepare(`SELECT * FROM work ${sql} ORDER BY pinned DESC, position, added_at, rowid${page}`)
+        .all(...args, ...(filter.limit ? [filter.limit, filter.offset || 0] : [])).map(rowToWork);
+    },
+    count(filter = {}) {
+      const { sql, args } = where(filter);
+      return db.prepare(`SELECT count(*) AS n FROM work ${sql}`).get(...args).n;
+    },
+    // New entries go last
+    add(entry) {
+      db.prepare(`
+        INSERT INTO work (id, bot_name, description, server_name, invite, added_at, category, published, position)
+        VALUES (@id, @botName, @description, @serverName, @invite, @addedAt, @category, @published,
+                (SELECT coalesce(max(position), 0) + 1 FROM work))
+      `).run({ category: null, ...entry, published: entry.published === false ? 0 : 1 });
+      return get(entry.id);
+    },
+    // patch: any of WORK_COLUMNS. Returns the updated entry or null.
+    update(id, patch) {
+      const sets = [];
+      const args = {};
+      for (const [key, value] of Object.entries(patch)) {
+        if (!WORK_COLUMNS[key]) throw new Error(`Unknown work field: ${key}`);
+        sets.push(`${WORK_COLUMNS[key]} = @${key}`);
+        args[key] = typeof value === 'boolean' ? Number(value) : value;
+      }
+      if (!sets.length) return get(id);
+      const r = db.prepare(`UPDATE work SET ${sets.join(', ')}, updated_at = @now WHERE id = @id`)
+        .run({ ...args, now: new Date().toISOString(), id: String(id) });
+      return r.changes ? get(id) : null;
+    },
+    // Moves an entry to `position` (1 = first), shifting the others
+    move(id, position) {
+      return db.transaction(() => {
+        const ids = orderedIds();
+        const from = ids.indexOf(String(id));
+        if (from === -1) return null;
+        ids.splice(from, 1);
+        ids.splice(Math.max(0, Math.min(ids.length, position - 1)), 0, String(id));
+        renumber(ids);
+        return get(id);
+      })();
+    },
+    // Returns the removed entry, or null. Screenshots go with it;
+    // testimonials stay, unlinked.
+    remove(id) {
+      return db.transaction(() => {
+        const row = db.prepare('SELECT * FROM work WHERE id = ?').get(String(id));
+        if (row) {
+          db.prepare('DELETE FROM work WHERE id = ?').run(row.id);
+          renumber(orderedIds());
+        }
+        return rowToWork(row);
+      })();
+    },
+
+    // Screenshots — listed without their bytes; screenshot(id) has them
+    screenshots: (workId) => db.prepare(
+      'SELECT id, work_id, name, content_type, added_at FROM work_screenshots WHERE work_id = ? ORDER BY id'
+    ).all(String(workId)).map(rowToScreenshot),
+    screenshot: (id) => rowToScreenshot(db.prepare('SELECT * FROM work_screenshots WHERE id = ?').get(Number(id))),
+    addScreenshot(workId, { name = null, contentType, data }) {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO work_screenshots (work_id, name, content_type, data, added_at) VALUES (?, ?, ?, ?, ?)
+      `).run(String(workId), name, contentType, data, new Date().toISOString());
+      return rowToScreenshot(db.prepare(
+        'SELECT id, work_id, name, content_type, added_at FROM work_screenshots WHERE id = ?'
+      ).get(lastInsertRowid));
+    },
+    removeScreenshot: (id) => db.prepare('DELETE FROM work_screenshots WHERE id = ?').run(Number(id)).changes > 0,
+  };
+}
+
+// One per order — written through portfolio.js, which checks the order
+// was completed
+function testimonialsRepo(db) {
+  const get = (id) => rowToTestimonial(db.prepare('SELECT * FROM testimonials WHERE id = ?').get(Number(id)));
+  return {
+    get,
+    forOrder: (uuid) => rowToTestimonial(db.prepare('SELECT * FROM testimonials WHERE order_uuid = ?').get(String(uuid))),
+    // Newest first; workId narrows it to one entry
+    list({ workId, limit = 100 } = {}) {
+      return (workId
+        ? db.prepare('SELECT * FROM testimonials WHERE work_id = ? ORDER BY id DESC LIMIT ?').all(String(workId), limit)
+        : db.prepare('SELECT * FROM testimonials ORDER BY id DESC LIMIT ?').all(limit)
+      ).map(rowToTestimonial);
+    },
+    add(t) {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO testimonials (order_uuid, work_id, author, quote, rating, added_at)
+        VALUES (@orderUuid, @workId, @author, @quote, @rating, @addedAt)
+      `).run({ workId: null, rating: null, addedAt: new Date().toISOString(), ...t });
+      return get(lastInsertRowid);
+    },
+    remove: (id) => db.prepare('DELETE FROM testimonials WHERE id = ?').run(Number(id)).changes > 0,
+  };
+}
+
+// Conversations relayed through order threads — written by order_threads.js
+function messagesRepo(db) {
+  const get = (id) => rowToMessage(db.prepare('SELECT * FROM order_messages WHERE id = ?').get(Number(id)));
+  return {
+    get,
+    // Oldest first; with `limit`, the latest `limit` messages
+    list(uuid, { limit } = {}) {
+      const rows = limit
+        ? db.prepare('SELECT * FROM order_messages WHERE order_uuid = ? ORDER BY id DESC LIMIT ?').all(String(uuid), limit).reverse()
+        : db.prepare('SELECT * FROM order_messages WHERE order_uuid = ? ORDER BY id').all(String(uuid));
+      return rows.map(rowToMessage);
+    },
+    count: (uuid) => db.prepare('SELECT count(*) AS n FROM order_messages WHERE order_uuid = ?').get(String(uuid)).n,
+    // The stored message a Discord message is the relayed copy of
+    findByRelay: (messageId) => rowToMessage(db.prepare(
+      'SELECT * FROM order_messages WHERE relay_message_id = ?'
+    ).get(String(messageId))),
+    add(uuid, m) {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO order_messages (order_uuid, direction, author, content, attachments, source_message_id, relay_message_id, at)
+        VALUES (@uuid, @direction, @author, @content, @attachments, @sourceMessageId, @relayMessageId, @at)
+      `).run({
+        author:          null,
+        content:         '',
+        sourceMessageId: null,
+        relayMessageId:  null,
+        at:              new Date().toISOString(),
+        ...m,
+        attachments:     m.attachments?.length ? JSON.stringify(m.attachments) : null,
+        uuid:            String(uuid),
+      });
+      return get(lastInsertRowid);
+    },
+  };
+}
+
+// Written through visits.js. Days are YYYY-MM-DD (UTC).
+function visitsRepo(db) {
+  const TOP_FIELDS = { path: 'path', referrer: 'referrer' };
+  return {
+    record: (e) => db.prepare(`
+      INSERT INTO visit_events (day, visitor, event, path, referrer, at)
+      VALUES (@day, @visitor, @event, @path, @referrer, @at)
+    `).run({ path: null, referrer: null, at: new Date().toISOString(), ...e }),
+    // Per day and event: events and distinct visitors
+    eventCounts: (fromDay, toDay) => db.prepare(`
+      SELECT day, event, count(*) AS n, count(DISTINCT visitor) AS visitors
+      FROM visit_events WHERE day BETWEEN ? AND ? GROUP BY day, event
+    `).all(fromDay, toDay),
+    // Per day: distinct visitors, whatever they did
+    visitorCounts: (fromDay, toDay) => db.prepare(`
+      SELECT day, count(DISTINCT visitor) AS visitors
+      FROM visit_events WHERE day BETWEEN ? AND ? GROUP BY day
+    `).all(fromDay, toDay),
+    // Most viewed paths / most common referrer domains
+    top(field, fromDay, toDay, limit = 10) {
+      const col = TOP_FIELDS[field];
+      if (!col) throw new Error(`Unknown field: ${field}`);
+      return db.prepare(`
+        SELECT ${col} AS value, count(*) AS views, count(DISTINCT day || visitor) AS visitors
+        FROM visit_events WHERE event = 'view' AND ${col} IS NOT NULL AND day BETWEEN ? AND ?
+        GROUP BY ${col} ORDER BY views DESC, value LIMIT ?
+      `).all(fromDay, toDay, limit);
+    },
+    prune: (beforeDay) => db.prepare('DELETE FROM visit_events WHERE day < ?').run(beforeDay).changes,
+  };
+}
+
+function countersRepo(db) {
+  const bump = db.prepare(`
+    INSERT INTO counters (name, value) VALUES (?, ?)
+    ON CONFLICT (name) DO UPDATE SET value = value + excluded.value
+    RETURNING value
+  `);
+  return {
+    get:       (name) => (db.prepare('SELECT value FROM counters WHERE name = ?').get(name) || { value: 0 }).value,
+    increment: (name, by = 1) => bump.get(name, by).value,
+    set:       (name, value) => db.prepare(`
+      INSERT INTO counters (name, value) VALUES (?, ?)
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value
+    `).run(name, value),
+  };
+}
+
+// Values are stored as JSON
+function settingsRepo(db) {
+  return {
+    get(key, fallback = null) {
+      const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+      return row ? JSON.parse(row.value) : fallback;
+    },
+    set(key, value) {
+      db.prepare(`
+        INSERT INTO settings (key, value) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value
+      `).run(key, JSON.stringify(value));
+      return value;
+    },
+    remove: (key) => db.prepare('DELETE FROM settings WHERE key = ?').run(key).changes > 0,
+    all() {
+      const out = {};
+      for (const row of db.prepare('SELECT key, value FROM settings').all()) out[row.key] = JSON.parse(row.value);
+      return out;
+    },
+  };
+}
+
+// ── JSON IMPORT ───────────────────────────────────────────────────────
+// Runs once (marked by the `_importedJson` setting). A file that exists but
+// doesn't parse aborts the import — it is never treated as empty.
+
+function readJsonFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return undefined;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw.replace(/^﻿/, ''));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON (${e.message}) — fix or move it, then restart`);
+  }
+}
+
+function importJson(store, dir = '.') {
+  const { db, settings } = store;
+  if (settings.get('_importedJson')) return null;
+
+  const file   = (name) => path.join(dir, name);
+  const orders = readJsonFile(file('orders.json'));
+  const work   = readJsonFile(file('work.json'));
+  const visits = readJsonFile(file('visits.json'));
+  const config = readJsonFile(file('config.json'));
+
+  const counts = { orders: 0, work: 0, visits: 0, settings: 0 };
+  db.transaction(() => {
+    for (const o of Array.isArray(orders) ? orders : []) {
+      if (!o || !o.uuid || store.orders.get(o.uuid)) continue;
+      const status    = legacyStatus(o.status || 'Pending');
+      const createdAt = o.createdAt || new Date(0).toISOString();
+      store.orders.insert({
+        uuid:            o.uuid,
+        status:          status.value,
+        payment:         o.payment || '⏳ Unpaid',
+        discordUsername: o.discordUsername || '',
+        clientDiscordId: o.clientDiscordId || '',
+        serverName:      o.serverName || '',
+        serverInvite:    o.serverInvite || null,
+        serviceType:     o.serviceType || null,
+        budget:          o.budget || null,
+        paymentMethod:   o.paymentMethod || null,
+        projectDetails:  o.projectDetails || null,
+        notes:           o.notes || '',
+        createdAt,
+        paidAt:          o.paidAt || null,
+        verifiedVia:     'legacy',
+      });
+      store.orders.addEvent(o.uuid, {
+        to:     status.value,
+        actor:  'import',
+        reason: status.reason,
+        at:     createdAt,
+      });
+      counts.orders++;
+    }
+    for (const w of Array.isArray(work) ? work : []) {
+      if (!w || !w.id || store.work.get(w.id)) continue;
+      store.work.add({
+        id:          w.id,
+        botName:     w.botName || '',
+        description: w.description || '',
+        serverName:  w.serverName || '',
+        invite:      w.invite || '',
+        addedAt:     w.addedAt || new Date(0).toISOString(),
+      });
+      counts.work++;
+    }
+    if (visits && Number.isInteger(visits.count)) {
+      store.counters.set('visits', Math.max(visits.count, store.counters.get('visits')));
+      counts.visits = visits.count;
+    }
+    for (const [key, value] of Object.entries(config && typeof config === 'object' ? config : {})) {
+      if (settings.get(key) === null) { settings.set(key, value); counts.settings++; }
+    }
+    settings.set('_importedJson', new Date().toISOString());
+  })();
+
+  console.log(`🗄️  Imported JSON data: ${counts.orders} orders, ${counts.work} work entries, ` +
+              `${counts.visits} visits, ${counts.settings} settings`);
+  return counts;
+}
+
+// ── OPEN ──────────────────────────────────────────────────────────────
+
+function openStore({ file = './echo.db', importDir = '.' } = {}) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  const store = {
+    db,
+    transaction: (fn) => db.transaction(fn)(),
+    orders:       ordersRepo(db),
+    payments:     paymentsRepo(db),
+    messages:     messagesRepo(db),
+    spam:         spamRepo(db),
+    work:         workRepo(db),
+    testimonials: testimonialsRepo(db),
+    visits:       visitsRepo(db),
+    counters:     countersRepo(db),
+    settings:     settingsRepo(db),
+    close:        () => db.close(),
+  };
+  if (importDir) importJson(store, importDir);
+  return store;
+}
+
+module.exports = { MIGRATIONS, openStore, importJson };
+
+// ── CLI ───────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const [cmd, dir = '.'] = process.argv.slice(2);
+  if (cmd !== 'import') {
+    console.log('Usage: node store.js import [dir-with-json-files]');
+    process.exit(1);
+  }
+  const store = openStore({ file: process.env.DB_FILE || './echo.db', importDir: null });
+  store.settings.remove('_importedJson'); // explicit re-run; existing rows are skipped
+  importJson(store, dir);
+  store.close();
+}
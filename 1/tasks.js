@@ -0,0 +1,216 @@
+// ═══════════════════════════════════════════════════════════════════════
+// TASK CATALOGUE
+// Named, parameterised commands the dashboard is allowed to run in a bot's
+// directory. Every task builds an argv array — nothing goes through a shell
+// except the admin-only `raw` task, which needs an explicit confirmation.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs        = require('fs');
+const path      = require('path');
+const { ROLES } = require('./dashboard_auth');
+
+const AUDIT_FILE = process.env.DASHBOARD_AUDIT_FILE || './command_audit.log';
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+// ── PARAM TYPES ───────────────────────────────────────────────────────
+// Each returns the cleaned value or throws a 400. (v, spec, bot) — bot is
+// the one the task runs for, when there is one.
+
+const PARAM_TYPES = {
+  // pip requirement: name[extras]==1.2 / >=1.0 / ~=2.0 — no URLs, no flags
+  pipPackage(v) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*(\[[A-Za-z0-9,._-]+\])?([=<>!~]=?[A-Za-z0-9.*+!-]+)?$/.test(v)) {
+      throw badRequest(`Invalid pip package: ${v}`);
+    }
+    return v;
+  },
+
+  // npm spec: name, @scope/name, optionally @version
+  npmPackage(v) {
+    if (!/^(@[a-z0-9][a-z0-9._-]*\/)?[a-z0-9][a-z0-9._-]*(@[A-Za-z0-9.^~<>=*+-]+)?$/.test(v)) {
+      throw badRequest(`Invalid npm package: ${v}`);
+    }
+    return v;
+  },
+
+  // Path relative to the bot directory; may not escape it (also through a
+  // symlink) or be absolute. Dotfiles and dot-directories (.env, .git) are
+  // off limits: that's where a bot's secrets live.
+  relPath(v, spec, bot) {
+    const segments = v.split(/[\\/]/);
+    if (!v || path.isAbsolute(v) || v.startsWith('-') || segments.some(s => s.startsWith('.') && s !== '.')) {
+      throw badRequest(`Invalid path: ${v}`);
+    }
+    if (bot) {
+      let real;
+      try {
+        real = fs.realpathSync(path.join(bot.dir, v));
+      } catch {
+        return path.normalize(v); // doesn't exist — nothing to read
+      }
+      const root = fs.realpathSync(bot.dir);
+      const rel  = path.relative(root, real);
+      if (rel.startsWith('..') || path.isAbsolute(rel) || rel.split(path.sep).some(s => s.startsWith('.'))) {
+        throw badRequest(`Invalid path: ${v}`);
+      }
+    }
+    return path.normalize(v);
+  },
+
+  int(v, spec) {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < spec.min || n > spec.max) {
+      throw badRequest(`Must be an integer between ${spec.min} and ${spec.max}`);
+    }
+    return n;
+  },
+
+  enum(v, spec) {
+    if (!spec.options.includes(v)) throw badRequest(`Must be one of: ${spec.options.join(', ')}`);
+    return v;
+  },
+};
+
+// ── TASKS ─────────────────────────────────────────────────────────────
+// runtimes: which bot runtimes the task applies to (omit = all)
+// role:     minimum dashboard role required
+// params:   { name: { type, required, default, label, …type options } }
+// build:    (params, bot) → [cmd, ...args]
+
+const TASKS = {
+  'pip-install': {
+    label:    'pip install',
+    runtimes: ['python'],
+    role:     'operator',
+    params:   { package: { type: 'pipPackage', required: true, label: 'Package' } },
+    build:    (p, bot) => [path.join(bot.dir, 'venv/bin/pip'), 'install', '--quiet', p.package],
+  },
+  'pip-freeze': {
+    label:    'pip freeze',
+    runtimes: ['python'],
+    role:     'operator',
+    params:   {},
+    build:    (p, bot) => [path.join(bot.dir, 'venv/bin/pip'), 'freeze'],
+  },
+  'npm-install': {
+    label:    'npm install',
+    runtimes: ['node'],
+    role:     'operator',
+    params:   { package: { type: 'npmPackage', required: true, label: 'Package' } },
+    build:    (p) => ['npm', 'install', '--no-fund', '--no-audit', p.package],
+  },
+  'git-pull': {
+    label:  'git pull',
+    role:   'operator',
+    params: {},
+    build:  () => ['git', 'pull', '--ff-only'],
+  },
+  'tail-file': {
+    label:  'Tail file',
+    role:   'operator',
+    params: {
+      file:  { type: 'relPath', required: true, label: 'File' },
+      lines: { type: 'int', min: 1, max: 1000, default: 50, label: 'Lines' },
+    },
+    build: (p) => ['tail', '-n', String(p.lines), '--', p.file],
+  },
+  'list-files': {
+    label:  'List files',
+    role:   'operator',
+    params: { dir: { type: 'relPath', default: '.', label: 'Directory' } },
+    build:  (p) => ['ls', '-la', '--', p.dir],
+  },
+  'disk-usage': {
+    label:  'Disk usage',
+    role:   'operator',
+    params: {},
+    build:  () => ['du', '-sh', '.'],
+  },
+  'clear-cache': {
+    label:    'Clear __pycache__',
+    runtimes: ['python'],
+    role:     'operator',
+    params:   {},
+    build:    () => ['find', '.', '-path', './venv', '-prune', '-o', '-name', '__pycache__', '-type', 'd', '-prune', '-exec', 'rm', '-rf', '{}', '+'],
+  },
+  raw: {
+    label:  'Raw shell (admin)',
+    role:   'admin',
+    raw:    true,
+    params: { cmd: { type: 'string', required: true, label: 'Command' } },
+    build:  (p) => ['bash', '-c', p.cmd],
+  },
+};
+
+function tasksFor(bot, role) {
+  return Object.entries(TASKS)
+    .filter(([, t]) => !t.runtimes || t.runtimes.includes(bot.runtime))
+    .filter(([, t]) => ROLES.indexOf(role) >= ROLES.indexOf(t.role))
+    .map(([id, t]) => ({ id, label: t.label, raw: !!t.raw, params: t.params }));
+}
+
+function validateParams(task, input = {}, bot) {
+  const out = {};
+  for (const [name, spec] of Object.entries(task.params)) {
+    let v = input[name];
+    if (v === undefined || v === null || v === '') {
+      if (spec.required) throw badRequest(`Missing parameter: ${name}`);
+      if (spec.default === undefined) continue;
+      v = spec.default;
+    }
+    v = String(v).trim();
+    out[name] = spec.type === 'string' ? v : PARAM_TYPES[spec.type](v, spec, bot);
+  }
+  return out;
+}
+
+// Resolves a task request into argv without running it.
+// bot: { name, dir, runtime }   request: { task, params, confirm }
+function prepareTask(bot, role, request) {
+  const task = TASKS[request.task];
+  if (!task || (task.runtimes && !task.runtimes.includes(bot.runtime))) {
+    throw badRequest(`Unknown task for ${bot.name}: ${request.task}`);
+  }
+  if (ROLES.indexOf(role) < ROLES.indexOf(task.role)) {
+    throw Object.assign(new Error(`Task ${request.task} requires ${task.role} role`), { status: 403 });
+  }
+  // Raw shell must be confirmed by typing the bot's name
+  if (task.raw && request.confirm !== bot.name) {
+    throw badRequest(`Raw shell requires confirm: "${bot.name}"`);
+  }
+  const params = validateParams(task, request.params, bot);
+  return { id: request.task, task, params, argv: task.build(params, bot) };
+}
+
+function audit(entry) {
+  fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n', (err) => {
+    if (err) console.error('Audit log write failed:', err.message);
+  });
+}
+
+// Starts the task as a job (see jobs.js) and returns it immediately.
+// The audit entry is written when the job finishes.
+function startTask(jobs, bot, user, request) {
+  const { id, params, argv } = prepareTask(bot, user.role, request);
+
+  return jobs.create({
+    kind:  'task',
+    bot:   bot.name,
+    label: `${id} ${Object.values(params).join(' ')}`.trim(),
+    user:  user.sub,
+    onFinish: (job) => audit({
+      at:         job.startedAt,
+      user:       user.sub,
+      bot:        bot.name,
+      task:       id,
+      params,
+      jobId:      job.id,
+      status:     job.status,
+      exitCode:   job.exitCode,
+      durationMs: job.durationMs,
+    }),
+  }, (ctx) => ctx.exec(argv[0], argv.slice(1), { cwd: bot.dir, timeout: 10 * 60 * 1000 }));
+}
+
+module.exports = { PARAM_TYPES, TASKS, tasksFor, prepareTask, startTask, audit };
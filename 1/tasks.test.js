@@ -0,0 +1,39 @@
+// node --test   (no dependencies — node:test and node:assert)
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { prepareTask } = require('./tasks');
+
+function botDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-test-'));
+  fs.writeFileSync(path.join(dir, 'bot.log'), 'log');
+  fs.writeFileSync(path.join(dir, '.env'), 'TOKEN=secret');
+  fs.symlinkSync('/etc/passwd', path.join(dir, 'passwd.log'));
+  fs.symlinkSync('.env', path.join(dir, 'env.txt'));
+  return { name: 'test', dir, runtime: 'python' };
+}
+
+const tail = (bot, file) => prepareTask(bot, 'operator', { task: 'tail-file', params: { file } });
+
+test('tail-file reads files inside the bot directory', () => {
+  const bot = botDir();
+  assert.deepEqual(tail(bot, 'bot.log').argv, ['tail', '-n', '50', '--', 'bot.log']);
+  fs.rmSync(bot.dir, { recursive: true });
+});
+
+test('tail-file refuses dotfiles, escapes and symlinks out', () => {
+  const bot = botDir();
+  for (const file of ['.env', '.env.local', 'sub/.git/config', '../other/bot.log', '/etc/passwd', '-n', 'passwd.log', 'env.txt']) {
+    assert.throws(() => tail(bot, file), { status: 400 }, file);
+  }
+  fs.rmSync(bot.dir, { recursive: true });
+});
+
+test('list-files still defaults to the bot directory', () => {
+  const bot = botDir();
+  assert.deepEqual(prepareTask(bot, 'operator', { task: 'list-files' }).argv, ['ls', '-la', '--', '.']);
+  fs.rmSync(bot.dir, { recursive: true });
+});
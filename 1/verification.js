@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════════════════
+// CLIENT VERIFICATION
+// Proves the Discord ID typed into /inquiry or /contact belongs to whoever
+// submitted it, so the bot can't be used to DM strangers. Two ways:
+//
+//   Discord login — the site sends the client through Discord OAuth
+//                   (GET /auth/discord); the callback hands the site a short
+//                   lived identity token it submits with the form.
+//   Confirmation code — without login, /inquiry answers with a one-time
+//                   code; the client sends it to the bot with /verify. Only
+//                   the account the order was placed with can confirm it.
+//
+// The bot never starts a DM with an unverified client: canDm(order) is
+// false until one of the two has happened. Orders placed before this
+// existed are marked 'legacy' — their clients were already DMed.
+//
+//   const verifier = createVerifier({ secret, oauth: { clientId, … }, returnOrigins });
+//   verifier.readIdentity(req.body.identityToken) → { id, username } | null
+//   const { code, ...fields } = newCode();        // fields go on the order
+//   confirmCode(store, discordId, code)           → the verified order
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const VERIFY_METHODS = {
+  oauth:  '✅ Verified (Discord login)',
+  code:   '✅ Verified (confirmation code)',
+  legacy: '➖ Not checked (placed before verification)',
+};
+const UNVERIFIED = '⚠️ Unverified — Discord ID not confirmed';
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH   = 6;
+const CODE_TTL      = 48 * 60 * 60 * 1000;
+const IDENTITY_TTL  = 60 * 60;  // seconds — long enough to fill the form in
+const STATE_TTL     = 10 * 60;
+
+const fail = (status, msg) => { throw Object.assign(new Error(msg), { status }); };
+
+const identityLabel = (order) => VERIFY_METHODS[order.verifiedVia] || UNVERIFIED;
+
+const canDm = (order) => Boolean(order.verifiedVia);
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, ''))
+  .digest('hex');
+
+// ── CODES ─────────────────────────────────────────────────────────────
+
+// { code, verifyCodeHash, verifyCodeExpiresAt } — only the hash is stored
+function newCode(now = Date.now()) {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const code  = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return { code, verifyCodeHash: hashCode(code), verifyCodeExpiresAt: new Date(now + CODE_TTL).toISOString() };
+}
+
+// Marks the order verified. `via`: oauth | code
+function markVerified(store, uuid, via) {
+  return store.orders.update(uuid, {
+    verifiedVia:         via,
+    verifiedAt:          new Date().toISOString(),
+    verifyCodeHash:      null,
+    verifyCodeExpiresAt: null,
+  });
+}
+
+// Confirms the order of `discordId` that was given `code`. Someone else's
+// order, an expired code and a wrong one are all the same 404.
+function confirmCode(store, discordId, code, now = Date.now()) {
+  const hash  = hashCode(code);
+  const order = store.orders.list({ clientDiscordId: discordId })
+    .find(o => !o.verifiedVia && o.verifyCodeHash === hash && Date.parse(o.verifyCodeExpiresAt) > now);
+  if (!order) fail(404, "That code doesn't match any of your unconfirmed orders — check it, or it may have expired.");
+  return markVerified(store, order.uuid, 'code');
+}
+
+// ── DISCORD LOGIN ─────────────────────────────────────────────────────
+
+// oauth: { clientId, clientSecret, redirectUri } — login is off without them.
+// returnOrigins: the site origins the callback may send people back to.
+function createVerifier({ secret, oauth = {}, returnOrigins = [] }) {
+  if (!secret) throw new Error('createVerifier: secret is required');
+
+  const sign = (body) => crypto.createHmac('sha256', `identity:${secret}`).update(body).digest('base64url');
+
+  function issue(claims, ttl) {
+    const body = Buffer.from(JSON.stringify({ ...claims, exp: Math.floor(Date.now() / 1000) + ttl })).toString('base64url');
+    return `${body}.${sign(body)}`;
+  }
+
+  function verify(token) {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(sign(body));
+    const actual   = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+      return payload.exp >= Date.now() / 1000 ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const enabled = Boolean(oauth.clientId && oauth.clientSecret && oauth.redirectUri && returnOrigins.length);
+
+  function allowedReturn(url) {
+    try {
+      return returnOrigins.includes(new URL(url).origin);
+    } catch {
+      return false;
+    }
+  }
+
+  // Discord's authorize URL; `returnTo` is the form page to come back to
+  function authorizeUrl(returnTo) {
+    if (!enabled) fail(501, 'Discord login is not configured');
+    if (!allowedReturn(returnTo)) fail(400, 'Invalid return address');
+    const params = new URLSearchParams({
+      client_id:     oauth.clientId,
+      response_type: 'code',
+      redirect_uri:  oauth.redirectUri,
+      scope:         'identify',
+      state:         issue({ purpose: 'client-oauth', returnTo }, STATE_TTL),
+    });
+    return `https://discord.com/oauth2/authorize?${params}`;
+  }
+
+  // Callback: code + state → where to send the browser back to, with the
+  // identity token in the fragment (kept out of server logs and referrers)
+  async function completeLogin({ code, state }) {
+    const claims = verify(state);
+    if (!claims || claims.purpose !== 'client-oauth' || !code) fail(400, 'Invalid or expired login attempt.');
+
+    const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id:     oauth.clientId,
+        client_secret: oauth.clientSecret,
+        grant_type:    'authorization_code',
+        code:          String(code),
+        redirect_uri:  oauth.redirectUri,
+      }),
+    });
+    if (!tokenRes.ok) throw new Error(`token exchange failed (${tokenRes.status})`);
+    const { access_token } = await tokenRes.json();
+
+    const meRes = await fetch('https://discord.com/api/users/@me', {
+      headers: { Authorization: `Bearer ${access_token}` },
+    });
+    if (!meRes.ok) throw new Error(`user lookup failed (${meRes.status})`);
+    const me = await meRes.json();
+
+    const fragment = new URLSearchParams({
+      identity: issue({ purpose: 'client-identity', id: me.id, username: me.username }, IDENTITY_TTL),
+      id:       me.id,
+      username: me.username,
+    });
+    return `${claims.returnTo.split('#')[0]}#${fragment}`;
+  }
+
+  // { id, username } from a token completeLogin handed out, or null
+  function readIdentity(token) {
+    const claims = verify(token);
+    return claims?.purpose === 'client-identity' ? { id: claims.id, username: claims.username } : null;
+  }
+
+  return { enabled, authorizeUrl, completeLogin, readIdentity };
+}
+
+module.exports = {
+  VERIFY_METHODS,
+  identityLabel,
+  canDm,
+  newCode,
+  markVerified,
+  confirmCode,
+  createVerifier,
+};
@@ -0,0 +1,167 @@
+// ═══════════════════════════════════════════════════════════════════════
+// VISIT ANALYTICS
+// Daily unique visitors, page views, referrers and the form funnel, without
+// storing anything that identifies a visitor:
+//
+//   visitor  — HMAC(salt of the day, IP), cut to 16 hex characters. The salt
+//              is random, replaced at midnight UTC and the old one thrown
+//              away, so once the day is over a hash can't be linked to the
+//              next day's or brute-forced back to an IP. No raw IPs, no
+//              cookies.
+//   path     — the page path, without query string or fragment
+//   referrer — the referring domain only, and only from other sites
+//
+// Funnel events: inquiry_opened / contact_opened come from the page (first
+// interaction with the form); inquiry_submitted / contact_submitted are
+// recorded by the backend when a submission goes through.
+//
+//   const visits = createVisitTracker(store, { ownHosts: ['echo.example'] });
+//   visits.record(req.ip, 'view', { path: '/', referrer: 'https://google.com/…' });
+//   visits.record(req.ip, 'inquiry_submitted');
+//   computeVisitStats(store, { days: 30 }) → { series, totals, conversion, … }
+//
+// Separate from the public counter (POST /visit → counters 'visits').
+// Events older than RETENTION_DAYS are deleted.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const EVENTS = ['view', 'inquiry_opened', 'contact_opened', 'inquiry_submitted', 'contact_submitted'];
+
+// Funnel events the page may send. Views come with POST /visit, and
+// submissions are recorded by the backend.
+const CLIENT_EVENTS = ['inquiry_opened', 'contact_opened'];
+
+const SALT_KEY       = '_visitSalt';
+const RETENTION_DAYS = 400;
+const MAX_DAYS       = 365;
+const DAY            = 24 * 60 * 60 * 1000;
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const rate = (n, d) => (d ? Math.round(n / d * 1000) / 10 : null); // % with one decimal
+
+// "/pricing?ref=x#top" → "/pricing"; anything else → null
+function cleanPath(path) {
+  const p = String(path || '').split(/[?#]/)[0].slice(0, 100);
+  return p.startsWith('/') ? p : null;
+}
+
+// "https://www.google.com/search?q=…" → "google.com"; own hosts → null
+function referrerDomain(referrer, ownHosts = []) {
+  let host;
+  try {
+    host = new URL(String(referrer)).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  return host && !ownHosts.includes(host) ? host : null;
+}
+
+// ── RECORDING ─────────────────────────────────────────────────────────
+
+// ownHosts: the site's own hostnames, so moving between its pages isn't
+// counted as a referral
+function createVisitTracker(store, { ownHosts = [], now = Date.now } = {}) {
+  const own = ownHosts.map(h => h.toLowerCase().replace(/^www\./, ''));
+  let current = store.settings.get(SALT_KEY); // { day, salt }
+
+  // First use on a new day: a new salt, and old events pruned
+  function saltFor(day) {
+    if (current?.day === day) return current.salt;
+    current = { day, salt: crypto.randomBytes(32).toString('hex') };
+    store.settings.set(SALT_KEY, current);
+    store.visits.prune(dayKey(now() - RETENTION_DAYS * DAY));
+    return current.salt;
+  }
+
+  // Records one event for the visitor at `ip`. Unknown events throw 400.
+  function record(ip, event, { path, referrer } = {}) {
+    if (!EVENTS.includes(event)) throw badRequest(`Unknown event: ${event}`);
+    if (!ip) return;
+    const day     = dayKey(now());
+    const visitor = crypto.createHmac('sha256', saltFor(day)).update(String(ip)).digest('hex').slice(0, 16);
+    store.visits.record({
+      day,
+      visitor,
+      event,
+      path:     cleanPath(path),
+      referrer: event === 'view' ? referrerDomain(referrer, own) : null,
+      at:       new Date(now()).toISOString(),
+    });
+  }
+
+  return { record };
+}
+
+// ── REPORT ────────────────────────────────────────────────────────────
+
+// The last `days` days (today included), or from/to (YYYY-MM-DD).
+// Funnel figures are unique visitors per day, added up over the window.
+function computeVisitStats(store, { days = 30, from, to, now = Date.now() } = {}) {
+  let start, end;
+  if (from || to) {
+    end   = to ? Date.parse(to) : now;
+    start = from ? Date.parse(from) : end - 29 * DAY;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) throw badRequest('Invalid from/to — use YYYY-MM-DD');
+  } else {
+    const n = Math.floor(Number(days));
+    if (!(n >= 1 && n <= MAX_DAYS)) throw badRequest(`days must be 1 to ${MAX_DAYS}`);
+    end   = now;
+    start = now - (n - 1) * DAY;
+  }
+  if (end - start >= MAX_DAYS * DAY) throw badRequest(`Window is limited to ${MAX_DAYS} days`);
+
+  const fromDay = dayKey(start);
+  const toDay   = dayKey(end);
+  const byDay   = new Map();
+  for (let t = Date.parse(fromDay); t <= Date.parse(toDay); t += DAY) {
+    byDay.set(dayKey(t), {
+      day:              dayKey(t),
+      visitors:         0,
+      views:            0,
+      inquiryOpened:    0,
+      inquirySubmitted: 0,
+      contactOpened:    0,
+      contactSubmitted: 0,
+    });
+  }
+
+  const FIELDS = {
+    inquiry_opened:    'inquiryOpened',
+    inquiry_submitted: 'inquirySubmitted',
+    contact_opened:    'contactOpened',
+    contact_submitted: 'contactSubmitted',
+  };
+  for (const row of store.visits.eventCounts(fromDay, toDay)) {
+    const point = byDay.get(row.day);
+    if (row.event === 'view') point.views = row.n;
+    else if (FIELDS[row.event]) point[FIELDS[row.event]] = row.visitors;
+  }
+  for (const row of store.visits.visitorCounts(fromDay, toDay)) byDay.get(row.day).visitors = row.visitors;
+
+  const series = [...byDay.values()];
+  const totals = Object.fromEntries(Object.keys(series[0]).filter(k => k !== 'day')
+    .map(k => [k, series.reduce((sum, p) => sum + p[k], 0)]));
+
+  return {
+    from:   fromDay,
+    to:     toDay,
+    series,
+    totals,
+    conversion: {
+      // Visitors who sent the form they started
+      inquiry:          rate(totals.inquirySubmitted, totals.inquiryOpened),
+      contact:          rate(totals.contactSubmitted, totals.contactOpened),
+      // Visitors who ended up sending an inquiry
+      visitorToInquiry: rate(totals.inquirySubmitted, totals.visitors),
+    },
+    topPaths:     store.visits.top('path', fromDay, toDay).map(r => ({ path: r.value, views: r.views, visitors: r.visitors })),
+    topReferrers: store.visits.top('referrer', fromDay, toDay).map(r => ({ domain: r.value, views: r.views, visitors: r.visitors })),
+    counter:      store.counters.get('visits'),
+  };
+}
+
+module.exports = { EVENTS, CLIENT_EVENTS, createVisitTracker, computeVisitStats };